@@ -0,0 +1,62 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { computePeaks, encodeWav } from "../web/audio_file.js";
+import { createAudioBuffer } from "./helpers.js";
+
+const close = (actual, expected, tolerance = 1e-6) => assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} ≉ ${expected}`);
+
+test("computePeaks：所有声道合并到同一组桶，记录 min / max / RMS", () => {
+    const left = Float32Array.from([0.5, -0.25, 0.5, -0.25, 0, 0, 0, 0]);
+    const right = Float32Array.from([0, 0, 0, 0, 0.1, -0.8, 0.1, -0.8]);
+    const peaks = computePeaks(createAudioBuffer([left, right], 8), 2);
+    assert.equal(peaks.buckets, 2);
+    assert.equal(peaks.numberOfChannels, 2);
+    assert.equal(peaks.duration, 1);
+    close(peaks.min[0], -0.25);
+    close(peaks.max[0], 0.5);
+    close(peaks.min[1], -0.8);
+    close(peaks.max[1], 0.1);
+    // 均方根按桶内所有声道的采样计算
+    close(peaks.rms[0], Math.sqrt((2 * 0.25 + 2 * 0.0625) / 8));
+    close(peaks.rms[1], Math.sqrt((2 * 0.01 + 2 * 0.64) / 8));
+    assert.deepEqual(Array.from(peaks.clipped), [0, 0]);
+});
+
+test("computePeaks：标记削波的桶，桶数不超过采样数", () => {
+    const samples = Float32Array.from([0.2, 1, -0.2, -0.3]);
+    const peaks = computePeaks(createAudioBuffer([samples], 4), 4096);
+    assert.equal(peaks.buckets, 4);
+    assert.deepEqual(Array.from(peaks.clipped), [0, 1, 0, 0]);
+});
+
+test("computePeaks：空文件得到一个值为 0 的桶", () => {
+    const peaks = computePeaks(createAudioBuffer([new Float32Array(0)], 48000), 16);
+    assert.equal(peaks.buckets, 1);
+    assert.equal(peaks.min[0], 0);
+    assert.equal(peaks.max[0], 0);
+    assert.equal(peaks.rms[0], 0);
+});
+
+test("encodeWav：16 位 PCM 头与交错的声道采样，超出范围的值被截断", async () => {
+    const left = Float32Array.from([0, 1, -1]);
+    const right = Float32Array.from([0.5, 2, -0.5]);
+    const blob = encodeWav(createAudioBuffer([left, right], 44100));
+    assert.equal(blob.type, "audio/wav");
+    const view = new DataView(await blob.arrayBuffer());
+    const text = (offset) => String.fromCharCode(...new Uint8Array(view.buffer, offset, 4));
+    assert.equal(view.byteLength, 44 + 3 * 2 * 2);
+    assert.equal(text(0), "RIFF");
+    assert.equal(view.getUint32(4, true), view.byteLength - 8);
+    assert.equal(text(8), "WAVE");
+    assert.equal(text(12), "fmt ");
+    assert.equal(view.getUint16(20, true), 1);
+    assert.equal(view.getUint16(22, true), 2);
+    assert.equal(view.getUint32(24, true), 44100);
+    assert.equal(view.getUint32(28, true), 44100 * 4);
+    assert.equal(view.getUint16(32, true), 4);
+    assert.equal(view.getUint16(34, true), 16);
+    assert.equal(text(36), "data");
+    assert.equal(view.getUint32(40, true), 12);
+    const samples = Array.from({ length: 6 }, (_, i) => view.getInt16(44 + i * 2, true));
+    assert.deepEqual(samples, [0, 16383, 32767, 32767, -32768, -16384]);
+});
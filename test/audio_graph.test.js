@@ -0,0 +1,94 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { getAudioContext, connectElementTap, releaseElementTap } from "../web/audio_graph.js";
+
+// 只记录连接关系的 AudioNode / AudioContext 替身
+class FakeNode {
+    constructor(context) {
+        this.context = context;
+        this.outputs = new Set();
+    }
+    connect(target) {
+        this.outputs.add(target);
+    }
+    disconnect(target) {
+        if (target) {
+            if (!this.outputs.delete(target)) throw new Error("InvalidAccessError");
+        } else {
+            this.outputs.clear();
+        }
+    }
+}
+
+class FakeAudioContext {
+    constructor() {
+        this.state = "running";
+        this.destination = new FakeNode(this);
+        this.sourceCount = 0;
+    }
+    createMediaElementSource(element) {
+        if (element.bound) throw new Error("InvalidStateError: element already has a source");
+        element.bound = true;
+        this.sourceCount++;
+        return new FakeNode(this);
+    }
+    createGain() {
+        return new FakeNode(this);
+    }
+}
+
+globalThis.window = { AudioContext: FakeAudioContext };
+
+test("所有节点共用一个 AudioContext，被关闭后重新创建", () => {
+    const context = getAudioContext();
+    assert.equal(getAudioContext(), context);
+    context.state = "closed";
+    const next = getAudioContext();
+    assert.notEqual(next, context);
+    assert.equal(getAudioContext(), next);
+});
+
+test("同一元素的多条支路共用一个 source，source 只连接一次 destination", () => {
+    const element = {};
+    const created = getAudioContext().sourceCount;
+    const first = connectElementTap(element);
+    const second = connectElementTap(element);
+    assert.equal(first.source, second.source);
+    assert.equal(first.context.sourceCount, created + 1);
+    assert.notEqual(first.input, second.input);
+    assert.deepEqual([...first.source.outputs], [first.context.destination, first.input, second.input]);
+});
+
+test("释放一条支路只拆掉自己的 input，其他支路与播放输出保持连接", () => {
+    const element = {};
+    const first = connectElementTap(element);
+    const second = connectElementTap(element);
+    const analyser = new FakeNode(first.context);
+    first.input.connect(analyser);
+
+    releaseElementTap(first);
+    assert.deepEqual([...first.source.outputs], [first.context.destination, second.input]);
+    assert.equal(first.input.outputs.size, 0);
+    // 重复释放与空支路都不会抛出
+    releaseElementTap(first);
+    releaseElementTap(null);
+
+    releaseElementTap(second);
+    assert.deepEqual([...second.source.outputs], [second.context.destination]);
+});
+
+test("全部支路释放后重新连接时复用已有的 source", () => {
+    const element = {};
+    const tap = connectElementTap(element);
+    const created = tap.context.sourceCount;
+    releaseElementTap(tap);
+    const again = connectElementTap(element);
+    assert.equal(again.source, tap.source);
+    assert.equal(again.context.sourceCount, created);
+});
+
+test("元素绑定的 context 被关闭后无法再接入", () => {
+    const element = {};
+    connectElementTap(element).context.state = "closed";
+    assert.throws(() => connectElementTap(element), /closed AudioContext/);
+});
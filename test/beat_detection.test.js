@@ -0,0 +1,108 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { estimateTempo, OnsetDetector, BeatTracker, detectBeats } from "../web/beat_detection.js";
+import { createAudioBuffer } from "./helpers.js";
+
+const RATE = 44100;
+
+/**
+ * 节拍器：每拍一个 2kHz 的短促衰减音，first 为第一拍的时间（秒）
+ */
+function clickTrack(bpm, seconds, first = 0.25) {
+    const samples = new Float32Array(Math.round(seconds * RATE));
+    const period = 60 / bpm;
+    const clickLength = Math.round(0.03 * RATE);
+    for (let beat = first; beat < seconds; beat += period) {
+        const start = Math.round(beat * RATE);
+        for (let i = 0; i < clickLength && start + i < samples.length; i++) {
+            samples[start + i] = 0.8 * Math.exp(-i / (0.005 * RATE)) * Math.sin((2 * Math.PI * 2000 * i) / RATE);
+        }
+    }
+    return samples;
+}
+
+/**
+ * 每隔 period 帧一个脉冲的起音包络
+ */
+function pulseEnvelope(length, period) {
+    const envelope = new Float32Array(length);
+    for (let i = 0; i < length; i += period) {
+        envelope[i] = 1;
+    }
+    return envelope;
+}
+
+test("estimateTempo：周期性包络给出对应的 BPM", () => {
+    // 帧移 10ms，每 50 帧一拍 = 120 BPM，每 40 帧一拍 = 150 BPM
+    const at120 = estimateTempo(pulseEnvelope(1000, 50), 0.01);
+    assert.ok(Math.abs(at120.bpm - 120) < 0.5, `${at120.bpm}`);
+    assert.ok(at120.confidence > 0.5);
+    const at150 = estimateTempo(pulseEnvelope(1000, 40), 0.01);
+    assert.ok(Math.abs(at150.bpm - 150) < 0.5, `${at150.bpm}`);
+});
+
+test("estimateTempo：包络太短或没有起伏时返回 0", () => {
+    assert.deepEqual(estimateTempo(pulseEnvelope(100, 50), 0.01), { bpm: 0, confidence: 0 });
+    assert.deepEqual(estimateTempo(new Float32Array(1000).fill(0.3), 0.01), { bpm: 0, confidence: 0 });
+});
+
+test("OnsetDetector：在每个节拍器音上检测到一个起音，分块送入结果相同", () => {
+    const samples = clickTrack(120, 4);
+    const whole = new OnsetDetector(RATE).process([samples], 0, samples.length);
+    assert.equal(whole.length, 8);
+    whole.forEach((time, index) => {
+        // 起音时间按帧移量化（约 11.6ms）
+        assert.ok(Math.abs(time - (0.25 + index * 0.5)) < 0.03, `onset ${index}: ${time}`);
+    });
+
+    const detector = new OnsetDetector(RATE);
+    const chunked = [];
+    for (let offset = 0; offset < samples.length; offset += 777) {
+        chunked.push(...detector.process([samples], offset, Math.min(777, samples.length - offset)));
+    }
+    assert.deepEqual(chunked, whole);
+});
+
+test("BeatTracker：实时送入节拍器信号后锁定速度与节拍", () => {
+    const samples = clickTrack(100, 12);
+    const tracker = new BeatTracker(RATE);
+    for (let offset = 0; offset < samples.length; offset += 2048) {
+        tracker.process([samples], offset, Math.min(2048, samples.length - offset));
+    }
+    assert.ok(Math.abs(tracker.bpm - 100) < 1.5, `${tracker.bpm}`);
+    const beats = tracker.beats.slice(-6);
+    for (let i = 1; i < beats.length; i++) {
+        assert.ok(Math.abs(beats[i] - beats[i - 1] - 0.6) < 0.03, `interval ${beats[i] - beats[i - 1]}`);
+    }
+});
+
+test("detectBeats：整段文件的 BPM、节拍位置与速度稳定度", async () => {
+    const buffer = createAudioBuffer([clickTrack(128, 20)], RATE);
+    const progress = [];
+    const result = await detectBeats(buffer, { onProgress: p => progress.push(p) });
+    assert.ok(Math.abs(result.bpm - 128) < 1, `${result.bpm}`);
+    assert.equal(progress[progress.length - 1], 1);
+    assert.ok(result.onsets.length >= 40);
+
+    // 每个检测到的节拍都落在某个节拍器音上
+    const period = 60 / 128;
+    assert.ok(result.beats.length >= 38, `${result.beats.length} beats`);
+    result.beats.forEach(beat => {
+        const phase = (beat - 0.25) / period;
+        assert.ok(Math.abs(phase - Math.round(phase)) * period < 0.03, `beat at ${beat}`);
+    });
+    assert.ok(result.bpmDeviation < 3, `deviation ${result.bpmDeviation}`);
+    assert.ok(result.tempoCurve.length > 0);
+    result.tempoCurve.forEach(point => assert.ok(Math.abs(point.bpm - 128) < 2, `curve ${point.bpm}`));
+});
+
+test("detectBeats：静音没有速度与节拍；signal 可以取消", async () => {
+    const silence = createAudioBuffer([new Float32Array(RATE * 10)], RATE);
+    const result = await detectBeats(silence);
+    assert.equal(result.bpm, 0);
+    assert.equal(result.beats.length, 0);
+
+    const controller = new AbortController();
+    controller.abort();
+    await assert.rejects(detectBeats(silence, { signal: controller.signal }), { name: "AbortError" });
+});
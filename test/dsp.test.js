@@ -0,0 +1,196 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    FFT, computeMagnitudes, magnitudeToByte, readMonoFrame, computeSpectrogram, AnalyserSampleTap, AnalyserSnapshot, OfflineAnalyser,
+    hzToMel, melToHz, frequencyToPosition, positionToFrequency, buildFrequencyBands, sampleBands, THIRD_OCTAVE_CENTERS
+} from "../web/dsp.js";
+import { sine, createAudioBuffer } from "./helpers.js";
+
+const RATE = 48000;
+
+function peakBin(spectrum) {
+    let best = 0;
+    for (let k = 1; k < spectrum.length; k++) {
+        if (spectrum[k] > spectrum[best]) best = k;
+    }
+    return best;
+}
+
+test("FFT 与朴素 DFT 结果一致", () => {
+    const size = 64;
+    const input = Array.from({ length: size }, (_, i) => Math.sin(i * 0.37) + 0.5 * Math.cos(i * 1.91) + (i % 5) / 10);
+    const real = Float64Array.from(input);
+    const imag = new Float64Array(size);
+    new FFT(size).transform(real, imag);
+    for (let k = 0; k < size; k++) {
+        let re = 0;
+        let im = 0;
+        for (let n = 0; n < size; n++) {
+            re += input[n] * Math.cos((2 * Math.PI * k * n) / size);
+            im -= input[n] * Math.sin((2 * Math.PI * k * n) / size);
+        }
+        assert.ok(Math.abs(real[k] - re) < 1e-9 && Math.abs(imag[k] - im) < 1e-9, `bin ${k}`);
+    }
+});
+
+test("computeMagnitudes：与 AnalyserNode 一样加 Blackman 窗并按 1/N 归一化", () => {
+    const size = 2048;
+    // 正好落在第 100 个 bin 上的满幅正弦：幅度 = 0.5 × Blackman 窗的相干增益 0.42
+    const frame = sine((100 * RATE) / size, 0, size / RATE, RATE);
+    const magnitudes = computeMagnitudes(frame, new Float32Array(size / 2));
+    assert.equal(peakBin(magnitudes), 100);
+    assert.ok(Math.abs(magnitudes[100] - 0.21) < 0.001, `${magnitudes[100]}`);
+});
+
+test("computeMagnitudes：复用暂存数组时结果与单独计算一致", () => {
+    const size = 512;
+    const real = new Float64Array(size);
+    const imag = new Float64Array(size);
+    const first = sine((20 * RATE) / size, 0, size / RATE, RATE);
+    const second = sine((50 * RATE) / size, -6, size / RATE, RATE);
+    computeMagnitudes(first, new Float32Array(size / 2), real, imag);
+    const reused = computeMagnitudes(second, new Float32Array(size / 2), real, imag);
+    const fresh = computeMagnitudes(second, new Float32Array(size / 2));
+    assert.deepEqual(reused, fresh);
+});
+
+test("magnitudeToByte：dB 范围线性映射到 0-255 并截断", () => {
+    assert.equal(magnitudeToByte(0, -100, -30), 0);
+    assert.equal(magnitudeToByte(Math.pow(10, -100 / 20), -100, -30), 0);
+    assert.equal(magnitudeToByte(Math.pow(10, -30 / 20), -100, -30), 255);
+    assert.equal(magnitudeToByte(1, -100, -30), 255);
+    assert.equal(magnitudeToByte(Math.pow(10, -65 / 20), -100, -30), 127);
+});
+
+test("readMonoFrame：混合为单声道，越界部分补零", () => {
+    const buffer = createAudioBuffer([Float32Array.of(1, 1, 1, 1), Float32Array.of(0, 0, 1, 1)], RATE);
+    assert.deepEqual(Array.from(readMonoFrame(buffer, 2, 4)), [0.5, 0.5, 1, 1]);
+    assert.deepEqual(Array.from(readMonoFrame(buffer, 0, 4)), [0, 0, 0.5, 0.5]);
+});
+
+test("computeSpectrogram：按列存储，每列的峰值在信号频率上（信号电平在 dB 范围内，不会饱和）", () => {
+    const fftSize = 1024;
+    const buffer = createAudioBuffer([sine((64 * RATE) / fftSize, -60, 1, RATE)], RATE);
+    const result = computeSpectrogram(buffer, { fftSize, columns: 20 });
+    assert.equal(result.columns, 20);
+    assert.equal(result.bins, fftSize / 2);
+    assert.equal(result.data.length, 20 * (fftSize / 2));
+    for (let c = 2; c < 18; c++) {
+        assert.equal(peakBin(result.data.subarray(c * result.bins, (c + 1) * result.bins)), 64);
+    }
+});
+
+test("OfflineAnalyser：时域数据截止到当前时间，频谱按 smoothingTimeConstant 平滑", () => {
+    const samples = new Float32Array(RATE);
+    samples[RATE / 2 - 1] = 0.5;
+    const buffer = createAudioBuffer([samples], RATE);
+    const analyser = new OfflineAnalyser(buffer, { fftSize: 256, smoothingTimeConstant: 0.5 });
+
+    analyser.setTime(0.5);
+    const time = new Float32Array(256);
+    analyser.getFloatTimeDomainData(time);
+    assert.equal(time[255], 0.5);
+    const bytes = new Uint8Array(256);
+    analyser.getByteTimeDomainData(bytes);
+    assert.equal(bytes[0], 128);
+    assert.equal(bytes[255], 192);
+
+    // 第一次更新：0.5 × 0 + 0.5 × 当前幅度；同一时间再次读取不会重复平滑
+    const magnitudes = computeMagnitudes(time, new Float32Array(128));
+    const spectrum = new Float32Array(128);
+    analyser.getFloatFrequencyData(spectrum);
+    analyser.getFloatFrequencyData(spectrum);
+    assert.ok(Math.abs(spectrum[10] - 20 * Math.log10(0.5 * magnitudes[10])) < 1e-4);
+});
+
+test("AnalyserSampleTap：按 currentTime 的推进量取出新增采样", () => {
+    const context = { currentTime: 0, sampleRate: 1000 };
+    const analyser = {
+        context,
+        fftSize: 8,
+        getFloatTimeDomainData: (array) => array.forEach((_, i) => { array[i] = i; })
+    };
+    const tap = new AnalyserSampleTap([analyser]);
+    assert.equal(tap.read(), null);
+    context.currentTime = 0.003;
+    const result = tap.read();
+    assert.equal(result.offset, 5);
+    assert.equal(result.length, 3);
+    assert.deepEqual(Array.from(result.channels[0].subarray(result.offset)), [5, 6, 7]);
+    // 间隔超过缓冲时长时最多取整个缓冲
+    context.currentTime = 1;
+    assert.equal(tap.read().length, 8);
+    tap.reset();
+    assert.equal(tap.read(), null);
+});
+
+test("AnalyserSnapshot：同一帧内的多次读取只访问一次 analyser，capture() 后重新读取", () => {
+    let reads = 0;
+    const analyser = {
+        fftSize: 8,
+        frequencyBinCount: 4,
+        minDecibels: -100,
+        getByteFrequencyData: (array) => {
+            reads++;
+            array.fill(reads);
+        }
+    };
+    const snapshot = new AnalyserSnapshot(analyser);
+    assert.equal(snapshot.frequencyBinCount, 4);
+    assert.equal(snapshot.minDecibels, -100);
+    const first = new Uint8Array(4);
+    const second = new Uint8Array(4);
+    snapshot.getByteFrequencyData(first);
+    snapshot.getByteFrequencyData(second);
+    assert.equal(reads, 1);
+    assert.deepEqual(Array.from(second), [1, 1, 1, 1]);
+    // 目标数组较短时只复制前面的部分
+    const short = new Uint8Array(2);
+    snapshot.getByteFrequencyData(short);
+    assert.deepEqual(Array.from(short), [1, 1]);
+
+    snapshot.capture();
+    snapshot.getByteFrequencyData(first);
+    assert.equal(reads, 2);
+    assert.deepEqual(Array.from(first), [2, 2, 2, 2]);
+    // FFT 大小变化后按新的长度读取
+    analyser.frequencyBinCount = 8;
+    const longer = new Uint8Array(8);
+    snapshot.getByteFrequencyData(longer);
+    assert.equal(reads, 3);
+    assert.deepEqual(Array.from(longer), new Array(8).fill(3));
+});
+
+test("频率刻度：Mel 与位置换算互为反函数", () => {
+    assert.ok(Math.abs(hzToMel(1000) - 1000) < 0.5);
+    assert.ok(Math.abs(melToHz(hzToMel(4321)) - 4321) < 1e-6);
+    for (const scale of ["linear", "log", "mel"]) {
+        assert.ok(Math.abs(frequencyToPosition(20, scale, 20, 20000)) < 1e-12);
+        assert.ok(Math.abs(frequencyToPosition(20000, scale, 20, 20000) - 1) < 1e-12);
+        const hz = positionToFrequency(0.3, scale, 20, 20000);
+        assert.ok(Math.abs(frequencyToPosition(hz, scale, 20, 20000) - 0.3) < 1e-9, scale);
+    }
+    // 对数刻度上 20Hz–20kHz 的中点是 632Hz
+    assert.ok(Math.abs(positionToFrequency(0.5, "log", 20, 20000) - 632.46) < 0.01);
+});
+
+test("buildFrequencyBands：等分频带首尾相接，1/3 倍频程使用标准中心频率", () => {
+    const bands = buildFrequencyBands("log", 10, 20, 20000);
+    assert.equal(bands.length, 10);
+    assert.equal(bands[0].low, 20);
+    assert.ok(Math.abs(bands[9].high - 20000) < 1e-6);
+    for (let i = 1; i < bands.length; i++) {
+        assert.equal(bands[i].low, bands[i - 1].high);
+    }
+    const octave = buildFrequencyBands("octave", 0, 100, 1000);
+    assert.deepEqual(octave.map(band => band.center), THIRD_OCTAVE_CENTERS.filter(c => c >= 100 && c <= 1000));
+    assert.ok(Math.abs(octave[0].high / octave[0].low - Math.pow(2, 1 / 3)) < 1e-12);
+});
+
+test("sampleBands：覆盖多个 bin 时取最大值，窄于一个 bin 时线性插值", () => {
+    // 8 个 bin，采样率 16 → 每个 bin 1Hz
+    const spectrum = Float32Array.of(0, 10, 20, 30, 40, 50, 60, 70);
+    const out = sampleBands(spectrum, [{ low: 1, high: 3, center: 2 }, { low: 4.2, high: 4.4, center: 4.25 }], 16);
+    assert.equal(out[0], 30);
+    assert.ok(Math.abs(out[1] - 42.5) < 1e-9);
+});
@@ -0,0 +1,41 @@
+/**
+ * 测试用的公共工具：生成正弦波与模拟 AudioBuffer（只实现纯函数模块用到的接口）
+ */
+
+/**
+ * 生成正弦波采样；amplitudeDb 为峰值电平（dBFS），phase 为初相位（弧度）
+ */
+export function sine(frequency, amplitudeDb, seconds, sampleRate, phase = 0) {
+    const amplitude = Math.pow(10, amplitudeDb / 20);
+    const samples = new Float32Array(Math.round(seconds * sampleRate));
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] = amplitude * Math.sin((2 * Math.PI * frequency * i) / sampleRate + phase);
+    }
+    return samples;
+}
+
+/**
+ * 依次拼接多段采样
+ */
+export function concat(...parts) {
+    const out = new Float32Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+        out.set(part, offset);
+        offset += part.length;
+    });
+    return out;
+}
+
+/**
+ * 模拟 AudioBuffer：channels 为各声道的 Float32Array
+ */
+export function createAudioBuffer(channels, sampleRate) {
+    return {
+        sampleRate,
+        numberOfChannels: channels.length,
+        length: channels[0].length,
+        duration: channels[0].length / sampleRate,
+        getChannelData: (channel) => channels[channel]
+    };
+}
@@ -0,0 +1,108 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { LoudnessMeter, measureLoudness, energyToLufs, kWeightingCoefficients } from "../web/loudness.js";
+import { sine, concat, createAudioBuffer } from "./helpers.js";
+
+const RATE = 48000;
+
+/**
+ * 立体声两声道相同的 1kHz 正弦（EBU Tech 3341 的测试信号）
+ */
+function stereoSine(segments) {
+    const mono = concat(...segments.map(([db, seconds]) => (db === null
+        ? new Float32Array(seconds * RATE)
+        : sine(1000, db, seconds, RATE))));
+    return [mono, mono];
+}
+
+function measure(channels) {
+    const meter = new LoudnessMeter(RATE, channels.length);
+    meter.process(channels);
+    return meter.getSummary();
+}
+
+test("K 加权在 1kHz 附近约为 0dB，低频被 RLB 高通衰减", () => {
+    const response = (hz) => {
+        // 两级 biquad 在 hz 处的幅度响应
+        const w = (2 * Math.PI * hz) / RATE;
+        let gain = 1;
+        kWeightingCoefficients(RATE).forEach(({ b0, b1, b2, a1, a2 }) => {
+            const re = (c0, c1, c2) => c0 + c1 * Math.cos(w) + c2 * Math.cos(2 * w);
+            const im = (c1, c2) => -(c1 * Math.sin(w) + c2 * Math.sin(2 * w));
+            const num = Math.hypot(re(b0, b1, b2), im(b1, b2));
+            const den = Math.hypot(re(1, a1, a2), im(a1, a2));
+            gain *= num / den;
+        });
+        return 20 * Math.log10(gain);
+    };
+    assert.ok(Math.abs(response(1000) - 0.69) < 0.05, `1kHz: ${response(1000)}`);
+    assert.ok(response(20) < -10, `20Hz: ${response(20)}`);
+    assert.ok(Math.abs(response(10000) - 4) < 0.5, `10kHz: ${response(10000)}`);
+});
+
+test("energyToLufs：能量为 0 时返回 -Infinity", () => {
+    assert.equal(energyToLufs(0), -Infinity);
+    assert.ok(Math.abs(energyToLufs(1) + 0.691) < 1e-9);
+});
+
+test("EBU 3341 测试 1/2：-23 / -33 dBFS 立体声正弦读数为 -23 / -33 LUFS", () => {
+    for (const level of [-23, -33]) {
+        const summary = measure(stereoSine([[level, 20]]));
+        assert.ok(Math.abs(summary.integrated - level) < 0.1, `integrated ${summary.integrated}`);
+        assert.ok(Math.abs(summary.momentary - level) < 0.1, `momentary ${summary.momentary}`);
+        assert.ok(Math.abs(summary.shortTerm - level) < 0.1, `short-term ${summary.shortTerm}`);
+    }
+});
+
+test("-20 dBFS 立体声正弦读数为 -20 LUFS，单声道低约 3dB", () => {
+    assert.ok(Math.abs(measure(stereoSine([[-20, 5]])).integrated + 20) < 0.1);
+    const mono = measure([sine(1000, -20, 5, RATE)]).integrated;
+    assert.ok(Math.abs(mono + 23.01) < 0.1, `mono ${mono}`);
+});
+
+test("绝对门限：低于 -70 LUFS 的段落不计入积分响度", () => {
+    // 只有 -75 dBFS 的信号时没有有效门限块
+    assert.equal(measure(stereoSine([[-75, 5]])).integrated, -Infinity);
+    // 一半时长为静音时积分响度不变
+    const summary = measure(stereoSine([[-23, 10], [null, 10]]));
+    assert.ok(Math.abs(summary.integrated + 23) < 0.1, `integrated ${summary.integrated}`);
+});
+
+test("EBU 3341 测试 3/4：相对门限排除比均值低 10 LU 以上的段落", () => {
+    const test3 = measure(stereoSine([[-36, 10], [-23, 60], [-36, 10]])).integrated;
+    assert.ok(Math.abs(test3 + 23) < 0.1, `test 3: ${test3}`);
+    const test4 = measure(stereoSine([[-72, 10], [-36, 10], [-23, 60], [-36, 10], [-72, 10]])).integrated;
+    assert.ok(Math.abs(test4 + 23) < 0.1, `test 4: ${test4}`);
+});
+
+test("EBU 3341 测试 15：fs/4 正弦的采样点不在波峰上，真峰值比采样峰值高约 3dB", () => {
+    // 12kHz、初相 45°：采样值为 ±0.5（-6.02 dBFS），波形峰值为 0.707（-3.01 dBTP）
+    const samples = sine(RATE / 4, -3.0103, 1, RATE, Math.PI / 4);
+    const summary = measure([samples]);
+    assert.ok(Math.abs(summary.samplePeak + 6.02) < 0.05, `sample peak ${summary.samplePeak}`);
+    assert.ok(summary.truePeak > -3.4 && summary.truePeak < -2.6, `true peak ${summary.truePeak}`);
+});
+
+test("分块送入与一次送入结果相同", () => {
+    const channels = stereoSine([[-30, 3], [-18, 3]]);
+    const whole = measure(channels);
+    const meter = new LoudnessMeter(RATE, 2);
+    for (let offset = 0; offset < channels[0].length; offset += 1234) {
+        meter.process(channels, offset, Math.min(1234, channels[0].length - offset));
+    }
+    const chunked = meter.getSummary();
+    assert.ok(Math.abs(chunked.integrated - whole.integrated) < 1e-9);
+    assert.equal(chunked.truePeak, whole.truePeak);
+});
+
+test("measureLoudness：离线测量、进度回调与取消", async () => {
+    const audioBuffer = createAudioBuffer(stereoSine([[-23, 5]]), RATE);
+    const progress = [];
+    const summary = await measureLoudness(audioBuffer, { onProgress: p => progress.push(p) });
+    assert.ok(Math.abs(summary.integrated + 23) < 0.1);
+    assert.equal(progress[progress.length - 1], 1);
+
+    const controller = new AbortController();
+    controller.abort();
+    await assert.rejects(measureLoudness(audioBuffer, { signal: controller.signal }), { name: "AbortError" });
+});
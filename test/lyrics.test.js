@@ -0,0 +1,93 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseLyrics, findCueIndex } from "../web/lyrics.js";
+
+function close(actual, expected, message) {
+    assert.ok(Math.abs(actual - expected) < 1e-6, `${message}: ${actual} != ${expected}`);
+}
+
+test("LRC：多时间标签、按时间排序，下一行开始即上一行结束", () => {
+    const { format, cues } = parseLyrics([
+        "[ti:Song]",
+        "[00:05.00]second",
+        "[00:01.50][00:10.00]chorus",
+        "[00:08.00]",
+        "[00:12:50]last"
+    ].join("\n"));
+    assert.equal(format, "lrc");
+    assert.deepEqual(cues.map(cue => cue.text), ["chorus", "second", "chorus", "last"]);
+    close(cues[0].start, 1.5, "start");
+    close(cues[0].end, 5, "end");
+    // 空行只用来结束上一行
+    close(cues[1].end, 8, "blank line");
+    // mm:ss:xx 表示百分秒；最后一行显示 5 秒
+    close(cues[3].start, 12.5, "centiseconds");
+    close(cues[3].end, 17.5, "last line");
+    assert.equal(cues[0].words, null);
+});
+
+test("LRC：[offset:] 正值让歌词提前", () => {
+    const { cues } = parseLyrics("[offset:+500]\n[00:02.00]a\n[00:04.00]b");
+    close(cues[0].start, 1.5, "start");
+    close(cues[0].end, 3.5, "end");
+});
+
+test("增强 LRC：逐字时间", () => {
+    const { cues } = parseLyrics("[00:01.00]<00:01.00>Hel<00:01.40>lo <00:02.00>world\n[00:03.00]next");
+    assert.equal(cues[0].text, "Hello world");
+    assert.deepEqual(cues[0].words.map(word => word.text), ["Hel", "lo", "world"]);
+    close(cues[0].words[0].start, 1, "word 0 start");
+    close(cues[0].words[0].end, 1.4, "word 0 end");
+    close(cues[0].words[1].end, 2, "word 1 end");
+    close(cues[0].words[2].end, 3, "last word ends with the line");
+});
+
+test("SRT：逗号毫秒、多行文本与样式标签", () => {
+    const { format, cues } = parseLyrics([
+        "1",
+        "00:00:01,000 --> 00:00:02,500",
+        "<i>first</i> line",
+        "continues",
+        "",
+        "2",
+        "01:00:00,000 --> 01:00:01,000",
+        "hour"
+    ].join("\r\n"));
+    assert.equal(format, "srt");
+    assert.equal(cues[0].text, "first line continues");
+    close(cues[0].end, 2.5, "end");
+    close(cues[1].start, 3600, "hours");
+});
+
+test("WebVTT：带 BOM、cue 设置与逐字时间", () => {
+    const { format, cues } = parseLyrics([
+        "\uFEFFWEBVTT",
+        "",
+        "NOTE comment",
+        "",
+        "00:01.000 --> 00:03.000 align:center",
+        "<v Singer>One <00:02.000>two",
+        "",
+        "00:00.500 --> 00:00.900",
+        "zero"
+    ].join("\n"));
+    assert.equal(format, "vtt");
+    assert.deepEqual(cues.map(cue => cue.text), ["zero", "One two"]);
+    assert.deepEqual(cues[1].words.map(word => [word.text, word.start, word.end]), [["One", 1, 2], ["two", 2, 3]]);
+});
+
+test("无法识别的文本抛出错误", () => {
+    assert.throws(() => parseLyrics("just some words"), /no timed lines/);
+    assert.throws(() => parseLyrics(""), /no timed lines/);
+});
+
+test("findCueIndex：二分查找当前行，行间空档返回 -1", () => {
+    const cues = [{ start: 1, end: 2 }, { start: 2, end: 3 }, { start: 5, end: 6 }];
+    assert.equal(findCueIndex(cues, 0.5), -1);
+    assert.equal(findCueIndex(cues, 1), 0);
+    assert.equal(findCueIndex(cues, 2), 1);
+    assert.equal(findCueIndex(cues, 4), -1);
+    assert.equal(findCueIndex(cues, 5.99), 2);
+    assert.equal(findCueIndex(cues, 6), -1);
+    assert.equal(findCueIndex([], 1), -1);
+});
@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeMarkers, markersToJson, markersToCsv, parseMarkers } from "../web/markers.js";
+
+const strip = ({ markers, regions }) => ({
+    markers: markers.map(({ time, name }) => ({ time, name })),
+    regions: regions.map(({ start, end, name }) => ({ start, end, name }))
+});
+
+test("normalizeMarkers：丢弃非法条目，区间端点排序，按时间排序并补齐唯一 id", () => {
+    const result = normalizeMarkers({
+        markers: [{ id: "a", time: 5, name: "b" }, { id: "a", time: "1.5" }, { time: -1 }, { time: "x" }, null],
+        regions: [{ start: 9, end: 3, name: 7 }, { start: 2, end: 2 }, { start: -1, end: 4 }]
+    });
+    assert.deepEqual(strip(result), {
+        markers: [{ time: 1.5, name: "" }, { time: 5, name: "b" }],
+        regions: [{ start: 3, end: 9, name: "7" }]
+    });
+    const ids = [...result.markers, ...result.regions].map(item => item.id);
+    assert.equal(new Set(ids).size, ids.length);
+    assert.ok(ids.includes("a"));
+    assert.deepEqual(normalizeMarkers(null), { markers: [], regions: [] });
+});
+
+test("JSON 导出再导入保持不变", () => {
+    const data = normalizeMarkers({ markers: [{ time: 42, name: "artifact" }], regions: [{ start: 10, end: 20, name: "verse" }] });
+    assert.deepEqual(parseMarkers(markersToJson(data)), data);
+    // 只有标记的数组也可以导入
+    assert.deepEqual(strip(parseMarkers('[{"time": 3, "name": "x"}]')).markers, [{ time: 3, name: "x" }]);
+});
+
+test("CSV 导出：表头、三位小数与需要转义的名称", () => {
+    const csv = markersToCsv({
+        markers: [{ time: 42, name: 'artifact at 0:42, "click"' }],
+        regions: [{ start: 1, end: 2.5, name: "two\nlines" }]
+    });
+    assert.equal(csv, [
+        "type,start,end,name",
+        'marker,42.000,,"artifact at 0:42, ""click"""',
+        'region,1.000,2.500,"two\nlines"',
+        ""
+    ].join("\r\n"));
+    assert.deepEqual(strip(parseMarkers(csv)), {
+        markers: [{ time: 42, name: 'artifact at 0:42, "click"' }],
+        regions: [{ start: 1, end: 2.5, name: "two\nlines" }]
+    });
+});
+
+test("CSV 导入：time 列、mm:ss 时间、没有 type 列时按是否有 end 区分", () => {
+    const fromTime = parseMarkers("\uFEFFtime,name\n0:42.5,a\n1:00:00,b\n");
+    assert.deepEqual(strip(fromTime).markers, [{ time: 42.5, name: "a" }, { time: 3600, name: "b" }]);
+
+    const untyped = parseMarkers("start,end,name\n1,,m\n2,3,r");
+    assert.deepEqual(strip(untyped), { markers: [{ time: 1, name: "m" }], regions: [{ start: 2, end: 3, name: "r" }] });
+
+    // 没有表头时按 type,start,end,name 的列顺序读取
+    assert.deepEqual(strip(parseMarkers("marker,5,,x")).markers, [{ time: 5, name: "x" }]);
+});
+
+test("parseMarkers：空文本与非法 JSON 抛出错误", () => {
+    assert.throws(() => parseMarkers("  "), /empty marker file/);
+    assert.throws(() => parseMarkers("{oops"), SyntaxError);
+});
@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { VISUALIZATION_MODES, registerMode, unregisterMode, getMode, resolveMode, getModes } from "../web/mode_registry.js";
+
+const draw = () => {};
+
+// 内置模式由 audio_visualizer.js 注册，这里只注册退回时使用的频谱柱状图
+registerMode({ id: VISUALIZATION_MODES.BARS, label: "Spectral Bars", draw });
+
+test("registerMode：按注册顺序返回，未提供 label 时使用 id", () => {
+    registerMode({ id: "test-plain", draw });
+    const ids = getModes().map(mode => mode.id);
+    assert.ok(ids.indexOf(VISUALIZATION_MODES.BARS) < ids.indexOf("test-plain"));
+    assert.equal(getMode("test-plain").label, "test-plain");
+    assert.equal(getMode("test-plain").draw, draw);
+});
+
+test("registerMode：缺少 id 或 draw 时抛出错误", () => {
+    assert.throws(() => registerMode({ id: "", draw }), /non-empty string id/);
+    assert.throws(() => registerMode({ label: "No id", draw }), /non-empty string id/);
+    assert.throws(() => registerMode({ id: "test-no-draw" }), /draw\(frame\)/);
+    assert.equal(getMode("test-no-draw"), null);
+});
+
+test("registerMode：同 id 再次注册时覆盖原定义并给出警告，位置不变", (t) => {
+    const warn = t.mock.method(console, "warn", () => {});
+    registerMode({ id: "test-replace", label: "Old", draw });
+    const position = getModes().findIndex(mode => mode.id === "test-replace");
+    const replacement = () => {};
+    registerMode({ id: "test-replace", label: "New", draw: replacement });
+    assert.equal(warn.mock.callCount(), 1);
+    assert.equal(getMode("test-replace").label, "New");
+    assert.equal(getMode("test-replace").draw, replacement);
+    assert.equal(getModes().findIndex(mode => mode.id === "test-replace"), position);
+    assert.equal(getModes().filter(mode => mode.id === "test-replace").length, 1);
+});
+
+test("unregisterMode 之后 resolveMode 退回频谱柱状图", () => {
+    registerMode({ id: "test-removed", draw });
+    assert.equal(resolveMode("test-removed").id, "test-removed");
+    assert.equal(unregisterMode("test-removed"), true);
+    assert.equal(unregisterMode("test-removed"), false);
+    assert.equal(getMode("test-removed"), null);
+    assert.equal(resolveMode("test-removed").id, VISUALIZATION_MODES.BARS);
+    assert.equal(resolveMode(undefined).id, VISUALIZATION_MODES.BARS);
+});
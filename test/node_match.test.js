@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseNodeList, hasAudioSockets, shouldAttachVisualizer } from "../web/node_match.js";
+
+// ComfyUI /object_info 中的节点定义（只保留用到的字段）
+const loadAudio = {
+    name: "LoadAudio",
+    input: { required: { audio: [["a.wav"], { audio_upload: true }] } },
+    output: ["AUDIO"]
+};
+const customOutput = { name: "MyTTS", input: { required: { text: ["STRING", {}] } }, output: ["AUDIO"] };
+const customInput = { name: "AudioToText", input: { required: { clip: ["AUDIO"] }, optional: { lang: [["en", "zh"]] } }, output: ["STRING"] };
+const customUpload = { name: "MyUpload", input: { required: { file: [["x.mp3"], { audio_upload: true }] } }, output: [] };
+const customPlayer = { name: "MyPlayer", input: { required: { audioUI: ["AUDIO_UI", {}] } }, output: [] };
+const plain = { name: "KSampler", input: { required: { seed: ["INT", {}] } }, output: ["LATENT"] };
+
+test("parseNodeList：逗号与换行分隔，去掉空白与空项", () => {
+    assert.deepEqual(parseNodeList(" A, B\nC ,,\n\n"), ["A", "B", "C"]);
+    assert.deepEqual(parseNodeList(""), []);
+    assert.deepEqual(parseNodeList(undefined), []);
+});
+
+test("hasAudioSockets：音频输入 / 输出、audioUI 与音频上传控件", () => {
+    assert.equal(hasAudioSockets(customOutput), true);
+    assert.equal(hasAudioSockets(customInput), true);
+    assert.equal(hasAudioSockets(customUpload), true);
+    assert.equal(hasAudioSockets(customPlayer), true);
+    assert.equal(hasAudioSockets(plain), false);
+    // 缺少 input / output 的定义
+    assert.equal(hasAudioSockets({ name: "Empty" }), false);
+});
+
+test("shouldAttachVisualizer：默认只挂载官方音频节点", () => {
+    assert.equal(shouldAttachVisualizer(loadAudio), true);
+    assert.equal(shouldAttachVisualizer({ name: "PreviewAudio" }), true);
+    assert.equal(shouldAttachVisualizer(customOutput), false);
+    assert.equal(shouldAttachVisualizer(plain), false);
+});
+
+test("shouldAttachVisualizer：允许列表按节点类型名匹配，不要求音频插槽", () => {
+    const options = { allowList: "MyTTS, KSampler" };
+    assert.equal(shouldAttachVisualizer(customOutput, options), true);
+    assert.equal(shouldAttachVisualizer(plain, options), true);
+    assert.equal(shouldAttachVisualizer(customInput, options), false);
+});
+
+test("shouldAttachVisualizer：开启自动识别后挂载带音频插槽的节点", () => {
+    const options = { autoDetect: true };
+    assert.equal(shouldAttachVisualizer(customOutput, options), true);
+    assert.equal(shouldAttachVisualizer(customInput, options), true);
+    assert.equal(shouldAttachVisualizer(plain, options), false);
+});
+
+test("shouldAttachVisualizer：拒绝列表优先于默认节点、允许列表与自动识别", () => {
+    const options = { allowList: "MyTTS", denyList: "LoadAudio\nMyTTS\nAudioToText", autoDetect: true };
+    assert.equal(shouldAttachVisualizer(loadAudio, options), false);
+    assert.equal(shouldAttachVisualizer(customOutput, options), false);
+    assert.equal(shouldAttachVisualizer(customInput, options), false);
+    assert.equal(shouldAttachVisualizer(customUpload, options), true);
+});
@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { NOTE_NAMES, frequencyToMidi, midiToFrequency, midiToNote, detectPitch, computeChroma } from "../web/pitch.js";
+import { sine } from "./helpers.js";
+
+const RATE = 48000;
+
+test("频率与 MIDI 音高换算：A4 = 440Hz = 69", () => {
+    assert.equal(frequencyToMidi(440), 69);
+    assert.equal(midiToFrequency(69), 440);
+    assert.ok(Math.abs(midiToFrequency(60) - 261.6256) < 1e-4);
+    assert.ok(Math.abs(frequencyToMidi(midiToFrequency(47.3)) - 47.3) < 1e-9);
+});
+
+test("midiToNote：最近的音名、八度与音分偏差", () => {
+    assert.deepEqual(midiToNote(69), { name: "A", octave: 4, midi: 69, cents: 0, label: "A4" });
+    const sharp = midiToNote(60.25);
+    assert.equal(sharp.label, "C4");
+    assert.ok(Math.abs(sharp.cents - 25) < 1e-9);
+    const flat = midiToNote(frequencyToMidi(435));
+    assert.equal(flat.label, "A4");
+    assert.ok(Math.abs(flat.cents + 19.78) < 0.01);
+    assert.equal(midiToNote(-1).name, "B");
+    assert.equal(NOTE_NAMES.length, 12);
+});
+
+test("detectPitch：正弦与带泛音的音的基频误差在 1 音分以内", () => {
+    for (const hz of [82.41, 220, 440, 987.77]) {
+        const result = detectPitch(sine(hz, -12, 0.05, RATE), RATE);
+        const cents = 1200 * Math.log2(result.frequency / hz);
+        assert.ok(Math.abs(cents) < 1, `${hz}Hz: ${result.frequency}`);
+        assert.ok(result.clarity > 0.9);
+    }
+
+    // 二次泛音与基频一样强时仍报告基频（不跳到高八度）
+    const fundamental = sine(196, -12, 0.05, RATE);
+    const overtone = sine(392, -12, 0.05, RATE);
+    const mixed = fundamental.map((value, i) => value + overtone[i]);
+    const result = detectPitch(mixed, RATE);
+    assert.ok(Math.abs(1200 * Math.log2(result.frequency / 196)) < 5, `${result.frequency}`);
+});
+
+test("detectPitch：静音与噪声返回 null，搜索范围之外的频率不报告", () => {
+    assert.equal(detectPitch(new Float32Array(2048), RATE), null);
+    let seed = 1;
+    const noise = new Float32Array(2048).map(() => {
+        seed = (seed * 16807) % 2147483647;
+        return seed / 2147483647 - 0.5;
+    });
+    assert.equal(detectPitch(noise, RATE), null);
+    // 默认下限 50Hz：窗长内不足两个 30Hz 周期
+    assert.equal(detectPitch(sine(30, -12, 2048 / RATE, RATE), RATE), null);
+});
+
+test("detectPitch：可复用外部缓冲", () => {
+    const buffer = new Float32Array(4096);
+    const first = detectPitch(sine(330, -12, 0.05, RATE), RATE, { buffer });
+    const second = detectPitch(sine(330, -12, 0.05, RATE), RATE);
+    assert.equal(first.frequency, second.frequency);
+});
+
+test("computeChroma：C 大三和弦的能量集中在 C、E、G", () => {
+    const bins = 4096;
+    const binHz = RATE / 2 / bins;
+    const spectrum = new Float32Array(bins).fill(-Infinity);
+    // C4、E4、G4 及其高八度
+    [261.63, 329.63, 392, 523.25, 659.26, 783.99].forEach(hz => {
+        spectrum[Math.round(hz / binHz)] = -20;
+    });
+    const chroma = computeChroma(spectrum, RATE);
+    const active = Array.from(chroma).map((value, index) => (value > 0.5 ? NOTE_NAMES[index] : null)).filter(Boolean);
+    assert.deepEqual(active, ["C", "E", "G"]);
+    assert.equal(Math.max(...chroma), 1);
+});
+
+test("computeChroma：全部为 -Infinity 时结果为 0", () => {
+    const chroma = computeChroma(new Float32Array(1024).fill(-Infinity), RATE);
+    assert.deepEqual(Array.from(chroma), new Array(12).fill(0));
+});
@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ZipWriter } from "../web/zip.js";
+
+/**
+ * 按中央目录读出 ZIP 中的全部条目 { name, crc, data }
+ */
+function readZip(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const endOffset = bytes.length - 22;
+    assert.equal(view.getUint32(endOffset, true), 0x06054b50);
+    const count = view.getUint16(endOffset + 10, true);
+    let cursor = view.getUint32(endOffset + 16, true);
+    const decoder = new TextDecoder();
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        assert.equal(view.getUint32(cursor, true), 0x02014b50);
+        const crc = view.getUint32(cursor + 16, true);
+        const size = view.getUint32(cursor + 24, true);
+        const nameLength = view.getUint16(cursor + 28, true);
+        const localOffset = view.getUint32(cursor + 42, true);
+        const name = decoder.decode(bytes.subarray(cursor + 46, cursor + 46 + nameLength));
+        // 本地文件头与中央目录一致
+        assert.equal(view.getUint32(localOffset, true), 0x04034b50);
+        assert.equal(view.getUint32(localOffset + 14, true), crc);
+        assert.equal(view.getUint16(localOffset + 26, true), nameLength);
+        const dataStart = localOffset + 30 + nameLength;
+        entries.push({ name, crc, data: bytes.subarray(dataStart, dataStart + size) });
+        cursor += 46 + nameLength;
+    }
+    return entries;
+}
+
+test("ZipWriter：写入的条目可按中央目录读回，CRC32 与参考值一致", async () => {
+    const zip = new ZipWriter();
+    await zip.addFile("hello.txt", new TextEncoder().encode("hello"));
+    await zip.addFile("frames/帧_01.bin", new Blob([Uint8Array.of(1, 2, 3)]));
+    await zip.addFile("empty", new Uint8Array(0));
+    const blob = zip.finish();
+    assert.equal(blob.type, "application/zip");
+
+    const entries = readZip(new Uint8Array(await blob.arrayBuffer()));
+    assert.deepEqual(entries.map(entry => entry.name), ["hello.txt", "frames/帧_01.bin", "empty"]);
+    // crc32("hello") = 0x3610a686
+    assert.equal(entries[0].crc, 0x3610a686);
+    assert.equal(new TextDecoder().decode(entries[0].data), "hello");
+    assert.deepEqual(Array.from(entries[1].data), [1, 2, 3]);
+    assert.equal(entries[2].crc, 0);
+    assert.equal(entries[2].data.length, 0);
+});
+
+test("ZipWriter：空归档只有结束记录", async () => {
+    const bytes = new Uint8Array(await new ZipWriter().finish().arrayBuffer());
+    assert.equal(bytes.length, 22);
+    assert.deepEqual(readZip(bytes), []);
+});
+
+test("ZipWriter：size 与 finish() 生成的字节数一致", async () => {
+    const zip = new ZipWriter();
+    assert.equal(zip.size, 22);
+    await zip.addFile("a.bin", new Uint8Array(1000));
+    await zip.addFile("帧/b.bin", new Blob([new Uint8Array(10)]));
+    assert.equal(zip.size, zip.finish().size);
+});
+
+test("ZipWriter：超过非 ZIP64 格式的条目数上限时报错", async () => {
+    const zip = new ZipWriter();
+    zip.entries = new Array(0xffff);
+    await assert.rejects(zip.addFile("overflow", new Uint8Array(1)), /Too many files/);
+});
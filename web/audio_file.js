@@ -0,0 +1,152 @@
+/**
+ * 音频文件解码与波形概览工具
+ *
+ * 功能：
+ * - 通过 fetch + decodeAudioData 一次性解码完整音频文件
+ * - 计算用于静态波形概览的 min/max/RMS 峰值数据（含削波标记）
+ * - 将 AudioBuffer 编码为 16 位 PCM WAV
+ */
+
+// 解码使用的采样率（OfflineAudioContext 会把文件重采样到该采样率）
+const DECODE_SAMPLE_RATE = 48000;
+
+// 认为是削波的采样绝对值阈值
+const CLIP_THRESHOLD = 0.999;
+
+let decodeContext = null;
+
+/**
+ * 获取用于解码的 OfflineAudioContext（无需用户交互即可创建）
+ */
+function getDecodeContext() {
+    if (!decodeContext) {
+        const OfflineContextClass = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        decodeContext = new OfflineContextClass(1, 1, DECODE_SAMPLE_RATE);
+    }
+    return decodeContext;
+}
+
+/**
+ * 下载并解码音频 URL，返回 AudioBuffer
+ */
+export async function decodeAudioUrl(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status} while fetching audio`);
+    }
+    const arrayBuffer = await response.arrayBuffer();
+    const context = getDecodeContext();
+    // 老版本 Safari 只支持回调形式
+    return await new Promise((resolve, reject) => {
+        const result = context.decodeAudioData(arrayBuffer, resolve, reject);
+        if (result && typeof result.then === "function") {
+            result.then(resolve, reject);
+        }
+    });
+}
+
+/**
+ * 计算波形概览峰值数据
+ * 所有声道合并到同一组桶中：min/max 取所有声道的极值，rms 取所有声道的均方根
+ */
+export function computePeaks(audioBuffer, bucketCount = 4096) {
+    const length = audioBuffer.length;
+    const channelCount = audioBuffer.numberOfChannels;
+    const buckets = Math.max(1, Math.min(bucketCount, length));
+    const min = new Float32Array(buckets);
+    const max = new Float32Array(buckets);
+    const rms = new Float32Array(buckets);
+    const clipped = new Uint8Array(buckets);
+    const sumSquares = new Float64Array(buckets);
+    const samplesPerBucket = length / buckets;
+
+    min.fill(1);
+    max.fill(-1);
+
+    for (let c = 0; c < channelCount; c++) {
+        const data = audioBuffer.getChannelData(c);
+        for (let b = 0; b < buckets; b++) {
+            const start = Math.floor(b * samplesPerBucket);
+            const end = Math.min(length, Math.floor((b + 1) * samplesPerBucket));
+            let bucketMin = min[b];
+            let bucketMax = max[b];
+            let squares = 0;
+            for (let i = start; i < end; i++) {
+                const v = data[i];
+                if (v < bucketMin) bucketMin = v;
+                if (v > bucketMax) bucketMax = v;
+                squares += v * v;
+                if (v >= CLIP_THRESHOLD || v <= -CLIP_THRESHOLD) {
+                    clipped[b] = 1;
+                }
+            }
+            min[b] = bucketMin;
+            max[b] = bucketMax;
+            sumSquares[b] += squares;
+        }
+    }
+
+    for (let b = 0; b < buckets; b++) {
+        const start = Math.floor(b * samplesPerBucket);
+        const end = Math.min(length, Math.floor((b + 1) * samplesPerBucket));
+        const count = Math.max(1, (end - start) * channelCount);
+        rms[b] = Math.sqrt(sumSquares[b] / count);
+        if (min[b] > max[b]) {
+            // 空桶（极短文件）
+            min[b] = 0;
+            max[b] = 0;
+        }
+    }
+
+    return {
+        min,
+        max,
+        rms,
+        clipped,
+        buckets,
+        duration: audioBuffer.duration,
+        sampleRate: audioBuffer.sampleRate,
+        numberOfChannels: channelCount
+    };
+}
+
+/**
+ * 将 AudioBuffer 编码为 16 位 PCM WAV
+ */
+export function encodeWav(audioBuffer) {
+    const channelCount = audioBuffer.numberOfChannels;
+    const length = audioBuffer.length;
+    const dataSize = length * channelCount * 2;
+    const view = new DataView(new ArrayBuffer(44 + dataSize));
+    const writeString = (offset, text) => {
+        for (let i = 0; i < text.length; i++) {
+            view.setUint8(offset + i, text.charCodeAt(i));
+        }
+    };
+
+    writeString(0, "RIFF");
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(8, "WAVE");
+    writeString(12, "fmt ");
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true);
+    view.setUint16(22, channelCount, true);
+    view.setUint32(24, audioBuffer.sampleRate, true);
+    view.setUint32(28, audioBuffer.sampleRate * channelCount * 2, true);
+    view.setUint16(32, channelCount * 2, true);
+    view.setUint16(34, 16, true);
+    writeString(36, "data");
+    view.setUint32(40, dataSize, true);
+
+    const channels = Array.from({ length: channelCount }, (_, c) => audioBuffer.getChannelData(c));
+    let offset = 44;
+    for (let i = 0; i < length; i++) {
+        for (let c = 0; c < channelCount; c++) {
+            const sample = Math.max(-1, Math.min(1, channels[c][i]));
+            view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+            offset += 2;
+        }
+    }
+
+    return new Blob([view.buffer], { type: "audio/wav" });
+}
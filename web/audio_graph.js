@@ -0,0 +1,86 @@
+/**
+ * 共享音频图管理
+ *
+ * 浏览器限制同时存在的 AudioContext 数量，所有节点共用这里的一个 AudioContext。
+ * 一个 <audio> 元素只能创建一次 MediaElementSource，且创建后元素只能通过该 source 所在的 context 发声，
+ * 因此：
+ * - source 按元素记录在 WeakMap 中，重复连接时复用；source 始终直连 destination，播放与可视化器的连接状态无关
+ * - 每个可视化器通过 connectElementTap() 获得一条从 source 分出的旁路分析支路（tap），断开时只拆掉自己的支路
+ * - 共享 context 一旦创建就不再关闭，否则已接入的元素会永久静音
+ */
+
+let sharedContext = null;
+const elementSources = new WeakMap();
+
+/**
+ * 获取共享的 AudioContext（首次调用时创建）
+ */
+export function getAudioContext() {
+    if (!sharedContext || sharedContext.state === "closed") {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) {
+            throw new Error("Web Audio API is not supported");
+        }
+        sharedContext = new AudioContextClass();
+    }
+    return sharedContext;
+}
+
+/**
+ * 恢复被浏览器自动播放策略挂起的共享 context（需要在用户交互之后调用才会成功）
+ */
+export function resumeAudioContext() {
+    if (sharedContext && sharedContext.state === "suspended") {
+        sharedContext.resume().catch(e => {
+            console.warn("AudioVisualizer: failed to resume AudioContext", e);
+        });
+    }
+}
+
+/**
+ * 获取（或创建）元素的 MediaElementSource
+ */
+export function getElementSource(element) {
+    const context = getAudioContext();
+    const existing = elementSources.get(element);
+    if (existing) {
+        if (existing.context !== context) {
+            // 只有共享 context 被外部关闭时才会出现；元素已经无法再接入新的 context
+            throw new Error("audio element is bound to a closed AudioContext");
+        }
+        return existing;
+    }
+
+    const source = context.createMediaElementSource(element);
+    source.connect(context.destination);
+    elementSources.set(element, source);
+    return source;
+}
+
+/**
+ * 为元素分出一条旁路分析支路
+ * 返回 { context, source, input }：分析节点连接到 input（单位增益 GainNode），不需要连接 destination
+ */
+export function connectElementTap(element) {
+    const source = getElementSource(element);
+    const input = source.context.createGain();
+    source.connect(input);
+    return {
+        context: source.context,
+        source,
+        input
+    };
+}
+
+/**
+ * 拆除 connectElementTap() 创建的支路；元素的 source 与播放输出保持不变
+ */
+export function releaseElementTap(tap) {
+    if (!tap) return;
+    try {
+        tap.source.disconnect(tap.input);
+    } catch (e) {}
+    try {
+        tap.input.disconnect();
+    } catch (e) {}
+}
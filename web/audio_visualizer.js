@@ -4,11 +4,70 @@
  * 
  * 功能：
  * - 为官方音频节点（Load/Save/Preview）和未来扩展添加 Canvas 可视化
- * - 支持三种可视化模式：波形图、频谱柱状图、圆形频谱图
- * - 实时显示音频波形
+ * - 十种内置可视化模式：波形、频谱柱状图、圆形频谱、波形概览、语谱图、立体声波形、L/R 电平表、
+ *   矢量示波器、A/B 对比与音高；其他扩展可通过 registerMode() 注册自己的模式
+ * - 音频加载后即解码整段文件，绘制静态波形概览与播放头
+ * - 滚动语谱图（瀑布图），也可显示整段文件的离线语谱图
+ * - 立体声分析：左右声道波形、L/R 电平表、矢量示波器与相位相关度
+ * - 响度表叠加层（瞬时/短期/积分 LUFS、真峰值、RMS），并可离线测量整段文件
+ * - 将画布动画连同音轨录制为 WebM，下载或上传到 ComfyUI 的 input/output 目录
+ * - 悬停十字线读数（频率 / dB / 时间 / 采样值）与冻结画面
+ * - 同时支持 LiteGraph 画布渲染与 Vue 节点渲染
+ * - 叠加 LRC / SRT / WebVTT 歌词与字幕，按播放位置高亮当前行与逐字进度
+ * - 音高模式：调音器式音名 / 音分读数、音高曲线与 12 半音色度图
+ * - 起音 / 节拍检测与 BPM 读数（实时与整段文件），驱动圆形频谱脉动、背景闪烁等节拍效果
+ * - 时间轴上的命名标记与区间（可导出 / 导入 JSON、CSV），以及在两个标记或一个区间之间循环播放
+ * - 弹出显示：全屏、独立窗口或文档画中画，由同一节点的 analyser 驱动
+ *
+ * 模块：
+ * - 本文件：AudioVisualizer 类（画布、音频接入、绘制循环、模式菜单）、内置模式注册与扩展注册
+ * - mode_registry.js：可视化模式注册表；menu.js / format.js：菜单控件与数值格式化
+ * - dsp.js / loudness.js / beat_detection.js / pitch.js：频谱、响度、节拍与音高分析
+ * - audio_file.js / audio_graph.js / node_dom.js：音频解码、共享 AudioContext、节点中的播放器元素
+ * - node_match.js：按默认节点、允许 / 拒绝列表与自动识别判断哪些节点挂载可视化器
+ * - lyrics.js / markers.js / colormaps.js / zip.js：歌词解析、标记数据、配色表与 ZIP 打包
+ * - 以方法混入的方式挂到 AudioVisualizer 上的功能模块：
+ *   visualizer_bars.js：柱状图的频率刻度、Hz 坐标轴 / dB 网格与柱子样式
+ *   visualizer_beats.js：起音 / 节拍检测、BPM 读数与节拍效果
+ *   visualizer_compare.js：A/B 对比（参考节点、对比视图的菜单与绘制）
+ *   visualizer_loudness.js：响度表叠加层（实时与整段文件测量）
+ *   visualizer_lyrics.js：歌词 / 字幕的加载、保存与叠加层
+ *   visualizer_markers.js：时间轴标记、区间与循环播放
+ *   visualizer_pitch.js：音高曲线、调音器读数与 12 半音色度图
+ *   visualizer_popout.js：全屏、独立窗口与画中画弹出显示
+ *   visualizer_readout.js：悬停十字线读数与冻结画面
+ *   visualizer_recording.js：录制 WebM 视频并下载或上传到 ComfyUI
+ *   visualizer_render.js：离线逐帧渲染为 PNG 序列
+ *   visualizer_spectrogram.js：滚动语谱图与整段文件的离线语谱图
+ *   visualizer_stereo.js：左右声道波形、L/R 电平表与矢量示波器，以及分声道分析链
  */
 
 import { app } from "../../scripts/app.js";
+import { decodeAudioUrl, computePeaks } from "./audio_file.js";
+import { AnalyserSnapshot, sampleBands } from "./dsp.js";
+import { PALETTES, DEFAULT_PALETTE, PALETTE_MAPPINGS, THEMES, getPaletteLUT } from "./colormaps.js";
+import { VISUALIZATION_MODES, registerMode, unregisterMode, getMode, resolveMode, getModes } from "./mode_registry.js";
+import { connectElementTap, releaseElementTap, resumeAudioContext } from "./audio_graph.js";
+import { findNodeAudioElement, watchNodeAudioElement } from "./node_dom.js";
+import { shouldAttachVisualizer } from "./node_match.js";
+import {
+    createMenuDivider, createMenuHeading, createMenuRow, createMenuCheckbox, createMenuButton, createMenuColorInput,
+    createMenuSelect, createMenuRange
+} from "./menu.js";
+import { formatTime } from "./format.js";
+import { barsMethods } from "./visualizer_bars.js";
+import { beatsMethods, BEAT_PULSE_SCALE, BEAT_FLASH_ALPHA } from "./visualizer_beats.js";
+import { compareMethods } from "./visualizer_compare.js";
+import { loudnessMethods } from "./visualizer_loudness.js";
+import { lyricsMethods } from "./visualizer_lyrics.js";
+import { markersMethods, REGION_MIN_SECONDS } from "./visualizer_markers.js";
+import { pitchMethods } from "./visualizer_pitch.js";
+import { popoutMethods } from "./visualizer_popout.js";
+import { readoutMethods } from "./visualizer_readout.js";
+import { recordingMethods } from "./visualizer_recording.js";
+import { renderMethods } from "./visualizer_render.js";
+import { spectrogramMethods } from "./visualizer_spectrogram.js";
+import { stereoMethods } from "./visualizer_stereo.js";
 
 // 简单的链式回调函数（如果系统没有提供）
 function useChainCallback(originalCallback, ...callbacks) {
@@ -22,13 +81,176 @@ function useChainCallback(originalCallback, ...callbacks) {
     };
 }
 
-// 可视化模式枚举
-const VISUALIZATION_MODES = {
-    WAVE: "wave",
-    BARS: "bars",
-    CIRCULAR: "circular"
+// ComfyUI 设置项 id
+const SETTING_IDS = {
+    AUTO_DETECT: "AudioVisualizer.Nodes.AutoDetect",
+    ALLOW_LIST: "AudioVisualizer.Nodes.AllowList",
+    DENY_LIST: "AudioVisualizer.Nodes.DenyList",
+    DEFAULT_MODE: "AudioVisualizer.Defaults.Mode",
+    DEFAULT_FFT_SIZE: "AudioVisualizer.Defaults.FFTSize",
+    PRIMARY_COLOR: "AudioVisualizer.Defaults.PrimaryColor",
+    SECONDARY_COLOR: "AudioVisualizer.Defaults.SecondaryColor",
+    BACKGROUND_COLOR: "AudioVisualizer.Defaults.BackgroundColor",
+    BACKGROUND_OPACITY: "AudioVisualizer.Defaults.BackgroundOpacity",
+    ENABLED: "AudioVisualizer.Defaults.Enabled",
+    FPS_CAP: "AudioVisualizer.Performance.FrameRateCap"
 };
 
+// 可选的 FFT 大小与帧率上限（0 表示不限制，跟随显示器刷新率）
+const FFT_SIZE_OPTIONS = [256, 512, 1024, 2048, 4096, 8192, 16384, 32768];
+const FPS_CAP_OPTIONS = [0, 15, 24, 30, 60];
+
+// 画布高度（CSS 像素）的可调范围与默认值
+const CANVAS_HEIGHT_MIN = 120;
+const CANVAS_HEIGHT_MAX = 600;
+const CANVAS_HEIGHT_DEFAULT = 200;
+// 官方节点的容器比画布高出的部分（模式菜单按钮下方的留白）
+const CANVAS_CONTAINER_PADDING = 20;
+
+// 画布在屏幕上的高度（像素，含画布缩放）低于该值时跳过绘制；低于 SMALL_CANVAS_PX 时帧率限制为 SMALL_CANVAS_FPS
+const MIN_VISIBLE_CANVAS_PX = 40;
+const SMALL_CANVAS_PX = 120;
+const SMALL_CANVAS_FPS = 15;
+
+/**
+ * 读取 ComfyUI 设置（兼容新旧两套设置接口）
+ */
+function getSetting(id, fallback) {
+    let value;
+    try {
+        value = app.extensionManager?.setting?.get?.(id) ?? app.ui?.settings?.getSettingValue?.(id);
+    } catch (e) {
+        value = undefined;
+    }
+    return value ?? fallback;
+}
+
+// 帧率上限设置的缓存值：绘制循环每帧都要用，由设置项的 onChange 更新，首次使用时读取一次
+let fpsCapSetting = null;
+
+/**
+ * 更新缓存的帧率上限（非法值按不限制处理）
+ */
+function setFpsCap(value) {
+    const fps = parseInt(value);
+    fpsCapSetting = FPS_CAP_OPTIONS.includes(fps) ? fps : 0;
+}
+
+/**
+ * 当前的帧率上限，0 表示不限制
+ */
+function getFpsCap() {
+    if (fpsCapSetting === null) {
+        setFpsCap(getSetting(SETTING_IDS.FPS_CAP, 0));
+    }
+    return fpsCapSetting;
+}
+
+/**
+ * 规范化颜色设置值（颜色选择器保存的值可能不带 #）
+ */
+function normalizeHexColor(value, fallback) {
+    const match = /^#?([0-9a-f]{6})$/i.exec(String(value ?? "").trim());
+    return match ? `#${match[1].toLowerCase()}` : fallback;
+}
+
+// 内置模式与第三方模式使用同一个注册表，绘制函数通过 frame.visualizer 调用类上的实现
+[
+    {
+        id: VISUALIZATION_MODES.WAVE,
+        label: "Waveform",
+        draw: (frame) => frame.visualizer.drawWave(frame),
+        readout: (frame, x, y) => frame.visualizer.getWaveReadout(frame, x, y)
+    },
+    {
+        id: VISUALIZATION_MODES.BARS,
+        label: "Spectral Bars",
+        draw: (frame) => frame.visualizer.drawBars(frame),
+        readout: (frame, x, y) => frame.visualizer.getBarsReadout(frame, x, y)
+    },
+    { id: VISUALIZATION_MODES.CIRCULAR, label: "Circular", draw: (frame) => frame.visualizer.drawCircular(frame) },
+    {
+        id: VISUALIZATION_MODES.OVERVIEW,
+        label: "Overview",
+        draw: (frame) => {
+            const visualizer = frame.visualizer;
+            if (visualizer.overview) {
+                visualizer.drawOverview(frame);
+            } else {
+                // 概览尚未解码完成时退回实时波形
+                visualizer.drawWave(frame);
+            }
+        },
+        readout: (frame, x, y) => {
+            const visualizer = frame.visualizer;
+            return visualizer.overview
+                ? visualizer.getOverviewReadout(frame, x, y)
+                : visualizer.getWaveReadout(frame, x, y);
+        }
+    },
+    {
+        id: VISUALIZATION_MODES.SPECTROGRAM,
+        label: "Spectrogram",
+        draw: (frame) => {
+            const visualizer = frame.visualizer;
+            if (visualizer.isShowingFullSpectrogram()) {
+                visualizer.drawFullSpectrogram(frame);
+            } else {
+                visualizer.drawSpectrogram(frame);
+            }
+        },
+        readout: (frame, x, y) => {
+            const visualizer = frame.visualizer;
+            return visualizer.isShowingFullSpectrogram()
+                ? visualizer.getFullSpectrogramReadout(frame, x, y)
+                : visualizer.getSpectrogramReadout(frame, x, y);
+        }
+    },
+    {
+        id: VISUALIZATION_MODES.STEREO_WAVE,
+        label: "Stereo Waveform",
+        draw: (frame) => frame.visualizer.drawStereoWave(frame),
+        readout: (frame, x, y) => frame.visualizer.getStereoWaveReadout(frame, x, y)
+    },
+    { id: VISUALIZATION_MODES.METERS, label: "L/R Meters", draw: (frame) => frame.visualizer.drawMeters(frame) },
+    { id: VISUALIZATION_MODES.VECTORSCOPE, label: "Vectorscope", draw: (frame) => frame.visualizer.drawVectorscope(frame) },
+    {
+        id: VISUALIZATION_MODES.COMPARE,
+        label: "A/B Compare",
+        draw: (frame) => frame.visualizer.drawCompare(frame),
+        readout: (frame, x, y) => frame.visualizer.getCompareReadout(frame, x, y)
+    },
+    {
+        id: VISUALIZATION_MODES.PITCH,
+        label: "Pitch / Tuner",
+        draw: (frame) => frame.visualizer.drawPitch(frame),
+        readout: (frame, x, y) => frame.visualizer.getPitchReadout(frame, x, y)
+    }
+].forEach(registerMode);
+
+// 对外公开的扩展接口：第三方扩展在自己的 setup() 中调用 window.comfyAudioVisualizer.registerMode(...)
+window.comfyAudioVisualizer = Object.assign(window.comfyAudioVisualizer || {}, {
+    registerMode,
+    unregisterMode,
+    getModes,
+    VISUALIZATION_MODES
+});
+
+// 第三方模式绘制出错时只报告一次，避免每帧刷屏
+const reportedModeErrors = new Set();
+
+// 波形概览的峰值桶数量（绘制时再按画布宽度聚合）
+const OVERVIEW_BUCKETS = 4096;
+
+// 频谱 analyser 的默认平滑系数与 dB 范围（与 AnalyserNode 默认范围一致）
+const ANALYSER_SMOOTHING = 0.85;
+const ANALYSER_MIN_DB = -100;
+const ANALYSER_MAX_DB = -30;
+
+// 菜单中可选的 dB 范围
+const MIN_DECIBEL_OPTIONS = [-140, -120, -100, -90, -80, -70, -60];
+const MAX_DECIBEL_OPTIONS = [-50, -40, -30, -20, -10, 0];
+
 /**
  * 音频可视化器类
  */
@@ -37,15 +259,60 @@ class AudioVisualizer {
         this.node = node;
         this.canvas = null;
         this.ctx = null;
+        // 共享 AudioContext 中属于本节点的旁路分析支路（见 audio_graph.js）
         this.audioContext = null;
+        this.audioTap = null;
         this.analyser = null;
+        // 立体声分析链：source -> upmix(2ch) -> splitter -> 左/右 analyser
+        this.channelUpmix = null;
+        this.channelSplitter = null;
+        this.channelAnalysers = null;
+        // 实时绘制读取的 analyser 逐帧快照（节点画布与弹出窗口共用一次读取），见 getLiveAnalysers()
+        this.liveAnalysers = null;
+        // 响度表的实时取样 analyser（随分声道分析链创建）
+        this.meterAnalysers = null;
+        this.loudnessTap = null;
         this.audioElement = null;
         this.source = null;
         this.animationFrameId = null;
+        // 当前动画帧所在的窗口（弹出到独立窗口 / 画中画时绘制循环跟随弹出窗口）
+        this.animationFrameWindow = window;
+        this.lastDrawTime = 0;
+        // 画布可见性：是否在视口内（IntersectionObserver）
+        this.canvasInViewport = true;
+        this.visibilityObserver = null;
+        // 画布的 CSS 尺寸（绘制坐标）与后备缓冲的像素比，由 ResizeObserver 与 devicePixelRatio 驱动
+        this.displayWidth = 0;
+        this.displayHeight = 0;
+        this.pixelRatio = 1;
+        this.resizeObserver = null;
+        this.pixelRatioQuery = null;
         this.isInitialized = false;
         
+        // 整段音频解码结果与波形概览
+        this.audioBuffer = null;
+        this.overview = null;
+        this.overviewUrl = null;
+        this.overviewToken = 0;
+        // 官方 audioUI 播放器元素（用于读取/设置播放位置）；Vue 节点模式下元素可能被重新挂载替换，
+        // 由 stopWatchingPlayer 对应的观察器跟踪，playerListeners 记录挂在当前元素上的事件
+        this.playerElement = null;
+        this.playerListeners = null;
+        this.stopWatchingPlayer = null;
+        
+        // 画布上的悬停/拖动定位状态；hoverPoint 为光标在画布上的相对位置（0~1），用于悬停读数
+        this.hoverX = null;
+        this.hoverPoint = null;
+        this.isScrubbing = false;
+        // 悬停 / 拉区间时合并到下一动画帧的静态重绘（pointermove 的频率可能远高于刷新率）
+        this.staticRenderFrameId = null;
+        // Shift + 拖动正在拉出的区间 { start, end }（秒）
+        this.regionDrag = null;
+        // 弹出显示（全屏 / 独立窗口 / 画中画）：{ target, window, container, canvas, ctx, width, height, state, ... }
+        this.popout = null;
+        
         this.modeMenu = null;
-        this.isOfficialNode = !this.node.widgets.find(w => w.name === "visualization_mode");
+        this.isOfficialNode = !this.node.widgets?.find(w => w.name === "visualization_mode");
         if (!this.node.properties) {
             this.node.properties = {};
         }
@@ -53,23 +320,87 @@ class AudioVisualizer {
         this.opacityStorageKey = "__audio_visualizer_bg_opacity";
         this.backgroundImageKey = "__audio_visualizer_bg_image";
         this.enabledKey = "__audio_visualizer_enabled";
+        this.colorsKey = "__audio_visualizer_colors";
+        this.paletteKey = "__audio_visualizer_palette";
+        this.paletteMappingKey = "__audio_visualizer_palette_mapping";
+        this.analyserKey = "__audio_visualizer_analyser";
+        this.heightKey = "__audio_visualizer_height";
         
-        // 默认配置
+        // 默认配置：节点属性 > ComfyUI 设置中的全局默认值 > 内置默认值
+        const defaultMode = getSetting(SETTING_IDS.DEFAULT_MODE, VISUALIZATION_MODES.BARS);
+        const defaultFftSize = parseInt(getSetting(SETTING_IDS.DEFAULT_FFT_SIZE, 2048));
         this.config = {
-            mode: this.isOfficialNode ? (this.node.properties[this.modeStorageKey] || VISUALIZATION_MODES.BARS) : VISUALIZATION_MODES.WAVE,
-            fftSize: 2048,
-            primaryColor: "#8b5cf6",
-            secondaryColor: "#3b82f6",
-            backgroundColor: "#09090b"
+            mode: this.isOfficialNode ? (this.node.properties[this.modeStorageKey] || (getMode(defaultMode) ? defaultMode : VISUALIZATION_MODES.BARS)) : VISUALIZATION_MODES.WAVE,
+            fftSize: FFT_SIZE_OPTIONS.includes(defaultFftSize) ? defaultFftSize : 2048,
+            smoothingTimeConstant: ANALYSER_SMOOTHING,
+            minDecibels: ANALYSER_MIN_DB,
+            maxDecibels: ANALYSER_MAX_DB,
+            primaryColor: normalizeHexColor(getSetting(SETTING_IDS.PRIMARY_COLOR), "#8b5cf6"),
+            secondaryColor: normalizeHexColor(getSetting(SETTING_IDS.SECONDARY_COLOR), "#3b82f6"),
+            backgroundColor: normalizeHexColor(getSetting(SETTING_IDS.BACKGROUND_COLOR), "#09090b")
         };
-        this.backgroundOpacity = this.isOfficialNode ? (this.node.properties[this.opacityStorageKey] ?? 0.2) : 0;
+        // 官方节点在菜单中修改过的颜色覆盖全局默认值
+        const savedColors = this.isOfficialNode ? this.node.properties[this.colorsKey] : null;
+        if (savedColors && typeof savedColors === "object") {
+            for (const name of ["primaryColor", "secondaryColor", "backgroundColor"]) {
+                this.config[name] = normalizeHexColor(savedColors[name], this.config[name]);
+            }
+        }
+        // 官方节点保存的 analyser 参数
+        const savedAnalyser = this.isOfficialNode ? this.node.properties[this.analyserKey] : null;
+        if (savedAnalyser && typeof savedAnalyser === "object") {
+            this.setAnalyserOptions(savedAnalyser, false);
+        }
+        // 柱状图的频率刻度、坐标轴与柱子样式
+        this.initBars();
+        // 节拍检测与节拍效果
+        this.initBeats();
+        const savedPalette = this.node.properties[this.paletteKey];
+        this.palette = this.isOfficialNode && PALETTES[savedPalette] ? savedPalette : DEFAULT_PALETTE;
+        const savedMapping = this.isOfficialNode ? this.node.properties[this.paletteMappingKey] : null;
+        this.paletteMapping = PALETTE_MAPPINGS.some(m => m.value === savedMapping) ? savedMapping : "frequency";
+        const defaultOpacity = parseFloat(getSetting(SETTING_IDS.BACKGROUND_OPACITY, 0.2));
+        this.backgroundOpacity = this.isOfficialNode ? (this.node.properties[this.opacityStorageKey] ?? (isFinite(defaultOpacity) ? defaultOpacity : 0.2)) : 0;
         this.backgroundImageData = this.isOfficialNode ? (this.node.properties[this.backgroundImageKey] || null) : null;
         this.backgroundImageCanvas = null;
+        const savedHeight = this.isOfficialNode ? this.node.properties[this.heightKey] : null;
+        this.visualizerHeight = isFinite(savedHeight)
+            ? Math.max(CANVAS_HEIGHT_MIN, Math.min(CANVAS_HEIGHT_MAX, savedHeight))
+            : CANVAS_HEIGHT_DEFAULT;
         const savedEnabled = this.node.properties[this.enabledKey];
-        // 默认开启可视化（官方和自定义节点都是），如果用户手动改过则以保存值为准
+        // 默认是否开启由全局设置决定（官方和自定义节点都是），如果用户手动改过则以保存值为准
         this.visualizerEnabled = typeof savedEnabled === "boolean"
             ? savedEnabled
-            : true;
+            : getSetting(SETTING_IDS.ENABLED, true) !== false;
+        
+        // 语谱图配色与整段文件显示
+        this.initSpectrogram();
+        // 跟随主题颜色的语谱图配色查找表（缓存）
+        this.themeLUT = null;
+        
+        // 实时绘制的逐帧状态（滚动语谱图历史、电平表峰值保持等），离线渲染使用各自独立的状态
+        this.liveRenderState = {};
+        
+        // 响度表：显示开关与实时 / 整段文件的测量结果
+        this.initLoudness();
+        
+        // 悬停读数与冻结画面
+        this.initReadout();
+        
+        // 歌词 / 字幕：原文随节点保存（{ name, text }），加载时重新解析
+        this.initLyrics();
+        
+        // 时间轴标记与区间；loopKey 为循环播放的范围（"region:<id>" 或相邻两个标记 "markers:<id>:<id>"）
+        this.initMarkers();
+        
+        // A/B 对比：参考节点与对比视图
+        this.initCompare();
+        
+        // 录制状态
+        this.initRecording();
+        
+        // 离线逐帧渲染设置与状态
+        this.initRender();
         
         this.init();
         
@@ -85,25 +416,24 @@ class AudioVisualizer {
         // 等待节点完全创建和布局完成
         // 使用多重检查确保节点和 widget 都已准备好
         const tryInit = (attempts = 0) => {
-            if (attempts > 50) {
-                console.warn("AudioVisualizer: Failed to initialize after multiple attempts");
-                return;
-            }
-            
-            // 检查节点是否已完全初始化
-            if (!this.node || !this.node.widgets) {
-                setTimeout(() => tryInit(attempts + 1), 50);
-                return;
-            }
+            if (!this.node) return;
             
             // 对于大多数节点会有 audio 输入 widget，但像 PreviewAudio 只有 audioUI 没有 audio
-            const audioWidget = this.node.widgets.find(w => w.name === "audio");
-            const audioUIWidget = this.node.widgets.find(w => w.name === "audioUI");
+            const widgets = this.node.widgets || [];
+            const audioWidget = widgets.find(w => w.name === "audio");
+            const audioUIWidget = widgets.find(w => w.name === "audioUI");
 
             // 如果既没有 audio 也没有 audioUI，说明节点还没完全构建，稍后重试
             if (!audioWidget && (!this.isOfficialNode || !audioUIWidget)) {
-                setTimeout(() => tryInit(attempts + 1), 50);
-                return;
+                if (attempts < 50) {
+                    setTimeout(() => tryInit(attempts + 1), 50);
+                    return;
+                }
+                // 自动识别的第三方节点可能只有 AUDIO 插槽：仍然创建画布，等待执行结果中的音频
+                if (!this.isOfficialNode) {
+                    console.warn("AudioVisualizer: Failed to initialize after multiple attempts");
+                    return;
+                }
             }
             
             // 节点已准备好，创建 Canvas widget
@@ -133,19 +463,16 @@ class AudioVisualizer {
      */
     createCanvasWidget() {
         // 检查是否已存在
-        if (this.node.widgets.find(w => w.name === "visualizer_canvas")) {
+        if (this.node.widgets?.find(w => w.name === "visualizer_canvas")) {
             return;
         }
         
         // 先创建 Canvas 元素
         const canvas = document.createElement("canvas");
         canvas.style.width = "100%";
-        canvas.style.height = "200px";
         canvas.style.display = "block";
         canvas.style.backgroundColor = this.config.backgroundColor;
         canvas.style.borderRadius = "4px";
-        canvas.width = 800;
-        canvas.height = 200;
         
         let widgetElement = canvas;
         
@@ -154,7 +481,6 @@ class AudioVisualizer {
             const container = document.createElement("div");
             container.style.position = "relative";
             container.style.width = "100%";
-            container.style.height = "220px";
             
             container.appendChild(canvas);
             this.createModeMenu(container);
@@ -162,40 +488,239 @@ class AudioVisualizer {
         }
         
         // 创建 Canvas widget（正确的用法：第三个参数是元素，第四个参数是选项）
-        const canvasWidget = this.node.addDOMWidget("visualizer_canvas", "canvas", widgetElement, {
-            serialize: false
+        // 高度固定为用户设置的画布高度，宽度随节点变化
+        this.node.addDOMWidget("visualizer_canvas", "canvas", widgetElement, {
+            serialize: false,
+            getMinHeight: () => this.getWidgetHeight(),
+            getMaxHeight: () => this.getWidgetHeight()
         });
         
         // 保存引用
         this.canvas = canvas;
         this.ctx = canvas.getContext("2d");
+        this.applyCanvasHeight();
+        this.setupCanvasInteraction(canvas);
+        this.observeCanvasVisibility(canvas);
+        this.observeCanvasSize(canvas);
         
         // 绘制初始提示
         if (this.ctx) {
             this.drawPlaceholder();
         }
+    }
+    
+    /**
+     * canvas widget 占用的高度（官方节点包含菜单容器的留白）
+     */
+    getWidgetHeight() {
+        return this.visualizerHeight + (this.isOfficialNode ? CANVAS_CONTAINER_PADDING : 0);
+    }
+    
+    /**
+     * 把画布高度应用到元素样式；实际后备缓冲尺寸由 ResizeObserver 回调更新
+     */
+    applyCanvasHeight() {
+        if (!this.canvas) return;
+        this.canvas.style.height = `${this.visualizerHeight}px`;
+        if (this.isOfficialNode && this.canvas.parentElement) {
+            this.canvas.parentElement.style.height = `${this.getWidgetHeight()}px`;
+        }
+        // ResizeObserver 回调之前先按当前宽度设置一次，保证初始占位符不会被拉伸
+        this.resizeCanvas(this.displayWidth || this.canvas.clientWidth || 400, this.visualizerHeight);
+    }
+    
+    /**
+     * 修改画布高度（CSS 像素），随节点保存，并让节点按新高度重新布局
+     */
+    setCanvasHeight(height) {
+        if (!isFinite(height)) return;
+        this.visualizerHeight = Math.max(CANVAS_HEIGHT_MIN, Math.min(CANVAS_HEIGHT_MAX, Math.round(height)));
+        if (this.isOfficialNode) {
+            this.node.properties[this.heightKey] = this.visualizerHeight;
+        }
+        this.applyCanvasHeight();
+        if (typeof this.node.computeSize === "function" && typeof this.node.setSize === "function") {
+            const size = this.node.computeSize();
+            this.node.setSize([Math.max(this.node.size[0], size[0]), size[1]]);
+        }
+        this.node.setDirtyCanvas?.(true, true);
+        this.updateModeMenu();
+        this.renderStatic();
+    }
+    
+    /**
+     * 按 CSS 尺寸与 devicePixelRatio 设置画布后备缓冲；绘制代码始终使用 CSS 像素坐标
+     */
+    resizeCanvas(width, height) {
+        if (!this.canvas || !this.ctx) return;
+        const ratio = window.devicePixelRatio || 1;
+        const pixelWidth = Math.max(1, Math.round(width * ratio));
+        const pixelHeight = Math.max(1, Math.round(height * ratio));
+        this.displayWidth = Math.max(1, Math.round(width));
+        this.displayHeight = Math.max(1, Math.round(height));
+        this.pixelRatio = ratio;
+        // 修改 width / height 会清空画布并重置变换
+        if (this.canvas.width !== pixelWidth || this.canvas.height !== pixelHeight) {
+            this.canvas.width = pixelWidth;
+            this.canvas.height = pixelHeight;
+        }
+        this.ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    }
+    
+    /**
+     * 画布尺寸跟随布局变化（ResizeObserver），像素比变化（拖到另一块屏幕、浏览器缩放）时重建后备缓冲
+     */
+    observeCanvasSize(canvas) {
+        const update = (width) => {
+            if (!(width > 0)) return;
+            this.resizeCanvas(width, this.visualizerHeight);
+            // 播放中由下一帧刷新
+            this.renderStatic();
+        };
+        
+        if (typeof ResizeObserver !== "undefined") {
+            this.resizeObserver = new ResizeObserver((entries) => {
+                update(entries[entries.length - 1].contentRect.width);
+            });
+            this.resizeObserver.observe(canvas);
+        }
+        
+        const watchPixelRatio = () => {
+            if (!window.matchMedia) return;
+            const query = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+            const onChange = () => {
+                query.removeEventListener("change", onChange);
+                update(this.displayWidth);
+                watchPixelRatio();
+            };
+            query.addEventListener("change", onChange);
+            this.pixelRatioQuery = { query, onChange };
+        };
+        watchPixelRatio();
+    }
+    
+    /**
+     * 跟踪画布是否在视口内；滚出视口或被隐藏时播放循环跳过绘制
+     */
+    observeCanvasVisibility(canvas) {
+        if (typeof IntersectionObserver === "undefined") return;
+        this.visibilityObserver = new IntersectionObserver((entries) => {
+            this.canvasInViewport = entries[entries.length - 1].isIntersecting;
+        });
+        this.visibilityObserver.observe(canvas);
+    }
+    
+    /**
+     * 画布鼠标交互：在时间轴视图上点击/拖动定位播放位置，悬停显示时间；
+     * 双击添加标记，按住 Shift 拖动选出区间
+     */
+    setupCanvasInteraction(canvas) {
+        const getPoint = (event) => {
+            const rect = canvas.getBoundingClientRect();
+            if (rect.width <= 0 || rect.height <= 0) return null;
+            return {
+                x: Math.max(0, Math.min(rect.width, event.clientX - rect.left)) / rect.width,
+                y: Math.max(0, Math.min(rect.height, event.clientY - rect.top)) / rect.height
+            };
+        };
+        const getX = (event) => getPoint(event)?.x ?? null;
+        
+        const seekFromEvent = (event) => {
+            const ratio = getX(event);
+            if (ratio === null) return;
+            this.seekTo(ratio * this.getDuration());
+        };
+        const getTime = (event) => (getX(event) ?? 0) * this.getDuration();
+        
+        canvas.addEventListener("pointerdown", (event) => {
+            if (event.button !== 0 || !this.isTimelineView() || !(this.getDuration() > 0)) return;
+            // 阻止 LiteGraph 把点击当作拖动节点
+            event.stopPropagation();
+            event.preventDefault();
+            try {
+                canvas.setPointerCapture(event.pointerId);
+            } catch (e) {}
+            if (event.shiftKey) {
+                const time = getTime(event);
+                this.regionDrag = { start: time, end: time };
+                this.renderStatic();
+                return;
+            }
+            this.isScrubbing = true;
+            seekFromEvent(event);
+        });
         
-        // 监听节点大小变化
-        const originalOnResize = this.node.onResize;
-        this.node.onResize = () => {
-            if (originalOnResize) {
-                originalOnResize.apply(this.node, arguments);
+        canvas.addEventListener("dblclick", (event) => {
+            if (!this.isTimelineView() || !(this.getDuration() > 0)) return;
+            event.stopPropagation();
+            event.preventDefault();
+            this.addMarker(getTime(event));
+        });
+        
+        canvas.addEventListener("pointermove", (event) => {
+            const timeline = this.isTimelineView() && this.getDuration() > 0;
+            canvas.style.cursor = timeline ? "col-resize" : "default";
+            this.hoverX = timeline ? getX(event) : null;
+            this.hoverPoint = getPoint(event);
+            if (this.regionDrag) {
+                event.stopPropagation();
+                this.regionDrag.end = getTime(event);
+                this.scheduleStaticRender();
+            } else if (this.isScrubbing) {
+                event.stopPropagation();
+                seekFromEvent(event);
+            } else {
+                this.scheduleStaticRender();
             }
-            
-            if (this.canvas) {
-                // 使用 requestAnimationFrame 确保在布局更新后执行
-                requestAnimationFrame(() => {
-                    const targetElement = this.isOfficialNode ? this.canvas.parentElement : this.canvas;
-                    if (this.canvas && targetElement) {
-                        const rect = targetElement.getBoundingClientRect();
-                        if (rect.width > 0 && rect.height > 0) {
-                            this.canvas.width = Math.max(400, rect.width - (this.isOfficialNode ? 30 : 20));
-                            this.canvas.height = Math.max(200, this.isOfficialNode ? rect.height - 30 : Math.min(300, rect.height * 0.3));
-                        }
-                    }
-                });
+        });
+        
+        const endScrub = (event) => {
+            const drag = this.regionDrag;
+            if (!this.isScrubbing && !drag) return;
+            this.isScrubbing = false;
+            this.regionDrag = null;
+            try {
+                canvas.releasePointerCapture(event.pointerId);
+            } catch (e) {}
+            if (drag && event.type === "pointerup" && Math.abs(drag.end - drag.start) >= REGION_MIN_SECONDS) {
+                this.addRegion(drag.start, drag.end);
+            } else if (drag) {
+                this.renderStatic();
             }
         };
+        canvas.addEventListener("pointerup", endScrub);
+        canvas.addEventListener("pointercancel", endScrub);
+        
+        canvas.addEventListener("pointerleave", () => {
+            if (this.isScrubbing || this.regionDrag) return;
+            this.hoverX = null;
+            this.hoverPoint = null;
+            this.scheduleStaticRender();
+        });
+    }
+    
+    /**
+     * 当前画布是否显示时间轴视图（可定位）
+     * 播放时取决于模式；未播放时画布显示的是波形概览
+     */
+    isTimelineView() {
+        if (!this.visualizerEnabled) return false;
+        if (this.isShowingFullSpectrogram()) return true;
+        if (this.config.mode === VISUALIZATION_MODES.COMPARE) {
+            return this.compareView === "overviews" && !!this.overview;
+        }
+        if (this.animationFrameId) {
+            return this.config.mode === VISUALIZATION_MODES.WAVE ||
+                (this.config.mode === VISUALIZATION_MODES.OVERVIEW && !!this.overview);
+        }
+        return !!this.overview;
+    }
+    
+    /**
+     * 当前是否显示整段文件的离线语谱图
+     */
+    isShowingFullSpectrogram() {
+        return this.config.mode === VISUALIZATION_MODES.SPECTROGRAM && this.spectrogramFullFile && !!this.audioBuffer;
     }
     
     /**
@@ -267,10 +792,7 @@ class AudioVisualizer {
         
         if (fftWidget) {
             fftWidget.callback = (value) => {
-                this.config.fftSize = parseInt(value);
-                if (this.analyser) {
-                    this.analyser.fftSize = this.config.fftSize;
-                }
+                this.setAnalyserOptions({ fftSize: parseInt(value) });
             };
         }
         
@@ -305,6 +827,8 @@ class AudioVisualizer {
     
     /**
      * 创建模式菜单（仅官方节点）
+     * 菜单由按钮、开关与模式列表，以及依次追加的各设置小节组成；小节返回的控件合并到 this.modeMenu，
+     * 由 updateModeMenu() 调用对应的 update*Menu() 同步显示
      */
     createModeMenu(container) {
         const button = document.createElement("button");
@@ -347,91 +871,208 @@ class AudioVisualizer {
         menu.style.backdropFilter = "blur(8px)";
         menu.style.display = "none";
         menu.style.zIndex = "10";
+        menu.style.maxHeight = "320px";
+        menu.style.overflowY = "auto";
+
+        // 菜单内部的点击不关闭菜单（模式项会自行关闭）
+        menu.addEventListener("click", (e) => {
+            e.stopPropagation();
+        });
 
         // 可视化开关
-        const enabledRow = document.createElement("div");
-        enabledRow.style.display = "flex";
-        enabledRow.style.alignItems = "center";
-        enabledRow.style.justifyContent = "space-between";
-        enabledRow.style.padding = "4px 12px 6px";
-        enabledRow.style.fontSize = "11px";
-        enabledRow.style.color = "#eee";
-
-        const enabledLabel = document.createElement("span");
-        enabledLabel.textContent = "Enable visualizer";
-
-        const enabledCheckbox = document.createElement("input");
-        enabledCheckbox.type = "checkbox";
-        enabledCheckbox.checked = this.visualizerEnabled;
+        const enabledCheckbox = createMenuCheckbox(this.visualizerEnabled, (checked) => {
+            this.setEnabled(checked);
+        });
+        menu.appendChild(createMenuRow("Enable visualizer", enabledCheckbox));
+
+        // 模式列表由注册表生成，见 buildModeItems()
+        const modeList = document.createElement("div");
+        menu.appendChild(modeList);
+
+        const controls = [
+            this.createColorsMenu(menu),
+            this.createAnalyserMenu(menu),
+            this.createBarsMenu(menu),
+            this.createSpectrogramMenu(menu),
+            this.createLoudnessMenu(menu),
+            this.createBeatsMenu(menu),
+            this.createCompareMenu(menu),
+            this.createLyricsMenu(menu, container),
+            this.createMarkersMenu(menu, container),
+            this.createInspectMenu(menu),
+            this.createRecordMenu(menu),
+            this.createRenderMenu(menu),
+            this.createCanvasMenu(menu),
+            this.createBackgroundMenu(menu, container)
+        ];
 
-        enabledCheckbox.addEventListener("change", () => {
-            this.setEnabled(enabledCheckbox.checked);
+        button.addEventListener("click", (e) => {
+            e.stopPropagation();
+            if (menu.style.display === "none") {
+                // 打开时重建模式列表与参考节点列表，包含菜单创建之后才注册的模式和新添加的节点
+                this.buildModeItems();
+                this.buildCompareOptions();
+                menu.style.display = "block";
+            } else {
+                menu.style.display = "none";
+            }
         });
 
-        enabledRow.appendChild(enabledLabel);
-        enabledRow.appendChild(enabledCheckbox);
-        menu.appendChild(enabledRow);
+        document.addEventListener("click", () => {
+            menu.style.display = "none";
+        });
 
-        const modes = [
-            { value: VISUALIZATION_MODES.WAVE, label: "Waveform" },
-            { value: VISUALIZATION_MODES.BARS, label: "Spectral Bars" },
-            { value: VISUALIZATION_MODES.CIRCULAR, label: "Circular" },
-        ];
+        container.appendChild(button);
+        container.appendChild(menu);
 
-        modes.forEach(mode => {
-            const item = document.createElement("div");
-            item.textContent = mode.label;
-            item.style.padding = "6px 12px";
-            item.style.fontSize = "11px";
-            item.style.cursor = "pointer";
-            item.style.color = mode.value === this.config.mode ? "#8b5cf6" : "#fff";
-            item.style.background = mode.value === this.config.mode ? "rgba(139,92,246,0.15)" : "transparent";
+        this.modeMenu = Object.assign({ button, label, menu, modeList, modes: [], modeItems: [], enabledCheckbox }, ...controls);
+        this.buildModeItems();
+        this.buildCompareOptions();
+        this.buildMarkerList();
+    }
 
-            item.addEventListener("mouseenter", () => {
-                item.style.background = "rgba(255,255,255,0.1)";
-            });
-            item.addEventListener("mouseleave", () => {
-                item.style.background = mode.value === this.config.mode ? "rgba(139,92,246,0.15)" : "transparent";
-            });
+    /**
+     * 菜单小节：颜色、主题与调色板
+     */
+    createColorsMenu(menu) {
+        menu.appendChild(createMenuDivider());
+        menu.appendChild(createMenuHeading("Colors"));
+
+        const themeSelect = createMenuSelect(
+            [{ value: "custom", label: "Custom" }, ...Object.entries(THEMES).map(([value, theme]) => ({ value, label: theme.label }))],
+            this.getCurrentTheme(),
+            (value) => this.applyTheme(value)
+        );
+        menu.appendChild(createMenuRow("Theme", themeSelect));
+
+        const colorInputs = {};
+        [
+            ["primaryColor", "Primary"],
+            ["secondaryColor", "Secondary"],
+            ["backgroundColor", "Background"]
+        ].forEach(([name, text]) => {
+            colorInputs[name] = createMenuColorInput(this.config[name], (value) => this.setColor(name, value));
+            menu.appendChild(createMenuRow(text, colorInputs[name]));
+        });
 
-            item.addEventListener("click", () => {
-                this.setMode(mode.value);
-                label.textContent = mode.label;
-                menu.style.display = "none";
-            });
+        const paletteSelect = createMenuSelect(
+            Object.entries(PALETTES).map(([value, palette]) => ({ value, label: palette.label })),
+            this.palette,
+            (value) => this.setPalette(value)
+        );
+        menu.appendChild(createMenuRow("Palette", paletteSelect));
+
+        const paletteMappingSelect = createMenuSelect(PALETTE_MAPPINGS, this.paletteMapping, (value) => {
+            this.setPaletteMapping(value);
+        });
+        menu.appendChild(createMenuRow("Map by", paletteMappingSelect));
+
+        return { themeSelect, colorInputs, paletteSelect, paletteMappingSelect };
+    }
+
+    /**
+     * 同步颜色小节的控件
+     */
+    updateColorsMenu() {
+        const { themeSelect, colorInputs, paletteSelect, paletteMappingSelect } = this.modeMenu;
+        themeSelect.value = this.getCurrentTheme();
+        Object.entries(colorInputs).forEach(([name, input]) => {
+            input.value = this.config[name];
+        });
+        paletteSelect.value = this.palette;
+        paletteMappingSelect.value = this.paletteMapping;
+        // classic 调色板不使用映射方式
+        paletteMappingSelect.disabled = !getPaletteLUT(this.palette);
+    }
+
+    /**
+     * 菜单小节：analyser 参数
+     */
+    createAnalyserMenu(menu) {
+        menu.appendChild(createMenuDivider());
+        menu.appendChild(createMenuHeading("Analyser"));
+
+        const fftSizeSelect = createMenuSelect(
+            FFT_SIZE_OPTIONS.map(size => ({ value: String(size), label: String(size) })),
+            String(this.config.fftSize),
+            (value) => this.setAnalyserOptions({ fftSize: parseInt(value) })
+        );
+        menu.appendChild(createMenuRow("FFT size", fftSizeSelect));
+
+        const smoothingSlider = createMenuRange(0, 0.99, 0.01, this.config.smoothingTimeConstant, (value) => {
+            this.setAnalyserOptions({ smoothingTimeConstant: value });
+        });
+        smoothingSlider.title = String(this.config.smoothingTimeConstant);
+        menu.appendChild(createMenuRow("Smoothing", smoothingSlider));
+
+        const minDecibelsSelect = createMenuSelect(
+            MIN_DECIBEL_OPTIONS.map(db => ({ value: String(db), label: `${db} dB` })),
+            String(this.config.minDecibels),
+            (value) => this.setAnalyserOptions({ minDecibels: parseFloat(value) })
+        );
+        menu.appendChild(createMenuRow("Min dB", minDecibelsSelect));
+
+        const maxDecibelsSelect = createMenuSelect(
+            MAX_DECIBEL_OPTIONS.map(db => ({ value: String(db), label: `${db} dB` })),
+            String(this.config.maxDecibels),
+            (value) => this.setAnalyserOptions({ maxDecibels: parseFloat(value) })
+        );
+        menu.appendChild(createMenuRow("Max dB", maxDecibelsSelect));
+
+        return { fftSizeSelect, smoothingSlider, minDecibelsSelect, maxDecibelsSelect };
+    }
+
+    /**
+     * 同步 analyser 小节的控件
+     */
+    updateAnalyserMenu() {
+        const { fftSizeSelect, smoothingSlider, minDecibelsSelect, maxDecibelsSelect } = this.modeMenu;
+        fftSizeSelect.value = String(this.config.fftSize);
+        smoothingSlider.value = this.config.smoothingTimeConstant;
+        smoothingSlider.title = String(this.config.smoothingTimeConstant);
+        minDecibelsSelect.value = String(this.config.minDecibels);
+        maxDecibelsSelect.value = String(this.config.maxDecibels);
+    }
 
-            menu.appendChild(item);
+    /**
+     * 菜单小节：画布高度与弹出显示
+     */
+    createCanvasMenu(menu) {
+        menu.appendChild(createMenuDivider());
+        menu.appendChild(createMenuHeading("Canvas"));
+
+        const heightSlider = createMenuRange(CANVAS_HEIGHT_MIN, CANVAS_HEIGHT_MAX, 10, this.visualizerHeight, (value) => {
+            this.setCanvasHeight(value);
         });
+        heightSlider.title = `${this.visualizerHeight}px`;
+        menu.appendChild(createMenuRow("Height", heightSlider));
+
+        return { heightSlider, ...this.createPopoutMenuRow(menu) };
+    }
+
+    /**
+     * 同步画布小节的控件
+     */
+    updateCanvasMenu() {
+        this.modeMenu.heightSlider.value = this.visualizerHeight;
+        this.modeMenu.heightSlider.title = `${this.visualizerHeight}px`;
+        this.modeMenu.popoutCloseButton.style.display = this.popout ? "" : "none";
+    }
 
-        // 背景控制分隔线
-        const divider = document.createElement("div");
-        divider.style.height = "1px";
-        divider.style.margin = "4px 0";
-        divider.style.background = "rgba(255,255,255,0.1)";
-        menu.appendChild(divider);
-
-        // 背景控制
-        const bgLabel = document.createElement("div");
-        bgLabel.textContent = "Background overlay";
-        bgLabel.style.fontSize = "11px";
-        bgLabel.style.color = "#bbb";
-        bgLabel.style.padding = "4px 12px";
-        menu.appendChild(bgLabel);
+    /**
+     * 菜单小节：背景遮罩透明度与背景图片
+     */
+    createBackgroundMenu(menu, container) {
+        menu.appendChild(createMenuDivider());
+        menu.appendChild(createMenuHeading("Background overlay"));
 
         const sliderWrapper = document.createElement("div");
         sliderWrapper.style.padding = "0 12px 6px";
 
-        const slider = document.createElement("input");
-        slider.type = "range";
-        slider.min = "0";
-        slider.max = "0.5";
-        slider.step = "0.01";
-        slider.value = this.backgroundOpacity;
-        slider.style.width = "100%";
-
-        slider.addEventListener("input", () => {
-            this.setBackgroundOpacity(parseFloat(slider.value));
+        const slider = createMenuRange(0, 0.5, 0.01, this.backgroundOpacity, (value) => {
+            this.setBackgroundOpacity(value);
         });
+        slider.style.width = "100%";
 
         sliderWrapper.appendChild(slider);
         menu.appendChild(sliderWrapper);
@@ -456,45 +1097,29 @@ class AudioVisualizer {
         buttonRow.style.display = "flex";
         buttonRow.style.gap = "6px";
 
-        const uploadBtn = document.createElement("button");
-        uploadBtn.textContent = "Upload image";
-        uploadBtn.style.flex = "1";
-        uploadBtn.style.fontSize = "10px";
-        uploadBtn.style.padding = "4px 6px";
-        uploadBtn.style.border = "1px solid rgba(255,255,255,0.15)";
-        uploadBtn.style.borderRadius = "4px";
-        uploadBtn.style.background = "rgba(255,255,255,0.06)";
-        uploadBtn.style.color = "#fff";
-        uploadBtn.style.cursor = "pointer";
-
-        const clearBtn = document.createElement("button");
-        clearBtn.textContent = "Clear";
-        clearBtn.style.fontSize = "10px";
-        clearBtn.style.padding = "4px 6px";
-        clearBtn.style.border = "1px solid rgba(255,255,255,0.15)";
-        clearBtn.style.borderRadius = "4px";
-        clearBtn.style.background = "rgba(255,255,255,0.06)";
-        clearBtn.style.color = "#fff";
-        clearBtn.style.cursor = "pointer";
-
-        buttonRow.appendChild(uploadBtn);
-        buttonRow.appendChild(clearBtn);
-
-        bgWrapper.appendChild(preview);
-        bgWrapper.appendChild(buttonRow);
-        menu.appendChild(bgWrapper);
-
         const hiddenInput = document.createElement("input");
         hiddenInput.type = "file";
         hiddenInput.accept = "image/*";
         hiddenInput.style.display = "none";
         container.appendChild(hiddenInput);
 
-        uploadBtn.addEventListener("click", (e) => {
-            e.stopPropagation();
+        const uploadBtn = createMenuButton("Upload image", () => {
             hiddenInput.value = "";
             hiddenInput.click();
         });
+        uploadBtn.style.flex = "1";
+
+        const clearBtn = createMenuButton("Clear", async () => {
+            await this.setBackgroundImage(null);
+            this.applyPreviewBackground(preview);
+        });
+
+        buttonRow.appendChild(uploadBtn);
+        buttonRow.appendChild(clearBtn);
+
+        bgWrapper.appendChild(preview);
+        bgWrapper.appendChild(buttonRow);
+        menu.appendChild(bgWrapper);
 
         hiddenInput.addEventListener("change", async (event) => {
             const file = event.target.files?.[0];
@@ -508,84 +1133,286 @@ class AudioVisualizer {
             }
         });
 
-        clearBtn.addEventListener("click", async (e) => {
-            e.stopPropagation();
-            await this.setBackgroundImage(null);
-            this.applyPreviewBackground(preview);
-        });
-
-        button.addEventListener("click", (e) => {
-            e.stopPropagation();
-            menu.style.display = menu.style.display === "none" ? "block" : "none";
-        });
-
-        document.addEventListener("click", () => {
-            menu.style.display = "none";
-        });
-
-        container.appendChild(button);
-        container.appendChild(menu);
-
-        this.modeMenu = { button, label, menu, modes, slider, preview, enabledCheckbox };
+        return { slider, preview };
     }
 
     /**
-     * 更新模式菜单显示
+     * 同步背景小节的控件
      */
-    updateModeMenu() {
-        if (!this.modeMenu) return;
-        const { label, menu, modes, enabledCheckbox } = this.modeMenu;
-        if (label) {
-            label.textContent = this.getModeLabel(this.config.mode);
-        }
-        if (menu && modes) {
-            // first modes.length children are mode items
-            modes.forEach((mode, index) => {
-                const item = menu.children[index];
-                if (!item) return;
-                item.style.color = mode.value === this.config.mode ? "#8b5cf6" : "#fff";
-                item.style.background = mode.value === this.config.mode ? "rgba(139,92,246,0.15)" : "transparent";
-            });
-        }
-        if (this.modeMenu?.slider) {
-            this.modeMenu.slider.value = this.backgroundOpacity;
-        }
-        if (this.modeMenu?.preview) {
-            this.applyPreviewBackground(this.modeMenu.preview);
-        }
-        if (enabledCheckbox) {
-            enabledCheckbox.checked = this.visualizerEnabled;
-        }
+    updateBackgroundMenu() {
+        this.modeMenu.slider.value = this.backgroundOpacity;
+        this.applyPreviewBackground(this.modeMenu.preview);
     }
 
     /**
-     * 根据模式值获取标签
+     * 按注册表重建菜单中的模式列表
      */
-    getModeLabel(mode) {
-        switch (mode) {
-            case VISUALIZATION_MODES.WAVE:
-                return "Waveform";
-            case VISUALIZATION_MODES.BARS:
-                return "Spectral Bars";
-            case VISUALIZATION_MODES.CIRCULAR:
-                return "Circular";
-            default:
-                return "Visualizer";
-        }
-    }
+    buildModeItems() {
+        if (!this.modeMenu) return;
+        const { label, menu, modeList } = this.modeMenu;
+        const modes = getModes();
+        modeList.replaceChildren();
+
+        const modeItems = modes.map(mode => {
+            const item = document.createElement("div");
+            item.textContent = mode.label;
+            item.style.padding = "6px 12px";
+            item.style.fontSize = "11px";
+            item.style.cursor = "pointer";
+            item.style.color = mode.id === this.config.mode ? "#8b5cf6" : "#fff";
+            item.style.background = mode.id === this.config.mode ? "rgba(139,92,246,0.15)" : "transparent";
+
+            item.addEventListener("mouseenter", () => {
+                item.style.background = "rgba(255,255,255,0.1)";
+            });
+            item.addEventListener("mouseleave", () => {
+                item.style.background = mode.id === this.config.mode ? "rgba(139,92,246,0.15)" : "transparent";
+            });
+
+            item.addEventListener("click", () => {
+                this.setMode(mode.id);
+                label.textContent = mode.label;
+                menu.style.display = "none";
+            });
+
+            modeList.appendChild(item);
+            return item;
+        });
+
+        this.modeMenu.modes = modes;
+        this.modeMenu.modeItems = modeItems;
+    }
+
+    /**
+     * 更新模式菜单显示：模式标签与列表、可视化开关，以及各小节的控件
+     */
+    updateModeMenu() {
+        if (!this.modeMenu) return;
+        const { label, modes, modeItems, enabledCheckbox } = this.modeMenu;
+        label.textContent = this.getModeLabel(this.config.mode);
+        modes.forEach((mode, index) => {
+            const item = modeItems[index];
+            if (!item) return;
+            item.style.color = mode.id === this.config.mode ? "#8b5cf6" : "#fff";
+            item.style.background = mode.id === this.config.mode ? "rgba(139,92,246,0.15)" : "transparent";
+        });
+        enabledCheckbox.checked = this.visualizerEnabled;
+
+        this.updateColorsMenu();
+        this.updateAnalyserMenu();
+        this.updateBarsMenu();
+        this.updateSpectrogramMenu();
+        this.updateLoudnessMenu();
+        this.updateBeatsMenu();
+        this.updateCompareMenu();
+        this.updateLyricsMenu();
+        this.updateMarkersMenu();
+        this.updateInspectMenu();
+        this.updateRecordMenu();
+        this.updateRenderMenu();
+        this.updateCanvasMenu();
+        this.updateBackgroundMenu();
+    }
+
+    /**
+     * 根据模式值获取标签
+     */
+    getModeLabel(mode) {
+        const definition = getMode(mode);
+        return definition ? definition.label : "Visualizer";
+    }
 
     /**
      * 设置模式（官方节点和自定义节点共用）
      */
     setMode(mode) {
         if (this.config.mode === mode) return;
+        this.disposeModeStates(this.liveRenderState);
+        if (this.popout) {
+            this.disposeModeStates(this.popout.state);
+        }
         this.config.mode = mode;
+        // 冻结中切换模式时，在新模式的下一帧重新冻结
+        this.frozenFrame = null;
         if (this.isOfficialNode) {
             this.node.properties[this.modeStorageKey] = mode;
             this.updateModeMenu();
         }
-        if (this.isInitialized) {
+        if (this.isInitialized && this.audioElement && !this.audioElement.paused) {
             this.startVisualization();
+        } else {
+            this.renderStatic();
+        }
+    }
+
+    /**
+     * 设置主色 / 辅色 / 背景色
+     */
+    setColor(name, value) {
+        const color = normalizeHexColor(value, null);
+        if (!color || !(name in this.config)) return;
+        this.config[name] = color;
+        if (this.isOfficialNode) {
+            this.node.properties[this.colorsKey] = {
+                primaryColor: this.config.primaryColor,
+                secondaryColor: this.config.secondaryColor,
+                backgroundColor: this.config.backgroundColor
+            };
+        }
+        if (name === "backgroundColor" && this.canvas) {
+            this.canvas.style.backgroundColor = color;
+        }
+        // 跟随主题的语谱图需要重新着色
+        if (this.spectrogramColormap === "theme") {
+            this.liveRenderState.spectrogram = null;
+            this.fullSpectrogram = null;
+        }
+        this.updateModeMenu();
+        this.renderStatic();
+    }
+
+    /**
+     * 应用内置主题（颜色 + 调色板）
+     */
+    applyTheme(id) {
+        const theme = THEMES[id];
+        if (!theme) return;
+        this.setPalette(theme.palette);
+        this.setColor("primaryColor", theme.primaryColor);
+        this.setColor("secondaryColor", theme.secondaryColor);
+        this.setColor("backgroundColor", theme.backgroundColor);
+    }
+
+    /**
+     * 当前颜色与调色板对应的内置主题，不匹配时为 custom
+     */
+    getCurrentTheme() {
+        const match = Object.entries(THEMES).find(([, theme]) =>
+            theme.primaryColor === this.config.primaryColor &&
+            theme.secondaryColor === this.config.secondaryColor &&
+            theme.backgroundColor === this.config.backgroundColor &&
+            theme.palette === this.palette
+        );
+        return match ? match[0] : "custom";
+    }
+
+    /**
+     * 设置柱状图 / 圆形 / 波形的调色板
+     */
+    setPalette(palette) {
+        if (!PALETTES[palette]) return;
+        this.palette = palette;
+        if (this.isOfficialNode) {
+            this.node.properties[this.paletteKey] = palette;
+        }
+        this.updateModeMenu();
+        this.renderStatic();
+    }
+
+    /**
+     * 设置调色板的取色依据（频率 / 幅度）
+     */
+    setPaletteMapping(mapping) {
+        if (!PALETTE_MAPPINGS.some(m => m.value === mapping)) return;
+        this.paletteMapping = mapping;
+        if (this.isOfficialNode) {
+            this.node.properties[this.paletteMappingKey] = mapping;
+        }
+        this.updateModeMenu();
+        this.renderStatic();
+    }
+
+    /**
+     * 从调色板查找表取色，t 为 0-1
+     */
+    getPaletteColor(lut, t) {
+        const index = Math.max(0, Math.min(255, Math.round(t * 255))) * 4;
+        return `rgb(${lut[index]},${lut[index + 1]},${lut[index + 2]})`;
+    }
+
+    /**
+     * 用调色板构建线性渐变；mirror 为 true 时两端取 1、中间取 0（用于以中线为零点的波形幅度）
+     */
+    createPaletteGradient(ctx, lut, x0, y0, x1, y1, mirror = false) {
+        const gradient = ctx.createLinearGradient(x0, y0, x1, y1);
+        const stops = 16;
+        for (let i = 0; i <= stops; i++) {
+            const position = i / stops;
+            const t = mirror ? Math.abs(position - 0.5) * 2 : position;
+            gradient.addColorStop(position, this.getPaletteColor(lut, t));
+        }
+        return gradient;
+    }
+
+    /**
+     * 修改 analyser 参数（fftSize / smoothingTimeConstant / minDecibels / maxDecibels），
+     * 立即应用到正在运行的 analyser；persist 为 false 时只更新配置（用于读取保存值）
+     */
+    setAnalyserOptions(options, persist = true) {
+        const next = { ...this.config };
+        if (FFT_SIZE_OPTIONS.includes(options.fftSize)) {
+            next.fftSize = options.fftSize;
+        }
+        if (isFinite(options.smoothingTimeConstant)) {
+            next.smoothingTimeConstant = Math.max(0, Math.min(0.99, options.smoothingTimeConstant));
+        }
+        if (isFinite(options.minDecibels)) {
+            next.minDecibels = options.minDecibels;
+        }
+        if (isFinite(options.maxDecibels)) {
+            next.maxDecibels = options.maxDecibels;
+        }
+        // AnalyserNode 要求 minDecibels < maxDecibels，非法组合直接忽略
+        if (next.minDecibels >= next.maxDecibels) {
+            this.updateModeMenu();
+            return;
+        }
+        
+        const spectrumChanged = next.fftSize !== this.config.fftSize ||
+            next.minDecibels !== this.config.minDecibels ||
+            next.maxDecibels !== this.config.maxDecibels;
+        this.config.fftSize = next.fftSize;
+        this.config.smoothingTimeConstant = next.smoothingTimeConstant;
+        this.config.minDecibels = next.minDecibels;
+        this.config.maxDecibels = next.maxDecibels;
+        
+        if (this.analyser) {
+            this.configureAnalyser(this.analyser);
+        }
+        if (this.channelAnalysers) {
+            this.channelAnalysers.forEach(analyser => this.configureAnalyser(analyser));
+        }
+        if (spectrumChanged) {
+            // 整段语谱图按新参数重新计算
+            this.fullSpectrogram = null;
+        }
+        if (persist && this.isOfficialNode) {
+            this.node.properties[this.analyserKey] = {
+                fftSize: this.config.fftSize,
+                smoothingTimeConstant: this.config.smoothingTimeConstant,
+                minDecibels: this.config.minDecibels,
+                maxDecibels: this.config.maxDecibels
+            };
+        }
+        this.updateModeMenu();
+        if (spectrumChanged) {
+            this.renderStatic();
+        }
+    }
+
+    /**
+     * 把当前配置应用到 AnalyserNode
+     */
+    configureAnalyser(analyser) {
+        analyser.fftSize = this.config.fftSize;
+        analyser.smoothingTimeConstant = this.config.smoothingTimeConstant;
+        // 逐个设置 dB 上下限时中间状态也必须满足 min < max，否则会抛出 IndexSizeError
+        if (this.config.minDecibels >= analyser.maxDecibels) {
+            analyser.maxDecibels = this.config.maxDecibels;
+            analyser.minDecibels = this.config.minDecibels;
+        } else {
+            analyser.minDecibels = this.config.minDecibels;
+            analyser.maxDecibels = this.config.maxDecibels;
         }
     }
 
@@ -604,13 +1431,16 @@ class AudioVisualizer {
             this.cleanup();
         } else if (this.isOfficialNode) {
             // 如果当前已经有 audioUI 并在播放，尝试立即连接
-            const audioUIWidget = this.node.widgets?.find(w => w.name === "audioUI");
-            if (audioUIWidget && audioUIWidget.element && audioUIWidget.element.tagName === "AUDIO") {
-                const audioElement = audioUIWidget.element;
+            const audioElement = this.playerElement || findNodeAudioElement(this.node);
+            if (audioElement) {
+                if (audioElement.src) {
+                    this.loadOverview(audioElement.src);
+                }
                 if (!audioElement.paused) {
                     this.connectToAudioElement(audioElement);
                 }
             }
+            this.renderStatic();
         }
     }
 
@@ -638,32 +1468,32 @@ class AudioVisualizer {
     /**
      * 绘制背景图层
      */
-    renderBackground(WIDTH, HEIGHT) {
-        this.ctx.fillStyle = this.config.backgroundColor;
-        this.ctx.fillRect(0, 0, WIDTH, HEIGHT);
+    renderBackground(ctx, WIDTH, HEIGHT) {
+        ctx.fillStyle = this.config.backgroundColor;
+        ctx.fillRect(0, 0, WIDTH, HEIGHT);
 
         if (this.backgroundImageCanvas) {
-            this.ctx.save();
-            this.ctx.globalAlpha = Math.max(0, Math.min(1, this.backgroundOpacity + 0.05));
-            this.ctx.drawImage(this.backgroundImageCanvas, 0, 0, WIDTH, HEIGHT);
-            this.ctx.restore();
+            ctx.save();
+            ctx.globalAlpha = Math.max(0, Math.min(1, this.backgroundOpacity + 0.05));
+            ctx.drawImage(this.backgroundImageCanvas, 0, 0, WIDTH, HEIGHT);
+            ctx.restore();
         } else if (this.backgroundOpacity > 0) {
-            this.ctx.save();
-            this.ctx.globalAlpha = this.backgroundOpacity;
+            ctx.save();
+            ctx.globalAlpha = this.backgroundOpacity;
 
-            const radial = this.ctx.createRadialGradient(WIDTH * 0.3, HEIGHT * 0.3, 0, WIDTH * 0.3, HEIGHT * 0.3, Math.max(WIDTH, HEIGHT));
+            const radial = ctx.createRadialGradient(WIDTH * 0.3, HEIGHT * 0.3, 0, WIDTH * 0.3, HEIGHT * 0.3, Math.max(WIDTH, HEIGHT));
             radial.addColorStop(0, this.hexToRgba(this.config.primaryColor, 0.35));
             radial.addColorStop(1, "transparent");
-            this.ctx.fillStyle = radial;
-            this.ctx.fillRect(0, 0, WIDTH, HEIGHT);
+            ctx.fillStyle = radial;
+            ctx.fillRect(0, 0, WIDTH, HEIGHT);
 
-            const gradient = this.ctx.createLinearGradient(0, 0, WIDTH, HEIGHT);
+            const gradient = ctx.createLinearGradient(0, 0, WIDTH, HEIGHT);
             gradient.addColorStop(0, this.hexToRgba(this.config.secondaryColor, 0.15));
             gradient.addColorStop(1, "transparent");
-            this.ctx.fillStyle = gradient;
-            this.ctx.fillRect(0, 0, WIDTH, HEIGHT);
+            ctx.fillStyle = gradient;
+            ctx.fillRect(0, 0, WIDTH, HEIGHT);
 
-            this.ctx.restore();
+            ctx.restore();
         }
     }
 
@@ -745,36 +1575,95 @@ class AudioVisualizer {
 
     /**
      * 针对官方 LoadAudio 节点，监听其 audioUI 播放事件以安全接入可视化
+     * 播放器元素由 watchNodeAudioElement 跟踪，画布模式与 Vue 节点模式（以及两者之间切换）都适用
      */
     setupOfficialAudioUI() {
-        if (!this.isOfficialNode) return;
+        if (!this.isOfficialNode || this.stopWatchingPlayer) return;
+        this.stopWatchingPlayer = watchNodeAudioElement(this.node, (audioElement) => {
+            this.attachPlayerElement(audioElement);
+        });
+    }
+    
+    /**
+     * 切换到新的播放器元素：移除旧元素上的监听，并在新元素上监听播放事件
+     */
+    attachPlayerElement(audioElement) {
+        this.detachPlayerElement();
+        if (!audioElement) return;
 
-        const trySetup = (attempts = 0) => {
-            if (attempts > 50) return;
-            const audioUIWidget = this.node.widgets?.find(w => w.name === "audioUI");
-            if (!audioUIWidget || !audioUIWidget.element || audioUIWidget.element.tagName !== "AUDIO") {
-                setTimeout(() => trySetup(attempts + 1), 100);
-                return;
+        const onPlay = () => {
+            if (!this.visualizerEnabled) return;
+            this.connectToAudioElement(audioElement);
+        };
+
+        const onStop = () => {
+            if (!this.visualizerEnabled) return;
+            this.stopVisualization();
+            this.renderStatic();
+        };
+
+        // 新音频源加载完元数据后，解码整段文件生成波形概览
+        const onLoadedMetadata = () => {
+            if (audioElement.src) {
+                this.loadOverview(audioElement.src);
             }
+        };
 
-            const audioElement = audioUIWidget.element;
+        // 暂停状态下拖动官方进度条时，同步移动概览播放头
+        const onSeek = () => {
+            if (audioElement.paused) {
+                this.renderStatic();
+            }
+        };
 
-            const onPlay = () => {
-                if (!this.visualizerEnabled) return;
-                this.connectToAudioElement(audioElement);
-            };
+        // 可视化关闭时没有动画循环，循环播放靠 timeupdate 检查
+        const onTimeUpdate = () => {
+            this.applyLoop();
+            onSeek();
+        };
 
-            const onStop = () => {
-                if (!this.visualizerEnabled) return;
-                this.stopVisualization();
-            };
+        // 循环区间延伸到文件末尾时，播放结束后回到区间起点继续播放
+        const onEnded = () => {
+            if (!this.applyLoop(true)) {
+                onStop();
+            }
+        };
 
-            audioElement.addEventListener("play", onPlay);
-            audioElement.addEventListener("pause", onStop);
-            audioElement.addEventListener("ended", onStop);
+        const handlers = {
+            play: onPlay,
+            pause: onStop,
+            ended: onEnded,
+            loadedmetadata: onLoadedMetadata,
+            seeked: onSeek,
+            timeupdate: onTimeUpdate
         };
+        Object.entries(handlers).forEach(([type, handler]) => audioElement.addEventListener(type, handler));
+        this.playerListeners = { element: audioElement, handlers };
+        this.playerElement = audioElement;
 
-        trySetup();
+        if (audioElement.src && audioElement.readyState >= 1) {
+            onLoadedMetadata();
+        }
+        // 节点重新挂载时播放可能仍在继续
+        if (!audioElement.paused) {
+            onPlay();
+        }
+    }
+    
+    /**
+     * 移除当前播放器元素上的监听；正在可视化该元素时一并断开分析支路
+     */
+    detachPlayerElement() {
+        const listeners = this.playerListeners;
+        if (!listeners) return;
+        Object.entries(listeners.handlers).forEach(([type, handler]) => {
+            listeners.element.removeEventListener(type, handler);
+        });
+        if (this.audioElement === listeners.element) {
+            this.cleanup();
+        }
+        this.playerListeners = null;
+        this.playerElement = null;
     }
     
     /**
@@ -783,14 +1672,14 @@ class AudioVisualizer {
     handleAudioChange(audioValue) {
         if (!audioValue) {
             this.cleanup();
+            this.clearOverview();
             this.drawPlaceholder();
             return;
         }
         
-        // 优先使用 audioUI widget 的 audio 元素
-        const audioUIWidget = this.node.widgets?.find(w => w.name === "audioUI");
-        if (audioUIWidget && audioUIWidget.element && audioUIWidget.element.tagName === "AUDIO") {
-            const audioElement = audioUIWidget.element;
+        // 优先使用 audioUI 播放器的 audio 元素
+        const audioElement = findNodeAudioElement(this.node);
+        if (audioElement) {
             // 等待音频源更新
             const checkSrc = () => {
                 if (audioElement.src) {
@@ -810,9 +1699,104 @@ class AudioVisualizer {
             return;
         }
         
+        this.loadOverview(audioUrl);
         this.loadAudio(audioUrl);
     }
     
+    /**
+     * 解码整段音频并生成波形概览
+     */
+    async loadOverview(audioUrl) {
+        if (!audioUrl || !this.visualizerEnabled) return;
+        if (audioUrl === this.overviewUrl) return;
+        
+        this.overviewUrl = audioUrl;
+        const token = ++this.overviewToken;
+        
+        try {
+            const audioBuffer = await decodeAudioUrl(audioUrl);
+            // 解码期间音频源已经切换，丢弃过期结果
+            if (token !== this.overviewToken) return;
+            this.audioBuffer = audioBuffer;
+            this.overview = computePeaks(audioBuffer, OVERVIEW_BUCKETS);
+            this.fullSpectrogram = null;
+            // 新文件：实时积分响度重新累计
+            this.liveLoudness = null;
+            this.liveBeats = null;
+            if (this.showLoudness) {
+                this.analyzeFileLoudness();
+            }
+            if (this.beatOptions.enabled) {
+                this.analyzeFileBeats();
+            }
+            this.renderStatic();
+            this.refreshComparers();
+        } catch (e) {
+            if (token !== this.overviewToken) return;
+            console.error("AudioVisualizer: failed to decode audio for overview", e);
+            this.overviewUrl = null;
+            this.audioBuffer = null;
+            this.overview = null;
+        }
+    }
+    
+    /**
+     * 清除波形概览
+     */
+    clearOverview() {
+        this.overviewToken++;
+        this.cancelFileLoudness();
+        this.fileLoudness = null;
+        this.liveLoudness = null;
+        this.cancelFileBeats();
+        this.fileBeats = null;
+        this.liveBeats = null;
+        this.overviewUrl = null;
+        this.audioBuffer = null;
+        this.overview = null;
+        this.fullSpectrogram = null;
+        this.frozenFrame = null;
+    }
+    
+    /**
+     * 获取负责播放的 audio 元素（官方节点为 audioUI，自定义节点为内部 Audio）
+     */
+    getPlayerElement() {
+        return this.playerElement || this.audioElement;
+    }
+    
+    /**
+     * 获取当前播放位置（秒）
+     */
+    getCurrentTime() {
+        const audioElement = this.getPlayerElement();
+        return audioElement ? audioElement.currentTime || 0 : 0;
+    }
+    
+    /**
+     * 获取音频总时长（秒），优先使用解码结果
+     */
+    getDuration() {
+        if (this.overview) return this.overview.duration;
+        const audioElement = this.getPlayerElement();
+        return audioElement && isFinite(audioElement.duration) ? audioElement.duration : 0;
+    }
+    
+    /**
+     * 跳转到指定时间（只修改 currentTime，不改变播放/暂停状态）
+     */
+    seekTo(time) {
+        const audioElement = this.getPlayerElement();
+        const duration = this.getDuration();
+        if (!audioElement || !(duration > 0)) return;
+        try {
+            audioElement.currentTime = Math.max(0, Math.min(duration, time));
+        } catch (e) {
+            console.warn("AudioVisualizer: failed to seek", e);
+        }
+        this.renderStatic();
+    }
+    
     /**
      * 获取音频 URL
      */
@@ -832,31 +1816,51 @@ class AudioVisualizer {
                 filename = audioValue.substring(folderSeparator + 1);
             }
             
-            const type = "input";
-            
-            // 构建 URL 参数
-            const params = [
-                "filename=" + encodeURIComponent(filename),
-                "type=" + type,
-                "subfolder=" + encodeURIComponent(subfolder),
-                (app.getRandParam ? app.getRandParam().substring(1) : "t=" + Date.now())
-            ].join("&");
-            
-            const resourceUrl = `/view?${params}`;
-            
-            // 使用 ComfyUI API 获取完整 URL
-            if (app.api && app.api.apiURL) {
-                return app.api.apiURL(resourceUrl);
-            }
-            
-            // 备用方案：直接返回相对 URL
-            return resourceUrl;
+            return this.getViewUrl(filename, subfolder, "input");
         } catch (e) {
             console.error("Error getting audio URL:", e);
             return null;
         }
     }
     
+    /**
+     * 构建 /view 文件 URL
+     */
+    getViewUrl(filename, subfolder, type) {
+        // 构建 URL 参数
+        const params = [
+            "filename=" + encodeURIComponent(filename),
+            "type=" + type,
+            "subfolder=" + encodeURIComponent(subfolder || ""),
+            (app.getRandParam ? app.getRandParam().substring(1) : "t=" + Date.now())
+        ].join("&");
+        
+        const resourceUrl = `/view?${params}`;
+        
+        // 使用 ComfyUI API 获取完整 URL
+        if (app.api && app.api.apiURL) {
+            return app.api.apiURL(resourceUrl);
+        }
+        
+        // 备用方案：直接返回相对 URL
+        return resourceUrl;
+    }
+    
+    /**
+     * 处理节点执行结果：第三方预览/保存节点执行后才出现 audioUI 播放器，
+     * 没有播放器的节点则直接解码输出文件生成静态概览
+     */
+    handleExecutionOutput(message) {
+        const file = message?.audio?.[0];
+        if (!file || !file.filename || !this.visualizerEnabled) return;
+        if (this.isOfficialNode && !this.playerElement) {
+            this.setupOfficialAudioUI();
+        }
+        if (!this.getPlayerElement()) {
+            this.loadOverview(this.getViewUrl(file.filename, file.subfolder, file.type || "output"));
+        }
+    }
+    
     /**
      * 连接到现有的 audio 元素（来自 audioUI widget）
      */
@@ -884,97 +1888,34 @@ class AudioVisualizer {
         
         this.audioElement = audioElement;
         
-        // 初始化 AudioContext
+        // 从共享 AudioContext 为该元素分出分析支路
         const initContext = () => {
+            // 等待加载期间可能已经切换到其他元素
+            if (this.isInitialized || this.audioElement !== audioElement) return;
             try {
-                // 如果 AudioContext 已存在且未关闭，先关闭
-                if (this.audioContext && this.audioContext.state !== "closed") {
-                    this.audioContext.close().catch(() => {});
-                }
-                
-                // 创建 AudioContext
-                const AudioContextClass = window.AudioContext || window.webkitAudioContext;
-                this.audioContext = new AudioContextClass();
-                
-                // 如果 AudioContext 被暂停（浏览器策略），恢复它
-                if (this.audioContext.state === "suspended") {
-                    this.audioContext.resume();
-                }
-                
-                // 创建 AnalyserNode
-                this.analyser = this.audioContext.createAnalyser();
-                this.analyser.fftSize = this.config.fftSize;
-                this.analyser.smoothingTimeConstant = 0.85;
-                
-                // 创建音频源（注意：一个 audio 元素只能创建一个 MediaElementSource）
-                // 当创建 MediaElementSource 后，audio 元素的音频输出会被重定向到 AudioContext
-                // 所以我们必须确保音频通过我们的 AudioContext 输出到 destination
-                try {
-                    // 检查是否已经为这个 audio 元素创建过 source
-                    if (!audioElement._audioVisualizerSource) {
-                        // 创建 MediaElementSource（这会"劫持"audio 元素的音频输出）
-                        this.source = this.audioContext.createMediaElementSource(audioElement);
-                        audioElement._audioVisualizerSource = this.source;
-                        
-                        // 连接音频流：source -> analyser -> destination
-                        // 这样音频既能被分析（用于可视化），又能输出到扬声器
-                        this.source.connect(this.analyser);
-                        this.analyser.connect(this.audioContext.destination);
-                    } else {
-                        // 如果已经创建过 source，我们需要重新连接它
-                        console.warn("MediaElementSource already exists, reusing it");
-                        this.source = audioElement._audioVisualizerSource;
-                        
-                        // 断开所有现有连接
-                        try {
-                            this.source.disconnect();
-                        } catch (e) {
-                            // 忽略断开连接的错误
-                        }
-                        
-                        // 重新连接到我们的分析链
-                        this.source.connect(this.analyser);
-                        this.analyser.connect(this.audioContext.destination);
-                    }
-                    
-                    // 确保 AudioContext 处于运行状态（浏览器策略要求用户交互）
-                    if (this.audioContext.state === "suspended") {
-                        this.audioContext.resume().then(() => {
-                            console.log("AudioContext resumed");
-                        }).catch((e) => {
-                            console.error("Failed to resume AudioContext:", e);
-                        });
-                    }
-                } catch (e) {
-                    console.error("Error creating MediaElementSource:", e);
-                    // 如果创建失败，可能是已经创建过了
-                    // 尝试使用现有的 source
-                    if (audioElement._audioVisualizerSource) {
-                        try {
-                            this.source = audioElement._audioVisualizerSource;
-                            this.source.disconnect();
-                            this.source.connect(this.analyser);
-                            this.analyser.connect(this.audioContext.destination);
-                        } catch (e2) {
-                            console.error("Failed to reuse existing source:", e2);
-                            this.drawPlaceholder("无法连接到音频源");
-                            return;
-                        }
-                    } else {
-                        this.drawPlaceholder("无法连接到音频源: " + e.message);
-                        return;
-                    }
-                }
-                
-                this.isInitialized = true;
-                
-                // 如果音频正在播放，立即开始可视化
-                if (!audioElement.paused) {
-                    this.startVisualization();
-                }
+                this.audioTap = connectElementTap(audioElement);
             } catch (e) {
-                console.error("Error initializing AudioContext:", e);
-                this.drawPlaceholder("浏览器不支持音频分析: " + e.message);
+                console.error("AudioVisualizer: failed to connect to audio element", e);
+                this.drawPlaceholder("无法连接到音频源: " + e.message);
+                return;
+            }
+            this.audioContext = this.audioTap.context;
+            this.source = this.audioTap.source;
+            
+            // 分析支路：tap -> analyser（不连接 destination，播放由共享音频图负责）
+            this.analyser = this.audioContext.createAnalyser();
+            this.configureAnalyser(this.analyser);
+            this.audioTap.input.connect(this.analyser);
+            
+            this.connectChannelAnalysers();
+            this.isInitialized = true;
+            
+            // 确保 AudioContext 处于运行状态（浏览器策略要求用户交互）
+            resumeAudioContext();
+            
+            // 如果音频正在播放，立即开始可视化
+            if (!audioElement.paused) {
+                this.startVisualization();
             }
         };
         
@@ -1009,11 +1950,11 @@ class AudioVisualizer {
         }
         this.cleanup();
         
-        // 先检查是否有 audioUI widget 的 audio 元素
-        const audioUIWidget = this.node.widgets?.find(w => w.name === "audioUI");
-        if (audioUIWidget && audioUIWidget.element && audioUIWidget.element.tagName === "AUDIO") {
+        // 先检查是否有 audioUI 播放器的 audio 元素
+        const playerAudio = findNodeAudioElement(this.node);
+        if (playerAudio) {
             // 使用现有的 audio 元素
-            this.connectToAudioElement(audioUIWidget.element);
+            this.connectToAudioElement(playerAudio);
             return;
         }
         
@@ -1050,6 +1991,12 @@ class AudioVisualizer {
         }
         
         this.stopVisualization();
+        // 被挂起的共享 context 会让已接入的元素静音，播放开始时再尝试恢复一次
+        resumeAudioContext();
+        // 暂停期间的时间不计入响度取样
+        if (this.loudnessTap) {
+            this.loudnessTap.reset();
+        }
         this.draw();
     }
     
@@ -1058,9 +2005,269 @@ class AudioVisualizer {
      */
     stopVisualization() {
         if (this.animationFrameId) {
-            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameWindow.cancelAnimationFrame(this.animationFrameId);
             this.animationFrameId = null;
         }
+        // 弹出窗口在自己的动画帧中补画暂停后的静态画面
+        if (this.popout) {
+            this.popout.dirty = true;
+        }
+    }
+    
+    /**
+     * 请求下一帧绘制
+     * 弹出到独立窗口 / 画中画时使用弹出窗口的动画帧：ComfyUI 页面最小化后它自己的 requestAnimationFrame 会暂停
+     */
+    scheduleDraw() {
+        const view = this.popout && this.popout.target !== "fullscreen" ? this.popout.window : window;
+        this.animationFrameWindow = view;
+        this.animationFrameId = view.requestAnimationFrame(() => this.draw());
+    }
+    
+    /**
+     * 非播放状态下的静态绘制：有波形概览时绘制概览，否则绘制占位符
+     */
+    renderStatic() {
+        // 弹出窗口在自己的动画帧中重绘
+        if (this.popout) {
+            this.popout.dirty = true;
+        }
+        if (!this.ctx || !this.canvas || !this.visualizerEnabled) return;
+        // 动画循环运行中，会在下一帧自行刷新
+        if (this.animationFrameId) return;
+        
+        // 暂停后继续显示冻结的画面
+        if (this.frozen && this.frozenFrame) {
+            this.drawFrozenFrame();
+            return;
+        }
+        
+        if (!this.overview) {
+            this.drawPlaceholder();
+            return;
+        }
+        
+        const frame = this.createLiveFrame();
+        const readout = this.drawStaticView(frame);
+        this.drawOverlays(frame);
+        this.drawTimelineOverlay(frame);
+        this.drawHoverReadout(frame, readout);
+    }
+    
+    /**
+     * 在下一动画帧执行一次 renderStatic()，同一帧内的多次请求只绘制一次
+     */
+    scheduleStaticRender() {
+        if (this.staticRenderFrameId !== null) return;
+        this.staticRenderFrameId = requestAnimationFrame(() => {
+            this.staticRenderFrameId = null;
+            this.renderStatic();
+        });
+    }
+    
+    /**
+     * 绘制暂停时的画面（背景 + 概览 / 整段语谱图 / 对比视图 / 保留的滚动语谱图），返回对应的悬停读数函数
+     */
+    drawStaticView(frame) {
+        const spectrogram = frame.state.spectrogram;
+        let readout;
+        this.renderBackground(frame.ctx, frame.width, frame.height);
+        if (this.isShowingFullSpectrogram()) {
+            this.drawFullSpectrogram(frame);
+            readout = (f, x, y) => this.getFullSpectrogramReadout(f, x, y);
+        } else if (this.config.mode === VISUALIZATION_MODES.COMPARE) {
+            // 对比视图由解码后的两段音频计算，暂停时同样可用
+            this.drawCompare(frame);
+            readout = (f, x, y) => this.getCompareReadout(f, x, y);
+        } else if (this.config.mode === VISUALIZATION_MODES.SPECTROGRAM && spectrogram &&
+            spectrogram.width === frame.width && spectrogram.height === frame.height) {
+            // 暂停时保留滚动语谱图的历史，方便查看
+            frame.ctx.drawImage(spectrogram.canvas, 0, 0);
+            this.drawFrequencyAxis(frame, spectrogram.nyquist);
+            readout = (f, x, y) => this.getSpectrogramReadout(f, x, y);
+        } else {
+            this.drawOverview(frame);
+            readout = (f, x, y) => this.getOverviewReadout(f, x, y);
+        }
+        return readout;
+    }
+    
+    /**
+     * 绘制跟随播放位置的叠加层：响度、节拍、标记与歌词（节点画布与弹出窗口共用）
+     */
+    drawOverlays(frame) {
+        const timeline = this.isTimelineView();
+        if (this.showLoudness) {
+            this.drawLoudnessOverlay(frame);
+        }
+        if (this.beatOptions.enabled) {
+            this.drawBeatOverlay(frame, timeline);
+        }
+        this.drawMarkersOverlay(frame, timeline);
+        this.drawLyricsOverlay(frame);
+    }
+    
+    /**
+     * 构建实时绘制用的帧描述
+     * 绘制函数只通过 frame 访问画布、analyser、播放位置与逐帧状态，离线渲染传入自己的 frame 即可复用同一套绘制逻辑
+     * view 为 { ctx, width, height, state } 时绘制到另一块画布（弹出窗口），使用它自己的逐帧状态
+     */
+    createLiveFrame(view = null) {
+        const target = view || { ctx: this.ctx, width: this.displayWidth, height: this.displayHeight, state: this.liveRenderState };
+        const live = this.getLiveAnalysers();
+        const bufferLength = live ? live.analyser.frequencyBinCount : 0;
+        return {
+            ctx: target.ctx,
+            width: target.width,
+            height: target.height,
+            analyser: live ? live.analyser : null,
+            channelAnalysers: live ? live.channelAnalysers : null,
+            dataArray: this.getDataArray(target.state, bufferLength),
+            bufferLength,
+            sampleRate: this.audioContext ? this.audioContext.sampleRate : 48000,
+            now: performance.now() / 1000,
+            currentTime: this.getCurrentTime(),
+            duration: this.getDuration(),
+            loudness: this.liveLoudness,
+            beats: this.getLiveBeatInfo(),
+            config: this.config,
+            visualizer: this,
+            state: target.state
+        };
+    }
+    
+    /**
+     * 实时绘制使用的 analyser 快照 { analyser, channelAnalysers }，analyser 重建后随之重建；未初始化时返回 null
+     * 每帧由 draw() 调用 capture()，同一帧里节点画布与弹出窗口读到的是同一份数据
+     */
+    getLiveAnalysers() {
+        if (!this.analyser) return null;
+        const live = this.liveAnalysers;
+        if (live && live.source === this.analyser && live.channelSources === this.channelAnalysers) {
+            return live;
+        }
+        this.liveAnalysers = {
+            source: this.analyser,
+            channelSources: this.channelAnalysers,
+            analyser: new AnalyserSnapshot(this.analyser),
+            channelAnalysers: this.channelAnalysers ? this.channelAnalysers.map(analyser => new AnalyserSnapshot(analyser)) : null
+        };
+        return this.liveAnalysers;
+    }
+    
+    /**
+     * 是否为实时画面的逐帧状态（节点画布或弹出窗口），离线渲染的状态返回 false
+     */
+    isLiveState(state) {
+        return state === this.liveRenderState || (!!this.popout && state === this.popout.state);
+    }
+    
+    /**
+     * 帧状态中复用的字节数据缓冲，只在 FFT 大小变化时重新分配
+     */
+    getDataArray(state, length) {
+        if (!state.dataArray || state.dataArray.length !== length) {
+            state.dataArray = new Uint8Array(length);
+        }
+        return state.dataArray;
+    }
+    
+    /**
+     * 播放时画布的可见程度（屏幕上的高度 = CSS 高度 × LiteGraph 画布缩放）
+     * - hidden：滚出视口、节点折叠或缩放得几乎看不见，跳过绘制
+     * - small：缩放后很小，降低帧率
+     * - visible：正常绘制
+     * 录制中始终视为可见，否则录下的视频会停在最后一帧
+     */
+    getCanvasVisibility() {
+        if (this.recorder) return "visible";
+        // 全屏弹出时节点画布被遮住
+        if (this.popout?.target === "fullscreen") return "hidden";
+        if (!this.canvasInViewport || this.node.flags?.collapsed) return "hidden";
+        const screenHeight = this.displayHeight * (app.canvas?.ds?.scale ?? 1);
+        if (screenHeight < MIN_VISIBLE_CANVAS_PX) return "hidden";
+        if (screenHeight < SMALL_CANVAS_PX) return "small";
+        return "visible";
+    }
+    
+    /**
+     * 按当前模式绘制一帧（背景 + 可视化内容）
+     */
+    renderFrame(frame) {
+        this.renderBackground(frame.ctx, frame.width, frame.height);
+        if (frame.beats && this.beatOptions.flash && frame.beats.pulse > 0.01) {
+            frame.ctx.fillStyle = this.hexToRgba(this.config.primaryColor, BEAT_FLASH_ALPHA * frame.beats.pulse);
+            frame.ctx.fillRect(0, 0, frame.width, frame.height);
+        }
+        
+        const mode = this.getActiveMode();
+        if (!frame.state.modes) {
+            frame.state.modes = new Map();
+        }
+        
+        try {
+            if (!frame.state.modes.has(mode.id)) {
+                frame.state.modes.set(mode.id, mode.init ? mode.init(frame) : null);
+            }
+            frame.modeState = frame.state.modes.get(mode.id);
+            frame.ctx.save();
+            try {
+                mode.draw(frame);
+            } finally {
+                frame.ctx.restore();
+            }
+        } catch (e) {
+            if (!reportedModeErrors.has(mode.id)) {
+                reportedModeErrors.add(mode.id);
+                console.error(`AudioVisualizer: mode "${mode.id}" failed to draw`, e);
+            }
+        }
+    }
+    
+    /**
+     * 当前实际绘制的模式定义
+     * 未注册的模式（例如保存的第三方模式所在扩展未安装）退回频谱柱状图，但不改写保存的属性
+     */
+    getActiveMode() {
+        return resolveMode(this.config.mode);
+    }
+    
+    /**
+     * 当前模式的悬停读数函数（模式未提供 readout 时返回 null）
+     */
+    getModeReadout() {
+        const mode = this.getActiveMode();
+        if (typeof mode.readout !== "function") return null;
+        return (frame, x, y) => {
+            try {
+                return mode.readout(frame, x, y);
+            } catch (e) {
+                const key = `${mode.id}:readout`;
+                if (!reportedModeErrors.has(key)) {
+                    reportedModeErrors.add(key);
+                    console.error(`AudioVisualizer: mode "${mode.id}" failed to compute readout`, e);
+                }
+                return null;
+            }
+        };
+    }
+    
+    /**
+     * 释放帧状态中各模式 init() 创建的私有状态
+     */
+    disposeModeStates(state) {
+        if (!state.modes) return;
+        state.modes.forEach((modeState, id) => {
+            const mode = getMode(id);
+            if (mode && mode.dispose) {
+                try {
+                    mode.dispose(modeState);
+                } catch (e) {
+                    console.error(`AudioVisualizer: mode "${id}" failed to dispose`, e);
+                }
+            }
+        });
+        state.modes.clear();
     }
     
     /**
@@ -1071,45 +2278,81 @@ class AudioVisualizer {
             return;
         }
         
-        // 处理画布大小变化
-        const rect = this.canvas.getBoundingClientRect();
-        if (rect.width > 0 && rect.height > 0) {
-            if (this.canvas.width !== rect.width || this.canvas.height !== rect.height) {
-                this.canvas.width = rect.width;
-                this.canvas.height = Math.max(200, rect.height);
+        const now = performance.now();
+        
+        // 帧率上限：全局设置；画布在屏幕上很小时进一步降低（弹出显示时以弹出窗口为准）
+        const visibility = this.getCanvasVisibility();
+        let fpsCap = getFpsCap();
+        if (visibility === "small" && !this.popout) {
+            fpsCap = fpsCap > 0 ? Math.min(fpsCap, SMALL_CANVAS_FPS) : SMALL_CANVAS_FPS;
+        }
+        if ((visibility !== "hidden" || this.popout) && fpsCap > 0) {
+            // 未到间隔的帧直接跳过（留 1ms 余量，避免 60Hz 屏幕上 30fps 被抖动成 20fps）
+            if (now - this.lastDrawTime < 1000 / fpsCap - 1) {
+                this.scheduleDraw();
+                return;
             }
+            this.lastDrawTime = now;
         }
         
-        const WIDTH = this.canvas.width;
-        const HEIGHT = this.canvas.height;
-        const bufferLength = this.analyser.frequencyBinCount;
-        const dataArray = new Uint8Array(bufferLength);
+        this.updateLiveAnalysis();
+        this.applyLoop();
         
-        // 绘制背景
-        this.renderBackground(WIDTH, HEIGHT);
+        // 本帧的频谱 / 波形数据只从 analyser 读取一次，节点画布与弹出窗口共用
+        const live = this.getLiveAnalysers();
+        live.analyser.capture();
+        if (live.channelAnalysers) {
+            live.channelAnalysers.forEach(analyser => analyser.capture());
+        }
+        if (this.popout) {
+            this.renderPopout();
+        }
         
-        // 根据模式绘制
-        if (this.config.mode === VISUALIZATION_MODES.WAVE) {
-            this.drawWave(dataArray, WIDTH, HEIGHT, bufferLength);
-        } else if (this.config.mode === VISUALIZATION_MODES.BARS) {
-            this.drawBars(dataArray, WIDTH, HEIGHT, bufferLength);
-        } else if (this.config.mode === VISUALIZATION_MODES.CIRCULAR) {
-            this.drawCircular(dataArray, WIDTH, HEIGHT, bufferLength);
+        // 不可见时跳过绘制，只保留响度与节拍取样（两次取样的间隔必须小于取样缓冲的时长）
+        if (visibility === "hidden") {
+            this.scheduleDraw();
+            return;
+        }
+        
+        // 冻结时只重绘快照，响度仍在上面继续累计
+        if (this.frozen && this.frozenFrame) {
+            this.drawFrozenFrame();
+        } else {
+            const frame = this.createLiveFrame();
+            this.renderFrame(frame);
+            
+            if (this.frozen) {
+                // 刚开启冻结：保存这一帧（不含响度与悬停等叠加层）
+                this.captureFrozenFrame(frame);
+                this.drawFrozenFrame();
+            } else {
+                this.drawOverlays(frame);
+                this.drawTimelineOverlay(frame);
+                this.drawHoverReadout(frame, this.getModeReadout());
+            }
         }
         
-        this.animationFrameId = requestAnimationFrame(() => this.draw());
+        this.scheduleDraw();
     }
     
     /**
      * 绘制波形图
      */
-    drawWave(dataArray, WIDTH, HEIGHT, bufferLength) {
-        this.analyser.getByteTimeDomainData(dataArray);
+    drawWave(frame) {
+        const { ctx, width: WIDTH, height: HEIGHT, analyser, dataArray, bufferLength } = frame;
+        analyser.getByteTimeDomainData(dataArray);
         
-        // 绘制主波形
-        this.ctx.lineWidth = 2;
-        this.ctx.strokeStyle = this.config.primaryColor;
-        this.ctx.beginPath();
+        // 绘制主波形：波形没有频率轴，按频率映射时沿横轴从左到右渐变；按幅度映射时离中线越远越靠调色板末端
+        const palette = getPaletteLUT(this.palette);
+        ctx.lineWidth = 2;
+        if (!palette) {
+            ctx.strokeStyle = this.config.primaryColor;
+        } else if (this.paletteMapping === "amplitude") {
+            ctx.strokeStyle = this.createPaletteGradient(ctx, palette, 0, 0, 0, HEIGHT, true);
+        } else {
+            ctx.strokeStyle = this.createPaletteGradient(ctx, palette, 0, 0, WIDTH, 0);
+        }
+        ctx.beginPath();
         
         const sliceWidth = WIDTH / bufferLength;
         let x = 0;
@@ -1119,80 +2362,141 @@ class AudioVisualizer {
             const y = (v * HEIGHT) / 2;
             
             if (i === 0) {
-                this.ctx.moveTo(x, y);
+                ctx.moveTo(x, y);
             } else {
-                this.ctx.lineTo(x, y);
+                ctx.lineTo(x, y);
             }
             
             x += sliceWidth;
         }
         
-        this.ctx.lineTo(WIDTH, HEIGHT / 2);
-        this.ctx.stroke();
+        ctx.lineTo(WIDTH, HEIGHT / 2);
+        ctx.stroke();
         
         // 绘制辅助波形
-        this.ctx.lineWidth = 1;
-        this.ctx.strokeStyle = this.config.secondaryColor;
-        this.ctx.beginPath();
+        ctx.lineWidth = 1;
+        ctx.strokeStyle = this.config.secondaryColor;
+        ctx.beginPath();
         x = 0;
         for (let i = 0; i < bufferLength; i += 5) {
             const v = dataArray[i] / 128.0;
             const y = (v * HEIGHT) / 2 + 5;
             if (i === 0) {
-                this.ctx.moveTo(x, y);
+                ctx.moveTo(x, y);
             } else {
-                this.ctx.lineTo(x, y);
+                ctx.lineTo(x, y);
             }
             x += sliceWidth * 5;
         }
-        this.ctx.stroke();
+        ctx.stroke();
     }
     
     /**
      * 绘制频谱柱状图
      */
-    drawBars(dataArray, WIDTH, HEIGHT, bufferLength) {
-        this.analyser.getByteFrequencyData(dataArray);
+    drawBars(frame) {
+        const { ctx, width: WIDTH, height: HEIGHT, analyser, dataArray } = frame;
+        analyser.getByteFrequencyData(dataArray);
         
-        const barWidth = (WIDTH / bufferLength) * 2.5;
-        let x = 0;
+        const geometry = this.getBarGeometry(frame);
+        const { left, plotWidth, plotHeight, runWidth, mirror, symmetric } = geometry;
+        const { gap, style, peakHold } = this.barOptions;
         
-        for (let i = 0; i < bufferLength; i++) {
-            const barHeight = (dataArray[i] / 255) * HEIGHT;
-            
-            // 创建渐变
-            const gradient = this.ctx.createLinearGradient(0, HEIGHT, 0, HEIGHT - barHeight);
-            gradient.addColorStop(0, this.config.secondaryColor);
-            gradient.addColorStop(1, this.config.primaryColor);
+        const layout = this.getBarLayout(frame, runWidth);
+        const values = sampleBands(dataArray, layout.bands, frame.sampleRate, layout.values);
+        const count = layout.bands.length;
+        
+        // 上下对称布局时 dB 刻度从中线向两侧展开
+        if (this.barAxis) {
+            this.drawDecibelGrid(frame, left, plotWidth, plotHeight, symmetric);
+        }
+        
+        const slot = runWidth / count;
+        const barWidth = slot > gap + 2 ? slot - gap : slot;
+        // 柱子从 baseY 开始向上（对称布局同时向下）生长，最大长度为 maxLength
+        const baseY = symmetric ? plotHeight / 2 : plotHeight;
+        const maxLength = symmetric ? plotHeight / 2 : plotHeight;
+        const directions = symmetric ? [-1, 1] : [-1];
+        
+        // 调色板按幅度映射时所有柱子共用一个全高渐变，柱子越高露出的颜色越靠后
+        const palette = getPaletteLUT(this.palette);
+        const amplitudeGradient = palette && this.paletteMapping === "amplitude"
+            ? (symmetric
+                ? this.createPaletteGradient(ctx, palette, 0, 0, 0, plotHeight, true)
+                : this.createPaletteGradient(ctx, palette, 0, plotHeight, 0, 0))
+            : null;
+        
+        const peaks = peakHold ? this.updateBarPeaks(frame, layout, values) : null;
+        
+        for (let i = 0; i < count; i++) {
+            const barLength = (values[i] / 255) * maxLength;
+            // 镜像布局：低频在中间，向左右两侧展开
+            const xs = mirror
+                ? [left + runWidth + i * slot, left + runWidth - (i + 1) * slot + (slot - barWidth)]
+                : [left + i * slot];
             
-            this.ctx.fillStyle = gradient;
-            this.ctx.fillRect(x, HEIGHT - barHeight, barWidth, barHeight);
+            let color;
+            if (amplitudeGradient) {
+                color = amplitudeGradient;
+            } else if (palette) {
+                color = this.getPaletteColor(palette, i / count);
+            }
             
-            x += barWidth + 1;
-            if (x > WIDTH) break;
+            directions.forEach(direction => {
+                if (!palette) {
+                    // 创建渐变
+                    const gradient = ctx.createLinearGradient(0, baseY, 0, baseY + direction * barLength);
+                    gradient.addColorStop(0, this.config.secondaryColor);
+                    gradient.addColorStop(1, this.config.primaryColor);
+                    color = gradient;
+                }
+                ctx.fillStyle = color;
+                xs.forEach(x => this.fillBar(ctx, x, baseY, barWidth, barLength, direction, style));
+                
+                // 峰值帽
+                if (peaks && peaks[i] > 0) {
+                    const capOffset = (peaks[i] / 255) * maxLength;
+                    const capY = direction < 0 ? baseY - capOffset - 2 : baseY + capOffset;
+                    ctx.fillStyle = palette ? this.getPaletteColor(palette, amplitudeGradient ? peaks[i] / 255 : i / count) : this.config.primaryColor;
+                    xs.forEach(x => ctx.fillRect(x, capY, barWidth, 2));
+                }
+            });
+        }
+        
+        if (this.barAxis) {
+            if (mirror) {
+                this.drawBarFrequencyAxis(frame, layout, left + runWidth, runWidth, plotHeight);
+                this.drawBarFrequencyAxis(frame, layout, left, runWidth, plotHeight, true);
+            } else {
+                this.drawBarFrequencyAxis(frame, layout, left, plotWidth, plotHeight);
+            }
         }
     }
     
     /**
      * 绘制圆形频谱图
      */
-    drawCircular(dataArray, WIDTH, HEIGHT, bufferLength) {
-        this.analyser.getByteFrequencyData(dataArray);
+    drawCircular(frame) {
+        const { ctx, width: WIDTH, height: HEIGHT, analyser, dataArray, bufferLength } = frame;
+        analyser.getByteFrequencyData(dataArray);
         
         const centerX = WIDTH / 2;
         const centerY = HEIGHT / 2;
-        const radius = Math.min(WIDTH, HEIGHT) / 4;
+        // 节拍脉动：每拍放大后按指数衰减回原尺寸
+        const pulse = frame.beats && this.beatOptions.pulse ? frame.beats.pulse : 0;
+        const radius = (Math.min(WIDTH, HEIGHT) / 4) * (1 + BEAT_PULSE_SCALE * pulse);
         
         // 绘制中心圆
-        this.ctx.beginPath();
-        this.ctx.arc(centerX, centerY, radius - 10, 0, 2 * Math.PI);
-        this.ctx.fillStyle = this.hexToRgba(this.config.secondaryColor, 0.2);
-        this.ctx.fill();
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, radius - 10, 0, 2 * Math.PI);
+        ctx.fillStyle = this.hexToRgba(this.config.secondaryColor, 0.2);
+        ctx.fill();
         
         // 绘制径向柱状图
         const barsToDraw = 180;
         const step = Math.floor(bufferLength / barsToDraw);
         const angleStep = (2 * Math.PI) / barsToDraw;
+        const palette = getPaletteLUT(this.palette);
         
         for (let i = 0; i < barsToDraw; i++) {
             const value = dataArray[i * step];
@@ -1205,22 +2509,185 @@ class AudioVisualizer {
             const x2 = centerX + Math.cos(angle) * (radius + barHeight);
             const y2 = centerY + Math.sin(angle) * (radius + barHeight);
             
-            this.ctx.strokeStyle = this.config.primaryColor;
-            this.ctx.lineWidth = 2;
-            this.ctx.beginPath();
-            this.ctx.moveTo(x1, y1);
-            this.ctx.lineTo(x2, y2);
-            this.ctx.stroke();
+            if (palette) {
+                ctx.strokeStyle = this.getPaletteColor(palette, this.paletteMapping === "amplitude" ? value / 255 : i / barsToDraw);
+            } else {
+                ctx.strokeStyle = this.config.primaryColor;
+            }
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(x1, y1);
+            ctx.lineTo(x2, y2);
+            ctx.stroke();
             
             // 内圈反射
             const x3 = centerX + Math.cos(angle) * (radius - barHeight * 0.3);
             const y3 = centerY + Math.sin(angle) * (radius - barHeight * 0.3);
-            this.ctx.strokeStyle = this.config.secondaryColor;
-            this.ctx.beginPath();
-            this.ctx.moveTo(x1, y1);
-            this.ctx.lineTo(x3, y3);
-            this.ctx.stroke();
+            ctx.strokeStyle = this.config.secondaryColor;
+            ctx.beginPath();
+            ctx.moveTo(x1, y1);
+            ctx.lineTo(x3, y3);
+            ctx.stroke();
+        }
+    }
+    
+    /**
+     * 节点右键菜单项
+     */
+    getNodeMenuOptions() {
+        const options = [null];
+        options.push({
+            content: this.frozen ? "Unfreeze visualizer" : "Freeze visualizer",
+            callback: () => this.setFrozen(!this.frozen)
+        });
+        options.push(this.getPopoutMenuOption());
+        if (this.getDuration() > 0) {
+            options.push({
+                content: `Add marker at ${formatTime(this.getCurrentTime())}`,
+                callback: () => this.addMarker(this.getCurrentTime())
+            });
+        }
+        options.push(this.getRecordMenuOption());
+        options.push(this.getRenderMenuOption());
+        return options;
+    }
+    
+    /**
+     * 触发浏览器下载
+     */
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 10000);
+    }
+    
+    /**
+     * 读取自上一帧以来的新采样，送入实时响度表与节拍跟踪器（两者共用同一次读取）
+     */
+    updateLiveAnalysis() {
+        if (!this.loudnessTap || (!this.showLoudness && !this.beatOptions.enabled)) return;
+        const samples = this.loudnessTap.read();
+        if (!samples) return;
+        if (this.showLoudness) {
+            this.updateLiveLoudness(samples);
+        }
+        if (this.beatOptions.enabled) {
+            this.updateLiveBeats(samples);
+        }
+    }
+    
+    /**
+     * 绘制整段音频的波形概览（min/max 包络 + RMS + 削波标记 + 播放头）
+     */
+    drawOverview(frame) {
+        const { ctx, width: WIDTH, height: HEIGHT } = frame;
+        const { min, max, rms, clipped, buckets } = this.overview;
+        const { duration, currentTime } = frame;
+        const playheadX = duration > 0 ? Math.min(1, currentTime / duration) * WIDTH : 0;
+        const centerY = HEIGHT / 2;
+        const amplitude = HEIGHT / 2 - 4;
+        const bucketsPerPixel = buckets / WIDTH;
+        
+        // 中线
+        ctx.fillStyle = "rgba(255,255,255,0.08)";
+        ctx.fillRect(0, Math.floor(centerY), WIDTH, 1);
+        
+        const gradient = ctx.createLinearGradient(0, 0, 0, HEIGHT);
+        gradient.addColorStop(0, this.config.primaryColor);
+        gradient.addColorStop(0.5, this.config.secondaryColor);
+        gradient.addColorStop(1, this.config.primaryColor);
+        
+        const rmsColor = "rgba(255,255,255,0.35)";
+        const clipColor = "#ef4444";
+        
+        for (let x = 0; x < WIDTH; x++) {
+            const start = Math.floor(x * bucketsPerPixel);
+            const end = Math.max(start + 1, Math.floor((x + 1) * bucketsPerPixel));
+            let lo = 1;
+            let hi = -1;
+            let rmsValue = 0;
+            let isClipped = false;
+            for (let b = start; b < end && b < buckets; b++) {
+                if (min[b] < lo) lo = min[b];
+                if (max[b] > hi) hi = max[b];
+                if (rms[b] > rmsValue) rmsValue = rms[b];
+                if (clipped[b]) isClipped = true;
+            }
+            if (lo > hi) continue;
+            
+            // 已播放部分高亮，未播放部分变暗
+            ctx.globalAlpha = x <= playheadX ? 1 : 0.55;
+            
+            const top = centerY - hi * amplitude;
+            const bottom = centerY - lo * amplitude;
+            ctx.fillStyle = gradient;
+            ctx.fillRect(x, top, 1, Math.max(1, bottom - top));
+            
+            const rmsHeight = rmsValue * amplitude;
+            ctx.fillStyle = rmsColor;
+            ctx.fillRect(x, centerY - rmsHeight, 1, Math.max(1, rmsHeight * 2));
+            
+            if (isClipped) {
+                ctx.fillStyle = clipColor;
+                ctx.fillRect(x, 0, 1, 3);
+                ctx.fillRect(x, HEIGHT - 3, 1, 3);
+            }
+        }
+        ctx.globalAlpha = 1;
+        
+        // 播放头
+        ctx.fillStyle = "#fff";
+        ctx.fillRect(Math.round(playheadX) - 1, 0, 2, HEIGHT);
+        
+        // 时间标签
+        ctx.fillStyle = "rgba(255,255,255,0.75)";
+        ctx.font = "11px Arial";
+        ctx.textAlign = "left";
+        ctx.textBaseline = "bottom";
+        ctx.fillText(`${formatTime(currentTime)} / ${formatTime(duration)}`, 8, HEIGHT - 6);
+    }
+    
+    /**
+     * 绘制时间轴叠加层：波形模式下的进度条，以及悬停位置的时间光标
+     */
+    drawTimelineOverlay(frame) {
+        const { ctx, width: WIDTH, height: HEIGHT } = frame;
+        if (!this.isTimelineView()) return;
+        const { duration } = frame;
+        if (!(duration > 0)) return;
+        
+        // 实时波形本身不体现播放位置，在底部补一条进度条
+        if (this.animationFrameId && this.config.mode === VISUALIZATION_MODES.WAVE) {
+            const progress = Math.min(1, frame.currentTime / duration);
+            ctx.fillStyle = "rgba(255,255,255,0.12)";
+            ctx.fillRect(0, HEIGHT - 3, WIDTH, 3);
+            ctx.fillStyle = this.config.primaryColor;
+            ctx.fillRect(0, HEIGHT - 3, WIDTH * progress, 3);
         }
+        
+        if (this.hoverX === null) return;
+        
+        const x = Math.round(this.hoverX * WIDTH);
+        const label = formatTime(this.hoverX * duration);
+        
+        ctx.fillStyle = "rgba(255,255,255,0.6)";
+        ctx.fillRect(x, 0, 1, HEIGHT);
+        
+        ctx.font = "11px Arial";
+        ctx.textBaseline = "middle";
+        const textWidth = ctx.measureText(label).width;
+        const boxWidth = textWidth + 10;
+        const boxX = Math.min(WIDTH - boxWidth - 2, Math.max(2, x - boxWidth / 2));
+        ctx.fillStyle = "rgba(0,0,0,0.7)";
+        ctx.fillRect(boxX, 4, boxWidth, 18);
+        ctx.fillStyle = "#fff";
+        ctx.textAlign = "left";
+        ctx.fillText(label, boxX + 5, 13);
     }
     
     /**
@@ -1229,10 +2696,10 @@ class AudioVisualizer {
     drawPlaceholder(text = "请加载音频文件") {
         if (!this.ctx || !this.canvas) return;
         
-        const WIDTH = this.canvas.width;
-        const HEIGHT = this.canvas.height;
+        const WIDTH = this.displayWidth;
+        const HEIGHT = this.displayHeight;
         
-        this.renderBackground(WIDTH, HEIGHT);
+        this.renderBackground(this.ctx, WIDTH, HEIGHT);
         
         // 绘制提示文字
         this.ctx.fillStyle = "#666";
@@ -1257,19 +2724,19 @@ class AudioVisualizer {
      */
     cleanup() {
         this.stopVisualization();
+        this.stopRecording();
+        this.disconnectChannelAnalysers();
         
-        if (this.source) {
+        // 只拆除本节点的分析支路；共享 context 与元素的 source 保持不变，播放不受影响
+        if (this.analyser) {
             try {
-                this.source.disconnect();
+                this.analyser.disconnect();
             } catch (e) {}
-            this.source = null;
-        }
-
-        if (this.audioContext && this.audioContext.state !== "closed") {
-            this.audioContext.close().catch(() => {});
-            this.audioContext = null;
         }
-        
+        releaseElementTap(this.audioTap);
+        this.audioTap = null;
+        this.source = null;
+        this.audioContext = null;
         this.analyser = null;
         this.isInitialized = false;
 
@@ -1291,46 +2758,166 @@ class AudioVisualizer {
      * 销毁
      */
     destroy() {
+        if (this.stopWatchingPlayer) {
+            this.stopWatchingPlayer();
+            this.stopWatchingPlayer = null;
+        }
+        this.closePopout();
+        if (this.staticRenderFrameId !== null) {
+            cancelAnimationFrame(this.staticRenderFrameId);
+            this.staticRenderFrameId = null;
+        }
+        this.detachPlayerElement();
         this.cleanup();
+        this.clearOverview();
+        this.disposeModeStates(this.liveRenderState);
+        if (this.renderAbort) {
+            this.renderAbort.abort();
+        }
+        if (this.visibilityObserver) {
+            this.visibilityObserver.disconnect();
+            this.visibilityObserver = null;
+        }
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+            this.resizeObserver = null;
+        }
+        if (this.pixelRatioQuery) {
+            this.pixelRatioQuery.query.removeEventListener("change", this.pixelRatioQuery.onChange);
+            this.pixelRatioQuery = null;
+        }
+    }
+}
+
+// 各功能模块的方法混入 AudioVisualizer（状态仍保存在可视化器实例上，见各模块的说明）
+Object.assign(AudioVisualizer.prototype, barsMethods, beatsMethods, compareMethods, loudnessMethods, lyricsMethods, markersMethods, pitchMethods, popoutMethods, readoutMethods, recordingMethods, renderMethods, spectrogramMethods, stereoMethods);
+
+/**
+ * 保证节点定义中 audio 下拉输入带有选项数组（兼容旧的 [values, options] 与新的 ["COMBO", { options }] 写法）
+ */
+function ensureAudioInputOptions(nodeData) {
+    const spec = nodeData?.input?.required?.audio;
+    if (!Array.isArray(spec)) return;
+    if (spec[0] === "COMBO") {
+        spec[1] = spec[1] || {};
+        if (!Array.isArray(spec[1].options)) {
+            spec[1].options = [];
+        }
+    } else if (spec[0] === undefined || spec[0] === null) {
+        spec[0] = [];
     }
 }
 
 // 注册扩展
 app.registerExtension({
     name: "ComfyUI.AudioVisualizer",
+    settings: [
+        {
+            id: SETTING_IDS.AUTO_DETECT,
+            category: ["Audio Visualizer", "Nodes", "Auto-detect"],
+            name: "Attach to any node with audio inputs or outputs",
+            tooltip: "Also add the visualizer to custom nodes that have an AUDIO input/output, an audioUI player or an audio upload widget. Reload the page to apply.",
+            type: "boolean",
+            defaultValue: false
+        },
+        {
+            id: SETTING_IDS.ALLOW_LIST,
+            category: ["Audio Visualizer", "Nodes", "Allow list"],
+            name: "Always attach to these nodes",
+            tooltip: "Comma-separated node class names, added to the built-in LoadAudio / SaveAudio / PreviewAudio list. Reload the page to apply.",
+            type: "text",
+            defaultValue: ""
+        },
+        {
+            id: SETTING_IDS.DENY_LIST,
+            category: ["Audio Visualizer", "Nodes", "Deny list"],
+            name: "Never attach to these nodes",
+            tooltip: "Comma-separated node class names. Takes priority over the allow list and auto-detect. Reload the page to apply.",
+            type: "text",
+            defaultValue: ""
+        },
+        {
+            id: SETTING_IDS.ENABLED,
+            category: ["Audio Visualizer", "Defaults", "Enabled"],
+            name: "Enable visualizer on new nodes",
+            tooltip: "Nodes where the visualizer was switched on or off by hand keep their own choice.",
+            type: "boolean",
+            defaultValue: true
+        },
+        {
+            id: SETTING_IDS.DEFAULT_MODE,
+            category: ["Audio Visualizer", "Defaults", "Mode"],
+            name: "Default visualization mode",
+            type: "combo",
+            options: getModes().map(mode => ({ text: mode.label, value: mode.id })),
+            defaultValue: VISUALIZATION_MODES.BARS
+        },
+        {
+            id: SETTING_IDS.DEFAULT_FFT_SIZE,
+            category: ["Audio Visualizer", "Defaults", "FFT size"],
+            name: "Default FFT size",
+            type: "combo",
+            options: FFT_SIZE_OPTIONS.map(size => ({ text: String(size), value: size })),
+            defaultValue: 2048
+        },
+        {
+            id: SETTING_IDS.PRIMARY_COLOR,
+            category: ["Audio Visualizer", "Defaults", "Primary color"],
+            name: "Primary color",
+            type: "color",
+            defaultValue: "8b5cf6"
+        },
+        {
+            id: SETTING_IDS.SECONDARY_COLOR,
+            category: ["Audio Visualizer", "Defaults", "Secondary color"],
+            name: "Secondary color",
+            type: "color",
+            defaultValue: "3b82f6"
+        },
+        {
+            id: SETTING_IDS.BACKGROUND_COLOR,
+            category: ["Audio Visualizer", "Defaults", "Background color"],
+            name: "Background color",
+            type: "color",
+            defaultValue: "09090b"
+        },
+        {
+            id: SETTING_IDS.BACKGROUND_OPACITY,
+            category: ["Audio Visualizer", "Defaults", "Background opacity"],
+            name: "Background overlay opacity",
+            type: "slider",
+            attrs: { min: 0, max: 0.5, step: 0.01 },
+            defaultValue: 0.2
+        },
+        {
+            id: SETTING_IDS.FPS_CAP,
+            category: ["Audio Visualizer", "Performance", "Frame rate cap"],
+            name: "Frame rate cap",
+            tooltip: "Limit how often playing visualizers redraw. Applies immediately to all nodes.",
+            type: "combo",
+            options: FPS_CAP_OPTIONS.map(fps => ({ text: fps ? `${fps} fps` : "Unlimited", value: fps })),
+            defaultValue: 0,
+            onChange: (value) => setFpsCap(value)
+        }
+    ],
+    
     async beforeRegisterNodeDef(nodeType, nodeData) {
-        // 支持官方音频相关节点
-        const isAudioNode =
-            nodeData.name === "LoadAudio" ||
-            nodeData.name === "SaveAudio" ||
-            nodeData.name === "SaveAudioMP3" ||
-            nodeData.name === "SaveAudioOpus" ||
-            nodeData.name === "PreviewAudio";
+        // 默认的官方音频节点 + 允许列表 + 自动识别（拒绝列表优先）
+        const isAudioNode = shouldAttachVisualizer(nodeData, {
+            allowList: getSetting(SETTING_IDS.ALLOW_LIST, ""),
+            denyList: getSetting(SETTING_IDS.DENY_LIST, ""),
+            autoDetect: getSetting(SETTING_IDS.AUTO_DETECT, false) === true
+        });
         
         if (isAudioNode) {
             const onNodeCreated = nodeType.prototype.onNodeCreated;
             const onRemoved = nodeType.prototype.onRemoved;
+            const onExecuted = nodeType.prototype.onExecuted;
+            const getExtraMenuOptions = nodeType.prototype.getExtraMenuOptions;
             
-            // 在节点创建之前就初始化 audio widget
-            // 拦截 widget 的创建过程，确保 audio widget 的 options 在 AUDIOUPLOAD widget 创建之前就初始化
-            const originalAddWidget = nodeType.prototype.addWidget;
-            if (originalAddWidget) {
-                nodeType.prototype.addWidget = function(...args) {
-                    const widget = originalAddWidget.apply(this, args);
-                    
-                    // 如果是 audio widget，立即初始化 options
-                    if (widget && widget.name === "audio") {
-                        if (!widget.options) {
-                            widget.options = {};
-                        }
-                        if (!widget.options.values) {
-                            widget.options.values = [];
-                        }
-                    }
-                    
-                    return widget;
-                };
-            }
+            // 在节点创建之前就保证 audio 输入有选项列表，AUDIOUPLOAD widget 创建时会读取它
+            // 直接修改节点定义，而不是覆写 addWidget：Vue 节点模式下 widget 不一定经由 addWidget 创建
+            ensureAudioInputOptions(nodeData);
             
             nodeType.prototype.onNodeCreated = function() {
                 if (onNodeCreated) {
@@ -1356,6 +2943,24 @@ app.registerExtension({
                 }
             };
             
+            // 节点右键菜单中追加可视化相关操作
+            nodeType.prototype.getExtraMenuOptions = function(canvas, options) {
+                const result = getExtraMenuOptions ? getExtraMenuOptions.apply(this, arguments) : undefined;
+                if (this.audioVisualizer && Array.isArray(options)) {
+                    options.push(...this.audioVisualizer.getNodeMenuOptions());
+                }
+                return result;
+            };
+            
+            // 执行结果中带有音频文件时通知可视化器
+            nodeType.prototype.onExecuted = function(message) {
+                const result = onExecuted ? onExecuted.apply(this, arguments) : undefined;
+                if (this.audioVisualizer) {
+                    this.audioVisualizer.handleExecutionOutput(message);
+                }
+                return result;
+            };
+            
             nodeType.prototype.onRemoved = function() {
                 if (this.audioVisualizer) {
                     this.audioVisualizer.destroy();
@@ -0,0 +1,454 @@
+/**
+ * 起音检测、节拍跟踪与速度（BPM）估计
+ *
+ * 功能：
+ * - 起音强度包络：对数压缩幅度谱的半波整流谱通量（spectral flux）
+ * - 自适应阈值 + 局部极大值挑选起音点
+ * - 起音包络自相关估计 BPM（带 120 BPM 附近的感知先验，减少倍频/半频误判）
+ * - 流式检测：实时送入 analyser 采样，按预测节拍与起音点锁相给出节拍
+ * - 离线检测：整段 AudioBuffer 的起音、动态规划节拍跟踪（Ellis 2007）与局部速度曲线
+ */
+
+import { getFFT, getBlackmanWindow } from "./dsp.js";
+
+// 分析帧长与帧移（采样）
+const FRAME_SIZE = 1024;
+const HOP_SIZE = 512;
+// 幅度对数压缩系数：log(1 + C * |X|)
+const LOG_COMPRESSION = 1000;
+
+// 自适应阈值：最近 THRESHOLD_SECONDS 内通量均值 × 比例 + 下限
+const THRESHOLD_SECONDS = 0.5;
+const THRESHOLD_RATIO = 1.5;
+const THRESHOLD_FLOOR = 0.002;
+// 两个起音之间的最短间隔（秒）
+const MIN_ONSET_INTERVAL = 0.1;
+
+// 速度搜索范围与感知先验（以 PRIOR_BPM 为中心、宽 PRIOR_OCTAVES 倍频程的对数高斯）
+const MIN_BPM = 60;
+const MAX_BPM = 200;
+const PRIOR_BPM = 120;
+const PRIOR_OCTAVES = 1;
+
+// 实时速度估计使用的包络长度与更新间隔（秒）
+const TEMPO_WINDOW_SECONDS = 8;
+const TEMPO_UPDATE_SECONDS = 0.5;
+// 实时节拍锁相：起音落在预测节拍 ±BEAT_TOLERANCE 个周期内时以起音为准
+const BEAT_TOLERANCE = 0.2;
+// 实时保留的起音与节拍数量
+const LIVE_HISTORY = 64;
+
+// 离线节拍跟踪：偏离速度周期的惩罚权重
+const TRACK_TIGHTNESS = 100;
+// 离线局部速度曲线的步长（秒）
+const TEMPO_CURVE_STEP = 1;
+
+/**
+ * 在起音包络上估计速度
+ * 返回 { bpm, confidence }；confidence 为最佳延迟处的归一化自相关（0~1），包络太短或没有周期性时 bpm 为 0
+ */
+export function estimateTempo(envelope, hopSeconds, start = 0, end = envelope.length) {
+    const length = end - start;
+    const minLag = Math.max(1, Math.floor(60 / MAX_BPM / hopSeconds));
+    const maxLag = Math.ceil(60 / MIN_BPM / hopSeconds);
+    if (length < maxLag * 2) {
+        return { bpm: 0, confidence: 0 };
+    }
+
+    let mean = 0;
+    for (let i = start; i < end; i++) {
+        mean += envelope[i];
+    }
+    mean /= length;
+
+    const autocorrelation = (lag) => {
+        let sum = 0;
+        for (let i = start + lag; i < end; i++) {
+            sum += (envelope[i] - mean) * (envelope[i - lag] - mean);
+        }
+        return sum / (length - lag);
+    };
+
+    const energy = autocorrelation(0);
+    if (!(energy > 0)) {
+        return { bpm: 0, confidence: 0 };
+    }
+
+    const values = new Float64Array(maxLag + 2);
+    for (let lag = minLag - 1; lag <= maxLag + 1; lag++) {
+        values[lag] = autocorrelation(lag);
+    }
+
+    let bestLag = 0;
+    let bestScore = 0;
+    for (let lag = minLag; lag <= maxLag; lag++) {
+        // 只考虑自相关的局部极大值
+        if (values[lag] < values[lag - 1] || values[lag] < values[lag + 1]) continue;
+        const bpm = 60 / (lag * hopSeconds);
+        const octaves = Math.log2(bpm / PRIOR_BPM) / PRIOR_OCTAVES;
+        const score = values[lag] * Math.exp(-0.5 * octaves * octaves);
+        if (score > bestScore) {
+            bestScore = score;
+            bestLag = lag;
+        }
+    }
+    if (!bestLag) {
+        return { bpm: 0, confidence: 0 };
+    }
+
+    // 抛物线插值得到亚帧精度的周期
+    const left = values[bestLag - 1];
+    const center = values[bestLag];
+    const right = values[bestLag + 1];
+    const denominator = left - 2 * center + right;
+    const shift = denominator < 0 ? Math.max(-0.5, Math.min(0.5, (0.5 * (left - right)) / denominator)) : 0;
+
+    return {
+        bpm: 60 / ((bestLag + shift) * hopSeconds),
+        confidence: Math.max(0, Math.min(1, center / energy))
+    };
+}
+
+/**
+ * 流式起音检测器：可以分多次送入连续的采样块（多声道会先混合为单声道）
+ */
+export class OnsetDetector {
+    constructor(sampleRate, { keepEnvelope = false } = {}) {
+        this.sampleRate = sampleRate;
+        this.hopSeconds = HOP_SIZE / sampleRate;
+        this.fft = getFFT(FRAME_SIZE);
+        this.window = getBlackmanWindow(FRAME_SIZE);
+        this.frame = new Float32Array(FRAME_SIZE);
+        this.real = new Float64Array(FRAME_SIZE);
+        this.imag = new Float64Array(FRAME_SIZE);
+        this.previous = new Float32Array(FRAME_SIZE / 2);
+        this.hasPrevious = false;
+        // 当前帧移内已收集的新采样数
+        this.pending = 0;
+        this.hops = 0;
+
+        // 自适应阈值用的通量历史
+        this.thresholdHistory = new Float32Array(Math.max(1, Math.round(THRESHOLD_SECONDS / this.hopSeconds)));
+        this.thresholdIndex = 0;
+        this.thresholdCount = 0;
+        this.thresholdSum = 0;
+
+        // 局部极大值判断需要前后各一帧，因此起音会延迟一个帧移报告
+        this.fluxBefore = 0;
+        this.fluxCandidate = 0;
+        this.lastOnset = -Infinity;
+
+        // 实时速度估计用的包络环形缓冲；离线检测保留完整包络
+        this.recent = new Float32Array(Math.round(TEMPO_WINDOW_SECONDS / this.hopSeconds));
+        this.recentLinear = new Float32Array(this.recent.length);
+        this.envelope = keepEnvelope ? [] : null;
+    }
+
+    /**
+     * 已处理的音频时长（秒）；起音时间与之使用同一时间轴
+     */
+    get time() {
+        return this.hops * this.hopSeconds;
+    }
+
+    /**
+     * 送入 channels[c][offset .. offset + length) 的采样，返回本次检测到的起音时间（秒）
+     */
+    process(channels, offset, length) {
+        const onsets = [];
+        const channelCount = channels.length;
+        const scale = 1 / channelCount;
+        const frame = this.frame;
+        const keep = FRAME_SIZE - HOP_SIZE;
+
+        for (let i = 0; i < length; i++) {
+            let sample = 0;
+            for (let c = 0; c < channelCount; c++) {
+                sample += channels[c][offset + i];
+            }
+            frame[keep + this.pending] = sample * scale;
+            this.pending++;
+            if (this.pending === HOP_SIZE) {
+                const onset = this.processHop();
+                if (onset !== null) {
+                    onsets.push(onset);
+                }
+                frame.copyWithin(0, HOP_SIZE);
+                this.pending = 0;
+            }
+        }
+        return onsets;
+    }
+
+    /**
+     * 计算一帧的谱通量并做峰值挑选；返回起音时间或 null
+     */
+    processHop() {
+        const { real, imag, frame, previous } = this;
+        for (let i = 0; i < FRAME_SIZE; i++) {
+            real[i] = frame[i] * this.window[i];
+            imag[i] = 0;
+        }
+        this.fft.transform(real, imag);
+
+        const bins = FRAME_SIZE / 2;
+        let flux = 0;
+        for (let k = 0; k < bins; k++) {
+            const magnitude = Math.log(1 + LOG_COMPRESSION * Math.sqrt(real[k] * real[k] + imag[k] * imag[k]) / FRAME_SIZE);
+            const rise = magnitude - previous[k];
+            if (rise > 0) flux += rise;
+            previous[k] = magnitude;
+        }
+        flux = this.hasPrevious ? flux / bins : 0;
+        this.hasPrevious = true;
+        this.hops++;
+
+        if (this.envelope) {
+            this.envelope.push(flux);
+        }
+        this.recent[this.hops % this.recent.length] = flux;
+
+        // 上一帧是局部极大值且超过自适应阈值时判定为起音
+        const candidate = this.fluxCandidate;
+        const threshold = this.thresholdCount ? (this.thresholdSum / this.thresholdCount) * THRESHOLD_RATIO + THRESHOLD_FLOOR : Infinity;
+        const candidateTime = (this.hops - 1) * this.hopSeconds;
+        let onset = null;
+        if (candidate > this.fluxBefore && candidate >= flux && candidate > threshold &&
+            candidateTime - this.lastOnset >= MIN_ONSET_INTERVAL) {
+            onset = candidateTime;
+            this.lastOnset = candidateTime;
+        }
+
+        const history = this.thresholdHistory;
+        this.thresholdSum += candidate - (this.thresholdCount === history.length ? history[this.thresholdIndex] : 0);
+        history[this.thresholdIndex] = candidate;
+        this.thresholdIndex = (this.thresholdIndex + 1) % history.length;
+        this.thresholdCount = Math.min(history.length, this.thresholdCount + 1);
+
+        this.fluxBefore = candidate;
+        this.fluxCandidate = flux;
+        return onset;
+    }
+
+    /**
+     * 最近 TEMPO_WINDOW_SECONDS 的包络（按时间顺序，复用内部缓冲）
+     */
+    getRecentEnvelope() {
+        const size = this.recent.length;
+        const count = Math.min(size, this.hops);
+        const start = this.hops - count + 1;
+        for (let i = 0; i < count; i++) {
+            this.recentLinear[i] = this.recent[(start + i) % size];
+        }
+        return this.recentLinear.subarray(0, count);
+    }
+}
+
+/**
+ * 实时节拍跟踪：起音检测 + 周期性速度估计 + 节拍锁相
+ * 时间轴为送入的采样时长（秒），与播放位置的对应关系由调用方维护
+ */
+export class BeatTracker {
+    constructor(sampleRate) {
+        this.sampleRate = sampleRate;
+        this.detector = new OnsetDetector(sampleRate);
+        this.bpm = 0;
+        this.confidence = 0;
+        this.onsets = [];
+        this.beats = [];
+        this.nextTempoUpdate = TEMPO_UPDATE_SECONDS;
+    }
+
+    /**
+     * 已处理的音频时长（秒）
+     */
+    get time() {
+        return this.detector.time;
+    }
+
+    /**
+     * 送入新采样，更新起音、速度与节拍
+     */
+    process(channels, offset, length) {
+        const onsets = this.detector.process(channels, offset, length);
+        onsets.forEach(time => {
+            this.onsets.push(time);
+            this.onBeatCandidate(time);
+        });
+        if (this.onsets.length > LIVE_HISTORY) {
+            this.onsets.splice(0, this.onsets.length - LIVE_HISTORY);
+        }
+
+        if (this.time >= this.nextTempoUpdate) {
+            this.nextTempoUpdate = this.time + TEMPO_UPDATE_SECONDS;
+            const estimate = estimateTempo(this.detector.getRecentEnvelope(), this.detector.hopSeconds);
+            if (estimate.bpm > 0) {
+                this.bpm = estimate.bpm;
+                this.confidence = estimate.confidence;
+            }
+        }
+
+        // 没有起音时按周期继续推算节拍，保证弱拍段落里脉冲不断
+        const period = this.getPeriod();
+        const last = this.beats[this.beats.length - 1];
+        if (period && last !== undefined && this.time - last > period * (1 + BEAT_TOLERANCE)) {
+            this.pushBeat(last + period);
+        }
+        if (this.beats.length > LIVE_HISTORY) {
+            this.beats.splice(0, this.beats.length - LIVE_HISTORY);
+        }
+    }
+
+    /**
+     * 起音落在预测节拍附近（或还没有速度）时记为节拍
+     */
+    onBeatCandidate(time) {
+        const period = this.getPeriod();
+        const last = this.beats[this.beats.length - 1];
+        if (!period || last === undefined) {
+            this.pushBeat(time);
+            return;
+        }
+        const phase = (time - last) / period;
+        const offset = phase - Math.round(phase);
+        if (Math.round(phase) >= 1 && Math.abs(offset) <= BEAT_TOLERANCE) {
+            this.pushBeat(time);
+        }
+    }
+
+    pushBeat(time) {
+        const last = this.beats[this.beats.length - 1];
+        if (last === undefined || time - last >= MIN_ONSET_INTERVAL) {
+            this.beats.push(time);
+        }
+    }
+
+    /**
+     * 当前节拍周期（秒），尚未估计出速度时为 0
+     */
+    getPeriod() {
+        return this.bpm > 0 ? 60 / this.bpm : 0;
+    }
+}
+
+/**
+ * 离线检测整段 AudioBuffer 的起音、速度与节拍
+ * 分片处理并在片间让出主线程，signal 可用于取消
+ * 返回 { bpm, confidence, onsets, beats, tempoCurve: [{ time, bpm }], bpmDeviation }；
+ * bpmDeviation 为逐拍间隔换算出的 BPM 的标准差，用于判断速度是否稳定
+ */
+export async function detectBeats(audioBuffer, { onProgress, signal } = {}) {
+    const detector = new OnsetDetector(audioBuffer.sampleRate, { keepEnvelope: true });
+    const channelCount = Math.min(2, audioBuffer.numberOfChannels);
+    const channels = [];
+    for (let c = 0; c < channelCount; c++) {
+        channels.push(audioBuffer.getChannelData(c));
+    }
+
+    const onsets = [];
+    const chunk = audioBuffer.sampleRate;
+    for (let offset = 0; offset < audioBuffer.length; offset += chunk) {
+        if (signal?.aborted) {
+            throw new DOMException("Beat detection aborted", "AbortError");
+        }
+        onsets.push(...detector.process(channels, offset, Math.min(chunk, audioBuffer.length - offset)));
+        if (onProgress) {
+            // 包络计算约占总耗时的 80%
+            onProgress(0.8 * Math.min(1, (offset + chunk) / audioBuffer.length));
+        }
+        await new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    const envelope = Float32Array.from(detector.envelope);
+    const hopSeconds = detector.hopSeconds;
+    const { bpm, confidence } = estimateTempo(envelope, hopSeconds);
+    const beats = bpm > 0 ? trackBeats(envelope, 60 / bpm / hopSeconds).map(index => index * hopSeconds) : [];
+
+    // 局部速度曲线
+    const tempoCurve = [];
+    const windowHops = Math.round(TEMPO_WINDOW_SECONDS / hopSeconds);
+    const stepHops = Math.round(TEMPO_CURVE_STEP / hopSeconds);
+    for (let start = 0; start + windowHops <= envelope.length; start += stepHops) {
+        if (signal?.aborted) {
+            throw new DOMException("Beat detection aborted", "AbortError");
+        }
+        const local = estimateTempo(envelope, hopSeconds, start, start + windowHops);
+        if (local.bpm > 0) {
+            tempoCurve.push({ time: (start + windowHops / 2) * hopSeconds, bpm: local.bpm });
+        }
+    }
+    if (onProgress) {
+        onProgress(1);
+    }
+
+    return {
+        bpm,
+        confidence,
+        onsets: Float32Array.from(onsets),
+        beats: Float32Array.from(beats),
+        tempoCurve,
+        bpmDeviation: getBpmDeviation(beats)
+    };
+}
+
+/**
+ * 动态规划节拍跟踪：在起音包络上选出一串间隔接近 period（帧）且落在强起音上的节拍，返回帧序号
+ */
+function trackBeats(envelope, period) {
+    const length = envelope.length;
+    if (!length || !(period > 1)) return [];
+
+    // 包络按标准差归一化，使惩罚项的权重与响度无关
+    let sumSquares = 0;
+    for (let i = 0; i < length; i++) {
+        sumSquares += envelope[i] * envelope[i];
+    }
+    const norm = Math.sqrt(sumSquares / length) || 1;
+
+    const score = new Float64Array(length);
+    const backlink = new Int32Array(length).fill(-1);
+    const minStep = Math.max(1, Math.round(period / 2));
+    const maxStep = Math.round(period * 2);
+    for (let i = 0; i < length; i++) {
+        let best = 0;
+        let bestIndex = -1;
+        for (let previous = i - maxStep; previous <= i - minStep; previous++) {
+            if (previous < 0) continue;
+            const deviation = Math.log((i - previous) / period);
+            const candidate = score[previous] - TRACK_TIGHTNESS * deviation * deviation;
+            if (bestIndex < 0 || candidate > best) {
+                best = candidate;
+                bestIndex = previous;
+            }
+        }
+        score[i] = envelope[i] / norm + (bestIndex >= 0 ? Math.max(0, best) : 0);
+        backlink[i] = bestIndex >= 0 && best > 0 ? bestIndex : -1;
+    }
+
+    // 从最后一个周期内得分最高的帧回溯
+    let index = length - 1;
+    for (let i = Math.max(0, length - Math.round(period)); i < length; i++) {
+        if (score[i] > score[index]) index = i;
+    }
+    const beats = [];
+    while (index >= 0) {
+        beats.push(index);
+        index = backlink[index];
+    }
+    return beats.reverse();
+}
+
+/**
+ * 逐拍间隔换算出的 BPM 的标准差
+ */
+function getBpmDeviation(beats) {
+    if (beats.length < 3) return 0;
+    const values = [];
+    for (let i = 1; i < beats.length; i++) {
+        const interval = beats[i] - beats[i - 1];
+        if (interval > 0) values.push(60 / interval);
+    }
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const variance = values.reduce((sum, value) => sum + (value - mean) * (value - mean), 0) / values.length;
+    return Math.sqrt(variance);
+}
@@ -0,0 +1,175 @@
+/**
+ * 语谱图配色表、可视化调色板与内置主题
+ *
+ * 每个配色由若干等距色标组成，使用前展开为 256 级查找表（RGBA）
+ */
+
+export const COLORMAPS = {
+    viridis: {
+        label: "Viridis",
+        stops: ["#440154", "#482878", "#3e4a89", "#31688e", "#26828e", "#1f9e89", "#35b779", "#6ece58", "#b5de2b", "#fde725"]
+    },
+    magma: {
+        label: "Magma",
+        stops: ["#000004", "#180f3d", "#440f76", "#721f81", "#9e2f7f", "#cd4071", "#f1605d", "#fd9668", "#feca8d", "#fcfdbf"]
+    },
+    inferno: {
+        label: "Inferno",
+        stops: ["#000004", "#1b0c41", "#4a0c6b", "#781c6d", "#a52c60", "#cf4446", "#ed6925", "#fb9b06", "#f7d13d", "#fcffa4"]
+    },
+    grayscale: {
+        label: "Grayscale",
+        stops: ["#000000", "#ffffff"]
+    },
+    // 跟随节点配色：背景色 -> 辅色 -> 主色 -> 白
+    theme: {
+        label: "Theme colors",
+        stops: null
+    }
+};
+
+export const DEFAULT_COLORMAP = "magma";
+
+// 柱状图 / 圆形 / 波形使用的调色板；classic 保持原有的主色 + 辅色绘制方式
+export const PALETTES = {
+    classic: {
+        label: "Classic (primary / secondary)",
+        stops: null
+    },
+    sunset: {
+        label: "Sunset",
+        stops: ["#2d1b69", "#b83280", "#f6546a", "#ffb347", "#fff3b0"]
+    },
+    ocean: {
+        label: "Ocean",
+        stops: ["#0b1d51", "#1e40af", "#0ea5e9", "#22d3ee", "#a7f3d0"]
+    },
+    fire: {
+        label: "Fire",
+        stops: ["#3b0000", "#b22222", "#ff8c00", "#ffd700", "#fffacd"]
+    },
+    rainbow: {
+        label: "Rainbow",
+        stops: ["#ff0000", "#ff8000", "#ffff00", "#00ff00", "#00ffff", "#0000ff", "#8000ff"]
+    },
+    viridis: {
+        label: "Viridis",
+        stops: COLORMAPS.viridis.stops
+    },
+    magma: {
+        label: "Magma",
+        stops: COLORMAPS.magma.stops
+    }
+};
+
+export const DEFAULT_PALETTE = "classic";
+
+// 调色板的取色依据：频率位置（低频 -> 高频）或幅度（安静 -> 响亮）
+export const PALETTE_MAPPINGS = [
+    { value: "frequency", label: "Frequency" },
+    { value: "amplitude", label: "Amplitude" }
+];
+
+// 内置主题：一次设置主色、辅色、背景色与调色板
+export const THEMES = {
+    violet: {
+        label: "Violet (default)",
+        primaryColor: "#8b5cf6",
+        secondaryColor: "#3b82f6",
+        backgroundColor: "#09090b",
+        palette: "classic"
+    },
+    ocean: {
+        label: "Ocean",
+        primaryColor: "#22d3ee",
+        secondaryColor: "#1e40af",
+        backgroundColor: "#020617",
+        palette: "ocean"
+    },
+    sunset: {
+        label: "Sunset",
+        primaryColor: "#f97316",
+        secondaryColor: "#db2777",
+        backgroundColor: "#1a0b14",
+        palette: "sunset"
+    },
+    ember: {
+        label: "Ember",
+        primaryColor: "#ffd700",
+        secondaryColor: "#b22222",
+        backgroundColor: "#0c0404",
+        palette: "fire"
+    },
+    neon: {
+        label: "Neon",
+        primaryColor: "#39ff14",
+        secondaryColor: "#ff00e6",
+        backgroundColor: "#000000",
+        palette: "rainbow"
+    },
+    mono: {
+        label: "Monochrome",
+        primaryColor: "#f4f4f5",
+        secondaryColor: "#71717a",
+        backgroundColor: "#000000",
+        palette: "classic"
+    }
+};
+
+/**
+ * 解析 #rrggbb 为 [r, g, b]
+ */
+export function parseHexColor(hex) {
+    const value = /^#?([0-9a-f]{6})$/i.exec(hex || "");
+    if (!value) return [0, 0, 0];
+    const n = parseInt(value[1], 16);
+    return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+/**
+ * 将等距色标展开为 256 级 RGBA 查找表
+ */
+export function buildColormapLUT(stops) {
+    const lut = new Uint8ClampedArray(256 * 4);
+    const colors = stops.map(parseHexColor);
+    const segments = colors.length - 1;
+    for (let i = 0; i < 256; i++) {
+        const t = (i / 255) * segments;
+        const index = Math.min(segments - 1, Math.floor(t));
+        const f = t - index;
+        const a = colors[index];
+        const b = colors[Math.min(segments, index + 1)];
+        lut[i * 4] = a[0] + (b[0] - a[0]) * f;
+        lut[i * 4 + 1] = a[1] + (b[1] - a[1]) * f;
+        lut[i * 4 + 2] = a[2] + (b[2] - a[2]) * f;
+        lut[i * 4 + 3] = 255;
+    }
+    return lut;
+}
+
+/**
+ * 根据配色 id 获取查找表，theme 配色需要传入节点颜色
+ */
+export function getColormapLUT(id, themeColors = null) {
+    const colormap = COLORMAPS[id] || COLORMAPS[DEFAULT_COLORMAP];
+    if (colormap.stops) {
+        if (!colormap.lut) {
+            colormap.lut = buildColormapLUT(colormap.stops);
+        }
+        return colormap.lut;
+    }
+    const { backgroundColor, secondaryColor, primaryColor } = themeColors || {};
+    return buildColormapLUT([backgroundColor || "#000000", secondaryColor || "#3b82f6", primaryColor || "#8b5cf6", "#ffffff"]);
+}
+
+/**
+ * 根据调色板 id 获取查找表；classic 返回 null（由绘制函数使用主色 / 辅色）
+ */
+export function getPaletteLUT(id) {
+    const palette = PALETTES[id];
+    if (!palette || !palette.stops) return null;
+    if (!palette.lut) {
+        palette.lut = buildColormapLUT(palette.stops);
+    }
+    return palette.lut;
+}
@@ -0,0 +1,527 @@
+/**
+ * 离线信号处理工具
+ *
+ * 功能：
+ * - 基 2 FFT 与窗函数
+ * - 按 AnalyserNode 的规则（Blackman 窗、1/N 归一化、dB 映射到 0-255）计算频谱
+ * - 整段音频的离线语谱图
+ * - 从 AnalyserNode 读取连续采样流的辅助类
+ * - AnalyserNode 的逐帧快照（同一帧的多次绘制共用一次读取）
+ * - 在 AudioBuffer 上模拟 AnalyserNode 读取接口的离线分析器（用于逐帧离线渲染）
+ * - 线性 / 对数 / Mel / 1/3 倍频程频率刻度与频带聚合
+ */
+
+const fftCache = new Map();
+const windowCache = new Map();
+
+/**
+ * 基 2 复数 FFT（原地变换）
+ */
+export class FFT {
+    constructor(size) {
+        if (size < 2 || (size & (size - 1)) !== 0) {
+            throw new Error(`FFT size must be a power of two, got ${size}`);
+        }
+        this.size = size;
+        this.cos = new Float64Array(size / 2);
+        this.sin = new Float64Array(size / 2);
+        for (let i = 0; i < size / 2; i++) {
+            this.cos[i] = Math.cos((2 * Math.PI * i) / size);
+            this.sin[i] = -Math.sin((2 * Math.PI * i) / size);
+        }
+        this.reverse = new Uint32Array(size);
+        const bits = Math.log2(size);
+        for (let i = 0; i < size; i++) {
+            let reversed = 0;
+            for (let b = 0; b < bits; b++) {
+                reversed = (reversed << 1) | ((i >> b) & 1);
+            }
+            this.reverse[i] = reversed;
+        }
+    }
+
+    /**
+     * 对 real/imag 数组做原地正向变换
+     */
+    transform(real, imag) {
+        const n = this.size;
+        for (let i = 0; i < n; i++) {
+            const j = this.reverse[i];
+            if (j > i) {
+                let t = real[i]; real[i] = real[j]; real[j] = t;
+                t = imag[i]; imag[i] = imag[j]; imag[j] = t;
+            }
+        }
+        for (let len = 2; len <= n; len <<= 1) {
+            const half = len >> 1;
+            const step = n / len;
+            for (let i = 0; i < n; i += len) {
+                for (let j = 0; j < half; j++) {
+                    const wr = this.cos[j * step];
+                    const wi = this.sin[j * step];
+                    const a = i + j;
+                    const b = a + half;
+                    const tr = real[b] * wr - imag[b] * wi;
+                    const ti = real[b] * wi + imag[b] * wr;
+                    real[b] = real[a] - tr;
+                    imag[b] = imag[a] - ti;
+                    real[a] += tr;
+                    imag[a] += ti;
+                }
+            }
+        }
+    }
+}
+
+/**
+ * 获取（缓存的）指定大小的 FFT 实例
+ */
+export function getFFT(size) {
+    let fft = fftCache.get(size);
+    if (!fft) {
+        fft = new FFT(size);
+        fftCache.set(size, fft);
+    }
+    return fft;
+}
+
+/**
+ * Blackman 窗（与 AnalyserNode 相同的系数）
+ */
+export function getBlackmanWindow(size) {
+    let win = windowCache.get(size);
+    if (!win) {
+        win = new Float32Array(size);
+        const alpha = 0.16;
+        const a0 = 0.5 * (1 - alpha);
+        const a1 = 0.5;
+        const a2 = 0.5 * alpha;
+        for (let i = 0; i < size; i++) {
+            const x = (2 * Math.PI * i) / size;
+            win[i] = a0 - a1 * Math.cos(x) + a2 * Math.cos(2 * x);
+        }
+        windowCache.set(size, win);
+    }
+    return win;
+}
+
+/**
+ * 计算一帧的幅度谱（已加窗、1/N 归一化），结果写入 out（长度 size/2）
+ * real / imag 为 FFT 的暂存数组（长度 size），逐帧调用时由调用方复用
+ */
+export function computeMagnitudes(frame, out, real = new Float64Array(frame.length), imag = new Float64Array(frame.length)) {
+    const size = frame.length;
+    const fft = getFFT(size);
+    const win = getBlackmanWindow(size);
+    for (let i = 0; i < size; i++) {
+        real[i] = frame[i] * win[i];
+    }
+    imag.fill(0);
+    fft.transform(real, imag);
+    const bins = size / 2;
+    for (let k = 0; k < bins; k++) {
+        out[k] = Math.sqrt(real[k] * real[k] + imag[k] * imag[k]) / size;
+    }
+    return out;
+}
+
+/**
+ * 幅度转换为 0-255 的字节值（与 getByteFrequencyData 相同的映射）
+ */
+export function magnitudeToByte(magnitude, minDecibels, maxDecibels) {
+    const db = magnitude > 0 ? 20 * Math.log10(magnitude) : -Infinity;
+    const scaled = (255 * (db - minDecibels)) / (maxDecibels - minDecibels);
+    return scaled <= 0 ? 0 : scaled >= 255 ? 255 : Math.floor(scaled);
+}
+
+/**
+ * 从 AudioBuffer 中取出以 center 为中心、长度为 size 的单声道帧（越界补零）
+ */
+export function readMonoFrame(audioBuffer, center, size, out = new Float32Array(size)) {
+    const channelCount = audioBuffer.numberOfChannels;
+    const length = audioBuffer.length;
+    const start = Math.round(center - size / 2);
+    out.fill(0);
+    for (let c = 0; c < channelCount; c++) {
+        const data = audioBuffer.getChannelData(c);
+        for (let i = 0; i < size; i++) {
+            const index = start + i;
+            if (index >= 0 && index < length) {
+                out[i] += data[index] / channelCount;
+            }
+        }
+    }
+    return out;
+}
+
+/**
+ * 计算整段音频的离线语谱图
+ * 返回按列存储的字节矩阵：data[column * bins + bin]
+ */
+export function computeSpectrogram(audioBuffer, options = {}) {
+    const fftSize = options.fftSize || 2048;
+    const minDecibels = options.minDecibels ?? -100;
+    const maxDecibels = options.maxDecibels ?? -30;
+    const columns = Math.max(1, Math.min(options.columns || 1024, audioBuffer.length));
+    const bins = fftSize / 2;
+    const data = new Uint8Array(columns * bins);
+    const frame = new Float32Array(fftSize);
+    const magnitudes = new Float32Array(bins);
+    const real = new Float64Array(fftSize);
+    const imag = new Float64Array(fftSize);
+
+    for (let c = 0; c < columns; c++) {
+        const center = ((c + 0.5) / columns) * audioBuffer.length;
+        readMonoFrame(audioBuffer, center, fftSize, frame);
+        computeMagnitudes(frame, magnitudes, real, imag);
+        const offset = c * bins;
+        for (let k = 0; k < bins; k++) {
+            data[offset + k] = magnitudeToByte(magnitudes[k], minDecibels, maxDecibels);
+        }
+    }
+
+    return {
+        data,
+        columns,
+        bins,
+        duration: audioBuffer.duration,
+        sampleRate: audioBuffer.sampleRate
+    };
+}
+
+/**
+ * 从 AnalyserNode 读取连续的新采样
+ * 按 AudioContext.currentTime 的推进量计算自上次读取以来新增的采样数，再从时域缓冲区尾部取出，
+ * 只要两次读取间隔小于 fftSize 对应的时长，得到的采样就是无缝衔接的
+ */
+export class AnalyserSampleTap {
+    constructor(analysers) {
+        this.analysers = analysers;
+        this.buffers = analysers.map(analyser => new Float32Array(analyser.fftSize));
+        this.lastTime = null;
+    }
+
+    /**
+     * 丢弃进度（例如暂停后恢复时，不把暂停期间当作新采样）
+     */
+    reset() {
+        this.lastTime = null;
+    }
+
+    /**
+     * 读取新采样，返回 { channels, offset, length }；没有新数据时返回 null
+     */
+    read() {
+        const context = this.analysers[0].context;
+        const now = context.currentTime;
+        if (this.lastTime === null) {
+            this.lastTime = now;
+            return null;
+        }
+        const size = this.buffers[0].length;
+        let count = Math.round((now - this.lastTime) * context.sampleRate);
+        this.lastTime = now;
+        if (count <= 0) return null;
+        count = Math.min(count, size);
+        this.analysers.forEach((analyser, index) => {
+            analyser.getFloatTimeDomainData(this.buffers[index]);
+        });
+        return { channels: this.buffers, offset: size - count, length: count };
+    }
+}
+
+/**
+ * AnalyserNode 的逐帧快照，提供与 AnalyserNode 相同的读取接口
+ * 每帧开始时调用 capture() 使上一帧的数据失效；各类数据在本帧第一次读取时才从 analyser 取出并缓存，
+ * 之后的读取（例如节点画布与弹出窗口各绘制一次）复制同一份数据，不会再次访问 analyser
+ */
+export class AnalyserSnapshot {
+    constructor(analyser) {
+        this.analyser = analyser;
+        // 读取方法名 -> { array, fresh }
+        this.data = new Map();
+    }
+
+    get fftSize() {
+        return this.analyser.fftSize;
+    }
+
+    get frequencyBinCount() {
+        return this.analyser.frequencyBinCount;
+    }
+
+    get minDecibels() {
+        return this.analyser.minDecibels;
+    }
+
+    get maxDecibels() {
+        return this.analyser.maxDecibels;
+    }
+
+    get smoothingTimeConstant() {
+        return this.analyser.smoothingTimeConstant;
+    }
+
+    get context() {
+        return this.analyser.context;
+    }
+
+    /**
+     * 开始新的一帧：下一次读取时重新从 analyser 取数据
+     */
+    capture() {
+        this.data.forEach(entry => {
+            entry.fresh = false;
+        });
+    }
+
+    /**
+     * 本帧缓存的数据，缓冲区只在长度变化（FFT 大小改变）时重新分配
+     */
+    read(method, ArrayType, length) {
+        let entry = this.data.get(method);
+        if (!entry || entry.array.length !== length) {
+            entry = { array: new ArrayType(length), fresh: false };
+            this.data.set(method, entry);
+        }
+        if (!entry.fresh) {
+            this.analyser[method](entry.array);
+            entry.fresh = true;
+        }
+        return entry.array;
+    }
+
+    copy(source, array) {
+        const n = Math.min(array.length, source.length);
+        array.set(n === source.length ? source : source.subarray(0, n));
+    }
+
+    getFloatTimeDomainData(array) {
+        this.copy(this.read("getFloatTimeDomainData", Float32Array, this.fftSize), array);
+    }
+
+    getByteTimeDomainData(array) {
+        this.copy(this.read("getByteTimeDomainData", Uint8Array, this.fftSize), array);
+    }
+
+    getFloatFrequencyData(array) {
+        this.copy(this.read("getFloatFrequencyData", Float32Array, this.frequencyBinCount), array);
+    }
+
+    getByteFrequencyData(array) {
+        this.copy(this.read("getByteFrequencyData", Uint8Array, this.frequencyBinCount), array);
+    }
+}
+
+/**
+ * 离线分析器：在解码后的 AudioBuffer 上提供与 AnalyserNode 相同的读取接口
+ * 通过 setTime() 指定当前时间，时域数据为截止到该时间的最近 fftSize 个采样；
+ * 频域数据与 AnalyserNode 一样在相邻两次更新之间做 smoothingTimeConstant 平滑
+ */
+export class OfflineAnalyser {
+    constructor(audioBuffer, options = {}) {
+        this.audioBuffer = audioBuffer;
+        this.fftSize = options.fftSize || 2048;
+        this.frequencyBinCount = this.fftSize / 2;
+        this.minDecibels = options.minDecibels ?? -100;
+        this.maxDecibels = options.maxDecibels ?? -30;
+        this.smoothingTimeConstant = options.smoothingTimeConstant ?? 0.8;
+        // null 表示按 AnalyserNode 的规则混合为单声道；数字表示读取指定声道（单声道文件两侧相同）
+        this.channel = options.channel ?? null;
+        this.context = { sampleRate: audioBuffer.sampleRate, currentTime: 0 };
+        this.timeData = new Float32Array(this.fftSize);
+        this.magnitudes = new Float32Array(this.frequencyBinCount);
+        this.smoothed = new Float32Array(this.frequencyBinCount);
+        this.fftReal = new Float64Array(this.fftSize);
+        this.fftImag = new Float64Array(this.fftSize);
+        this.timeDirty = true;
+        this.spectrumDirty = true;
+    }
+
+    /**
+     * 设置当前分析时间（秒）
+     */
+    setTime(time) {
+        this.context.currentTime = time;
+        this.timeDirty = true;
+        this.spectrumDirty = true;
+    }
+
+    /**
+     * 读取截止到当前时间的 fftSize 个采样
+     */
+    updateTimeData() {
+        if (!this.timeDirty) return;
+        const buffer = this.audioBuffer;
+        const end = Math.round(this.context.currentTime * buffer.sampleRate);
+        const start = end - this.fftSize;
+        const channels = this.channel === null
+            ? Array.from({ length: buffer.numberOfChannels }, (_, c) => buffer.getChannelData(c))
+            : [buffer.getChannelData(Math.min(this.channel, buffer.numberOfChannels - 1))];
+        this.timeData.fill(0);
+        for (const data of channels) {
+            for (let i = 0; i < this.fftSize; i++) {
+                const index = start + i;
+                if (index >= 0 && index < buffer.length) {
+                    this.timeData[i] += data[index] / channels.length;
+                }
+            }
+        }
+        this.timeDirty = false;
+    }
+
+    /**
+     * 计算当前时间的平滑频谱
+     */
+    updateSpectrum() {
+        if (!this.spectrumDirty) return;
+        this.updateTimeData();
+        computeMagnitudes(this.timeData, this.magnitudes, this.fftReal, this.fftImag);
+        const tau = this.smoothingTimeConstant;
+        for (let k = 0; k < this.frequencyBinCount; k++) {
+            this.smoothed[k] = tau * this.smoothed[k] + (1 - tau) * this.magnitudes[k];
+        }
+        this.spectrumDirty = false;
+    }
+
+    getFloatTimeDomainData(array) {
+        this.updateTimeData();
+        const n = Math.min(array.length, this.fftSize);
+        for (let i = 0; i < n; i++) {
+            array[i] = this.timeData[i];
+        }
+    }
+
+    getByteTimeDomainData(array) {
+        this.updateTimeData();
+        const n = Math.min(array.length, this.fftSize);
+        for (let i = 0; i < n; i++) {
+            const value = Math.floor(128 * (1 + this.timeData[i]));
+            array[i] = value < 0 ? 0 : value > 255 ? 255 : value;
+        }
+    }
+
+    getFloatFrequencyData(array) {
+        this.updateSpectrum();
+        const n = Math.min(array.length, this.frequencyBinCount);
+        for (let k = 0; k < n; k++) {
+            array[k] = this.smoothed[k] > 0 ? 20 * Math.log10(this.smoothed[k]) : -Infinity;
+        }
+    }
+
+    getByteFrequencyData(array) {
+        this.updateSpectrum();
+        const n = Math.min(array.length, this.frequencyBinCount);
+        for (let k = 0; k < n; k++) {
+            array[k] = magnitudeToByte(this.smoothed[k], this.minDecibels, this.maxDecibels);
+        }
+    }
+}
+
+// 可听频率范围（Hz），柱状图与 A/B 对比等频谱视图的显示范围
+export const AUDIBLE_MIN_HZ = 20;
+export const AUDIBLE_MAX_HZ = 20000;
+
+// ISO 266 1/3 倍频程中心频率（Hz）
+export const THIRD_OCTAVE_CENTERS = [
+    25, 31.5, 40, 50, 63, 80, 100, 125, 160, 200, 250, 315, 400, 500, 630, 800,
+    1000, 1250, 1600, 2000, 2500, 3150, 4000, 5000, 6300, 8000, 10000, 12500, 16000, 20000
+];
+
+// 1/3 倍频程带宽的一半（频带上下限 = 中心频率 * 2^(±1/6)）
+const THIRD_OCTAVE_HALF_BAND = Math.pow(2, 1 / 6);
+
+/**
+ * Hz 转 Mel（O'Shaughnessy 公式）
+ */
+export function hzToMel(hz) {
+    return 2595 * Math.log10(1 + hz / 700);
+}
+
+/**
+ * Mel 转 Hz
+ */
+export function melToHz(mel) {
+    return 700 * (Math.pow(10, mel / 2595) - 1);
+}
+
+/**
+ * 频率在 [minHz, maxHz] 上的相对位置（0-1），scale 为 linear / log / mel
+ */
+export function frequencyToPosition(hz, scale, minHz, maxHz) {
+    if (scale === "log") {
+        return Math.log(hz / minHz) / Math.log(maxHz / minHz);
+    }
+    if (scale === "mel") {
+        const minMel = hzToMel(minHz);
+        return (hzToMel(hz) - minMel) / (hzToMel(maxHz) - minMel);
+    }
+    return (hz - minHz) / (maxHz - minHz);
+}
+
+/**
+ * frequencyToPosition 的反函数
+ */
+export function positionToFrequency(position, scale, minHz, maxHz) {
+    if (scale === "log") {
+        return minHz * Math.pow(maxHz / minHz, position);
+    }
+    if (scale === "mel") {
+        const minMel = hzToMel(minHz);
+        return melToHz(minMel + position * (hzToMel(maxHz) - minMel));
+    }
+    return minHz + position * (maxHz - minHz);
+}
+
+/**
+ * 生成频带列表 [{ low, high, center }]（Hz）
+ * linear / log / mel 在对应刻度上等分为 count 段；octave 使用标准 1/3 倍频程（忽略 count）
+ */
+export function buildFrequencyBands(scale, count, minHz, maxHz) {
+    if (scale === "octave") {
+        return THIRD_OCTAVE_CENTERS
+            .filter(center => center >= minHz && center <= maxHz)
+            .map(center => ({
+                low: center / THIRD_OCTAVE_HALF_BAND,
+                high: center * THIRD_OCTAVE_HALF_BAND,
+                center
+            }));
+    }
+    const bands = [];
+    for (let i = 0; i < count; i++) {
+        bands.push({
+            low: positionToFrequency(i / count, scale, minHz, maxHz),
+            high: positionToFrequency((i + 1) / count, scale, minHz, maxHz),
+            center: positionToFrequency((i + 0.5) / count, scale, minHz, maxHz)
+        });
+    }
+    return bands;
+}
+
+/**
+ * 把 analyser 的频谱（字节或 dB 数组，长度 = frequencyBinCount）聚合到频带：
+ * 频带覆盖多个 bin 时取最大值，窄于一个 bin 时在相邻 bin 之间线性插值
+ */
+export function sampleBands(spectrum, bands, sampleRate, out = new Float32Array(bands.length)) {
+    const binCount = spectrum.length;
+    const binHz = sampleRate / 2 / binCount;
+    for (let b = 0; b < bands.length; b++) {
+        const { low, high, center } = bands[b];
+        const start = Math.max(0, Math.ceil(low / binHz));
+        const end = Math.min(binCount - 1, Math.floor(high / binHz));
+        if (end >= start) {
+            let max = spectrum[start];
+            for (let k = start + 1; k <= end; k++) {
+                if (spectrum[k] > max) max = spectrum[k];
+            }
+            out[b] = max;
+        } else {
+            const position = Math.min(binCount - 1, center / binHz);
+            const index = Math.floor(position);
+            const next = Math.min(binCount - 1, index + 1);
+            const fraction = position - index;
+            out[b] = spectrum[index] * (1 - fraction) + spectrum[next] * fraction;
+        }
+    }
+    return out;
+}
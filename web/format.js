@@ -0,0 +1,38 @@
+/**
+ * 数值格式化工具：dB、频率与时间的显示文字
+ */
+
+/**
+ * 线性幅度转 dBFS
+ */
+export function toDecibels(value) {
+    return value > 0 ? 20 * Math.log10(value) : -Infinity;
+}
+
+/**
+ * 格式化 dB / LUFS 数值
+ */
+export function formatLevel(value) {
+    return isFinite(value) ? value.toFixed(1) : "-inf";
+}
+
+/**
+ * 频率格式化为 Hz / kHz
+ */
+export function formatFrequency(hz) {
+    if (!isFinite(hz)) return "-";
+    if (hz >= 1000) {
+        return `${(hz / 1000).toFixed(hz >= 10000 ? 1 : 2)} kHz`;
+    }
+    return `${Math.round(hz)} Hz`;
+}
+
+/**
+ * 秒数格式化为 m:ss.t
+ */
+export function formatTime(seconds) {
+    if (!isFinite(seconds) || seconds < 0) seconds = 0;
+    const minutes = Math.floor(seconds / 60);
+    const rest = seconds - minutes * 60;
+    return `${minutes}:${rest < 10 ? "0" : ""}${rest.toFixed(1)}`;
+}
@@ -0,0 +1,293 @@
+/**
+ * 响度测量（ITU-R BS.1770 / EBU R128）
+ *
+ * 功能：
+ * - K 加权滤波（预滤波高架 + RLB 高通），按任意采样率计算系数
+ * - 瞬时 (400ms)、短期 (3s) 与积分响度（-70 LUFS 绝对门限 + -10 LU 相对门限）
+ * - 采样峰值、4 倍过采样真峰值与 RMS
+ */
+
+// 门限块长度 100ms：瞬时响度 = 最近 4 块，短期响度 = 最近 30 块
+const BLOCK_SECONDS = 0.1;
+const MOMENTARY_BLOCKS = 4;
+const SHORT_TERM_BLOCKS = 30;
+const RMS_BLOCKS = 3;
+
+const ABSOLUTE_GATE = -70;
+const RELATIVE_GATE = -10;
+
+// BS.1770-4 附录 2 的 4 相位过采样 FIR 系数（每相 12 阶）
+const TRUE_PEAK_PHASES = [
+    [0.0017089843750, 0.0109863281250, -0.0196533203125, 0.0332031250000, -0.0594482421875, 0.1373291015625, 0.9721679687500, -0.1022949218750, 0.0476074218750, -0.0266113281250, 0.0148925781250, -0.0083007812500],
+    [-0.0291748046875, 0.0292968750000, -0.0517578125000, 0.0891113281250, -0.1665039062500, 0.4650878906250, 0.7797851562500, -0.2003173828125, 0.1015625000000, -0.0582275390625, 0.0330810546875, -0.0189208984375],
+    [-0.0189208984375, 0.0330810546875, -0.0582275390625, 0.1015625000000, -0.2003173828125, 0.7797851562500, 0.4650878906250, -0.1665039062500, 0.0891113281250, -0.0517578125000, 0.0292968750000, -0.0291748046875],
+    [-0.0083007812500, 0.0148925781250, -0.0266113281250, 0.0476074218750, -0.1022949218750, 0.9721679687500, 0.1373291015625, -0.0594482421875, 0.0332031250000, -0.0196533203125, 0.0109863281250, 0.0017089843750]
+];
+const TRUE_PEAK_TAPS = 12;
+
+/**
+ * 计算 K 加权两级 biquad 系数（与 libebur128 相同的推导方式）
+ */
+export function kWeightingCoefficients(sampleRate) {
+    // 第一级：高架预滤波
+    let f0 = 1681.974450955533;
+    const gain = 3.999843853973347;
+    let q = 0.7071752369554196;
+    let k = Math.tan((Math.PI * f0) / sampleRate);
+    const vh = Math.pow(10, gain / 20);
+    const vb = Math.pow(vh, 0.4996667741545416);
+    let a0 = 1 + k / q + k * k;
+    const shelf = {
+        b0: (vh + (vb * k) / q + k * k) / a0,
+        b1: (2 * (k * k - vh)) / a0,
+        b2: (vh - (vb * k) / q + k * k) / a0,
+        a1: (2 * (k * k - 1)) / a0,
+        a2: (1 - k / q + k * k) / a0
+    };
+
+    // 第二级：RLB 高通
+    f0 = 38.13547087602444;
+    q = 0.5003270373238773;
+    k = Math.tan((Math.PI * f0) / sampleRate);
+    a0 = 1 + k / q + k * k;
+    const highpass = {
+        b0: 1,
+        b1: -2,
+        b2: 1,
+        a1: (2 * (k * k - 1)) / a0,
+        a2: (1 - k / q + k * k) / a0
+    };
+
+    return [shelf, highpass];
+}
+
+/**
+ * 均方能量转换为 LUFS
+ */
+export function energyToLufs(energy) {
+    return energy > 0 ? -0.691 + 10 * Math.log10(energy) : -Infinity;
+}
+
+/**
+ * 流式响度表：可以分多次送入连续的采样块
+ */
+export class LoudnessMeter {
+    constructor(sampleRate, channelCount = 2) {
+        this.sampleRate = sampleRate;
+        this.channelCount = channelCount;
+        this.coefficients = kWeightingCoefficients(sampleRate);
+        this.blockSize = Math.round(sampleRate * BLOCK_SECONDS);
+        // 96kHz 及以上不需要过采样
+        this.oversample = sampleRate < 96000;
+        this.reset();
+    }
+
+    /**
+     * 清空所有累计状态
+     */
+    reset() {
+        // 每声道两级 biquad 的状态 [x1, x2, y1, y2]
+        this.filterState = Array.from({ length: this.channelCount }, () => [new Float64Array(4), new Float64Array(4)]);
+        this.truePeakHistory = Array.from({ length: this.channelCount }, () => new Float64Array(TRUE_PEAK_TAPS));
+        this.blockEnergy = 0;
+        this.blockSquares = 0;
+        this.blockFill = 0;
+        // 最近 30 个 100ms 块的 K 加权能量与未加权均方
+        this.recentBlocks = [];
+        this.recentSquares = [];
+        // 每 100ms 产生一个 400ms 门限块能量，用于积分响度
+        this.gatingBlocks = [];
+        this.samplePeak = 0;
+        this.truePeak = 0;
+        this.totalSquares = 0;
+        this.totalSamples = 0;
+        this.maxMomentary = -Infinity;
+        this.maxShortTerm = -Infinity;
+    }
+
+    /**
+     * 送入一段连续采样（channels[c] 为各声道数据，offset/length 指定范围）
+     */
+    process(channels, offset = 0, length = channels[0].length - offset) {
+        const channelCount = Math.min(this.channelCount, channels.length);
+        const [shelf, highpass] = this.coefficients;
+
+        for (let i = offset; i < offset + length; i++) {
+            let energy = 0;
+            let squares = 0;
+            for (let c = 0; c < channelCount; c++) {
+                const x = channels[c][i];
+                const abs = x < 0 ? -x : x;
+                if (abs > this.samplePeak) this.samplePeak = abs;
+                squares += x * x;
+
+                // 两级 biquad（直接 I 型）
+                const [s1, s2] = this.filterState[c];
+                const y1 = shelf.b0 * x + shelf.b1 * s1[0] + shelf.b2 * s1[1] - shelf.a1 * s1[2] - shelf.a2 * s1[3];
+                s1[1] = s1[0]; s1[0] = x; s1[3] = s1[2]; s1[2] = y1;
+                const y2 = highpass.b0 * y1 + highpass.b1 * s2[0] + highpass.b2 * s2[1] - highpass.a1 * s2[2] - highpass.a2 * s2[3];
+                s2[1] = s2[0]; s2[0] = y1; s2[3] = s2[2]; s2[2] = y2;
+                energy += y2 * y2;
+
+                if (this.oversample) {
+                    this.updateTruePeak(c, x);
+                } else if (abs > this.truePeak) {
+                    this.truePeak = abs;
+                }
+            }
+
+            this.blockEnergy += energy;
+            this.blockSquares += squares / channelCount;
+            this.totalSquares += squares / channelCount;
+            this.totalSamples++;
+            if (++this.blockFill >= this.blockSize) {
+                this.finishBlock();
+            }
+        }
+    }
+
+    /**
+     * 4 倍过采样后取峰值
+     */
+    updateTruePeak(channel, sample) {
+        const history = this.truePeakHistory[channel];
+        history.copyWithin(1, 0);
+        history[0] = sample;
+        for (let p = 0; p < TRUE_PEAK_PHASES.length; p++) {
+            const taps = TRUE_PEAK_PHASES[p];
+            let sum = 0;
+            for (let t = 0; t < TRUE_PEAK_TAPS; t++) {
+                sum += taps[t] * history[t];
+            }
+            if (sum < 0) sum = -sum;
+            if (sum > this.truePeak) this.truePeak = sum;
+        }
+    }
+
+    /**
+     * 一个 100ms 块结束：更新滑动窗口与门限块
+     */
+    finishBlock() {
+        this.recentBlocks.push(this.blockEnergy / this.blockSize);
+        this.recentSquares.push(this.blockSquares / this.blockSize);
+        if (this.recentBlocks.length > SHORT_TERM_BLOCKS) {
+            this.recentBlocks.shift();
+            this.recentSquares.shift();
+        }
+        this.blockEnergy = 0;
+        this.blockSquares = 0;
+        this.blockFill = 0;
+
+        if (this.recentBlocks.length >= MOMENTARY_BLOCKS) {
+            const momentaryEnergy = this.averageRecent(this.recentBlocks, MOMENTARY_BLOCKS);
+            this.gatingBlocks.push(momentaryEnergy);
+            const momentary = energyToLufs(momentaryEnergy);
+            if (momentary > this.maxMomentary) this.maxMomentary = momentary;
+        }
+        if (this.recentBlocks.length >= SHORT_TERM_BLOCKS) {
+            const shortTerm = energyToLufs(this.averageRecent(this.recentBlocks, SHORT_TERM_BLOCKS));
+            if (shortTerm > this.maxShortTerm) this.maxShortTerm = shortTerm;
+        }
+    }
+
+    /**
+     * 最近 count 个块的平均值
+     */
+    averageRecent(values, count) {
+        const n = Math.min(count, values.length);
+        if (n === 0) return 0;
+        let sum = 0;
+        for (let i = values.length - n; i < values.length; i++) {
+            sum += values[i];
+        }
+        return sum / n;
+    }
+
+    /**
+     * 瞬时响度（LUFS）
+     */
+    getMomentary() {
+        if (this.recentBlocks.length < MOMENTARY_BLOCKS) return -Infinity;
+        return energyToLufs(this.averageRecent(this.recentBlocks, MOMENTARY_BLOCKS));
+    }
+
+    /**
+     * 短期响度（LUFS）；不足 3 秒时按已有数据计算
+     */
+    getShortTerm() {
+        if (this.recentBlocks.length < MOMENTARY_BLOCKS) return -Infinity;
+        return energyToLufs(this.averageRecent(this.recentBlocks, SHORT_TERM_BLOCKS));
+    }
+
+    /**
+     * 积分响度（LUFS），两级门限
+     */
+    getIntegrated() {
+        const absoluteGated = this.gatingBlocks.filter(energy => energyToLufs(energy) > ABSOLUTE_GATE);
+        if (absoluteGated.length === 0) return -Infinity;
+        const mean = absoluteGated.reduce((sum, energy) => sum + energy, 0) / absoluteGated.length;
+        const relativeThreshold = energyToLufs(mean) + RELATIVE_GATE;
+        const relativeGated = absoluteGated.filter(energy => energyToLufs(energy) > relativeThreshold);
+        if (relativeGated.length === 0) return -Infinity;
+        return energyToLufs(relativeGated.reduce((sum, energy) => sum + energy, 0) / relativeGated.length);
+    }
+
+    /**
+     * 最近 300ms 的 RMS（dBFS）
+     */
+    getRms() {
+        return 10 * Math.log10(Math.max(1e-20, this.averageRecent(this.recentSquares, RMS_BLOCKS)));
+    }
+
+    /**
+     * 整体 RMS（dBFS）
+     */
+    getTotalRms() {
+        if (this.totalSamples === 0) return -Infinity;
+        return 10 * Math.log10(Math.max(1e-20, this.totalSquares / this.totalSamples));
+    }
+
+    /**
+     * 当前测量结果汇总
+     */
+    getSummary() {
+        return {
+            momentary: this.getMomentary(),
+            shortTerm: this.getShortTerm(),
+            integrated: this.getIntegrated(),
+            maxMomentary: this.maxMomentary,
+            maxShortTerm: this.maxShortTerm,
+            samplePeak: this.samplePeak > 0 ? 20 * Math.log10(this.samplePeak) : -Infinity,
+            truePeak: this.truePeak > 0 ? 20 * Math.log10(this.truePeak) : -Infinity,
+            rms: this.getRms(),
+            totalRms: this.getTotalRms()
+        };
+    }
+}
+
+/**
+ * 离线测量整段 AudioBuffer 的响度
+ * 分片处理并在片间让出主线程，signal 可用于取消
+ */
+export async function measureLoudness(audioBuffer, { onProgress, signal } = {}) {
+    const channelCount = Math.min(2, audioBuffer.numberOfChannels);
+    const meter = new LoudnessMeter(audioBuffer.sampleRate, channelCount);
+    const channels = [];
+    for (let c = 0; c < channelCount; c++) {
+        channels.push(audioBuffer.getChannelData(c));
+    }
+
+    const chunk = audioBuffer.sampleRate;
+    for (let offset = 0; offset < audioBuffer.length; offset += chunk) {
+        if (signal?.aborted) {
+            throw new DOMException("Loudness measurement aborted", "AbortError");
+        }
+        meter.process(channels, offset, Math.min(chunk, audioBuffer.length - offset));
+        if (onProgress) {
+            onProgress(Math.min(1, (offset + chunk) / audioBuffer.length));
+        }
+        await new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    return meter.getSummary();
+}
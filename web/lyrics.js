@@ -0,0 +1,186 @@
+/**
+ * 歌词 / 字幕解析
+ *
+ * 功能：
+ * - 解析 LRC（含 [offset:] 与增强 LRC 的 <mm:ss.xx> 逐字时间）、SRT 与 WebVTT（含 <00:00:01.000> 逐字时间）
+ * - 统一转换为按开始时间排序的 cue 列表：{ start, end, text, words: [{ start, end, text }] | null }（秒）
+ * - 二分查找指定时间所在的 cue
+ */
+
+// LRC 最后一行没有下一行作为结束时间时的显示时长（秒）
+const LRC_LAST_LINE_SECONDS = 5;
+
+const LRC_TIME_PATTERN = /\[(\d+):(\d{1,2}(?:[.:]\d{1,3})?)\]/g;
+const LRC_WORD_PATTERN = /<(\d+):(\d{1,2}(?:[.:]\d{1,3})?)>/g;
+const CUE_TIME_PATTERN = /((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})/;
+const VTT_WORD_PATTERN = /<((?:\d+:)?\d{1,2}:\d{2}\.\d{1,3})>/g;
+
+/**
+ * 解析歌词 / 字幕文本，自动识别格式
+ * 返回 { format: "lrc" | "srt" | "vtt", cues }；无法识别时抛出错误
+ */
+export function parseLyrics(text) {
+    const source = String(text || "").replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n");
+    let format;
+    let cues;
+    if (/^WEBVTT/.test(source.trimStart())) {
+        format = "vtt";
+        cues = parseCueBlocks(source);
+    } else if (CUE_TIME_PATTERN.test(source)) {
+        format = "srt";
+        cues = parseCueBlocks(source);
+    } else {
+        format = "lrc";
+        cues = parseLrc(source);
+    }
+    if (cues.length === 0) {
+        throw new Error("no timed lines found (expected LRC, SRT or WebVTT)");
+    }
+    return { format, cues };
+}
+
+/**
+ * 查找 time 所在的 cue 序号，不在任何 cue 内时返回 -1
+ */
+export function findCueIndex(cues, time) {
+    // 二分查找开始时间不晚于 time 的最后一个 cue
+    let low = 0;
+    let high = cues.length;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (cues[mid].start <= time) {
+            low = mid + 1;
+        } else {
+            high = mid;
+        }
+    }
+    const index = low - 1;
+    return index >= 0 && time < cues[index].end ? index : -1;
+}
+
+/**
+ * 时间戳字符串（[h:]mm:ss.fff、mm:ss,fff、mm:ss:xx）转换为秒
+ */
+function parseTimestamp(value) {
+    const parts = value.replace(",", ".").split(":");
+    // LRC 有时用 mm:ss:xx 表示百分秒
+    if (parts.length === 3 && !parts[2].includes(".") && parts[2].length <= 2 && !parts[1].includes(".")) {
+        return parseInt(parts[0]) * 60 + parseInt(parts[1]) + parseInt(parts[2]) / 100;
+    }
+    let seconds = 0;
+    parts.forEach(part => {
+        seconds = seconds * 60 + parseFloat(part);
+    });
+    return seconds;
+}
+
+/**
+ * 去掉字幕中的样式标签（<i>、<c.yellow>、<v Speaker> 等）与多余空白
+ */
+function stripTags(text) {
+    return text.replace(/<[^>]*>/g, "").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * 按逐字时间戳切分一行，返回 [{ start, end, text }]；没有逐字时间时返回 null
+ * pattern 的第一个捕获组为时间戳；第一个时间戳之前的文字从 lineStart 开始
+ */
+function splitWords(text, pattern, lineStart, lineEnd) {
+    pattern.lastIndex = 0;
+    if (!pattern.test(text)) return null;
+    pattern.lastIndex = 0;
+
+    const words = [];
+    let cursor = 0;
+    let start = lineStart;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        const word = stripTags(text.slice(cursor, match.index));
+        const time = parseTimestamp(match[1].includes(":") ? match[1] : `${match[1]}:${match[2]}`);
+        if (word) {
+            words.push({ start, end: time, text: word });
+        }
+        start = time;
+        cursor = match.index + match[0].length;
+    }
+    const tail = stripTags(text.slice(cursor));
+    if (tail) {
+        words.push({ start, end: lineEnd, text: tail });
+    }
+    // 结束时间缺失或不合理时用下一个词的开始时间补齐
+    for (let i = 0; i < words.length; i++) {
+        const next = i + 1 < words.length ? words[i + 1].start : lineEnd;
+        if (!(words[i].end > words[i].start)) {
+            words[i].end = next;
+        }
+    }
+    return words.length ? words : null;
+}
+
+/**
+ * 解析 LRC：一行可以带多个时间标签，[offset:±ms] 整体平移
+ */
+function parseLrc(source) {
+    let offset = 0;
+    const lines = [];
+    source.split("\n").forEach(line => {
+        const offsetMatch = line.match(/^\s*\[offset:\s*([+-]?\d+)\s*\]/i);
+        if (offsetMatch) {
+            // LRC 规范：正值表示歌词提前显示
+            offset = -parseInt(offsetMatch[1]) / 1000;
+            return;
+        }
+        const times = [];
+        LRC_TIME_PATTERN.lastIndex = 0;
+        let match;
+        let textStart = 0;
+        while ((match = LRC_TIME_PATTERN.exec(line)) !== null) {
+            // 只认行首连续的时间标签
+            if (match.index !== textStart) break;
+            times.push(parseTimestamp(`${match[1]}:${match[2]}`));
+            textStart = match.index + match[0].length;
+        }
+        const text = line.slice(textStart);
+        times.forEach(time => lines.push({ time, text }));
+    });
+
+    lines.sort((a, b) => a.time - b.time);
+    const cues = [];
+    lines.forEach((line, index) => {
+        const start = Math.max(0, line.time + offset);
+        const next = lines[index + 1];
+        const end = next ? Math.max(start, next.time + offset) : start + LRC_LAST_LINE_SECONDS;
+        const plain = stripTags(line.text);
+        // 空行只用来结束上一行
+        if (!plain) return;
+        const wordPattern = new RegExp(LRC_WORD_PATTERN.source, "g");
+        let words = splitWords(line.text, wordPattern, line.time, end - offset);
+        if (words) {
+            words = words.map(word => ({ ...word, start: word.start + offset, end: word.end + offset }));
+        }
+        cues.push({ start, end, text: plain, words });
+    });
+    return cues;
+}
+
+/**
+ * 解析 SRT / WebVTT：以空行分隔的块，块内含 "开始 --> 结束" 时间行
+ */
+function parseCueBlocks(source) {
+    const cues = [];
+    source.split(/\n\s*\n/).forEach(block => {
+        const lines = block.split("\n");
+        const timeIndex = lines.findIndex(line => CUE_TIME_PATTERN.test(line));
+        if (timeIndex < 0) return;
+        const match = lines[timeIndex].match(CUE_TIME_PATTERN);
+        const start = parseTimestamp(match[1]);
+        const end = parseTimestamp(match[2]);
+        const raw = lines.slice(timeIndex + 1).join(" ");
+        const text = stripTags(raw);
+        if (!text || !(end > start)) return;
+        const wordPattern = new RegExp(VTT_WORD_PATTERN.source, "g");
+        cues.push({ start, end, text, words: splitWords(raw, wordPattern, start, end) });
+    });
+    cues.sort((a, b) => a.start - b.start);
+    return cues;
+}
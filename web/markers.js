@@ -0,0 +1,166 @@
+/**
+ * 时间轴标记与区间
+ *
+ * 数据结构（保存在 node.properties 中）：
+ * - markers: [{ id, time, name }]，按时间排序
+ * - regions: [{ id, start, end, name }]，按开始时间排序
+ * 功能：
+ * - 校验 / 规范化外部数据（导入文件、旧版本保存的属性）
+ * - 导出为 JSON 或 CSV（type,start,end,name），并从两种格式导入
+ */
+
+/**
+ * 生成新的标记 id
+ */
+export function createMarkerId() {
+    return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 7)}`;
+}
+
+/**
+ * 规范化标记数据：丢弃时间不合法的条目，补齐 id / 名称，区间保证 start < end，并按时间排序
+ */
+export function normalizeMarkers(data) {
+    const markers = [];
+    const regions = [];
+    const ids = new Set();
+    const takeId = (id) => {
+        let value = typeof id === "string" && id && !ids.has(id) ? id : createMarkerId();
+        while (ids.has(value)) {
+            value = createMarkerId();
+        }
+        ids.add(value);
+        return value;
+    };
+
+    (Array.isArray(data?.markers) ? data.markers : []).forEach(marker => {
+        const time = Number(marker?.time);
+        if (!isFinite(time) || time < 0) return;
+        markers.push({ id: takeId(marker.id), time, name: String(marker.name ?? "") });
+    });
+    (Array.isArray(data?.regions) ? data.regions : []).forEach(region => {
+        let start = Number(region?.start);
+        let end = Number(region?.end);
+        if (!isFinite(start) || !isFinite(end) || start === end) return;
+        if (start > end) {
+            [start, end] = [end, start];
+        }
+        if (start < 0) return;
+        regions.push({ id: takeId(region.id), start, end, name: String(region.name ?? "") });
+    });
+
+    markers.sort((a, b) => a.time - b.time);
+    regions.sort((a, b) => a.start - b.start);
+    return { markers, regions };
+}
+
+/**
+ * 导出为 JSON 文本
+ */
+export function markersToJson(data) {
+    const { markers, regions } = normalizeMarkers(data);
+    return JSON.stringify({ markers, regions }, null, 2);
+}
+
+/**
+ * 导出为 CSV 文本：每行一个标记或区间，标记的 end 为空
+ */
+export function markersToCsv(data) {
+    const { markers, regions } = normalizeMarkers(data);
+    const rows = [["type", "start", "end", "name"]];
+    markers.forEach(marker => rows.push(["marker", marker.time.toFixed(3), "", marker.name]));
+    regions.forEach(region => rows.push(["region", region.start.toFixed(3), region.end.toFixed(3), region.name]));
+    return rows.map(row => row.map(escapeCsvField).join(",")).join("\r\n") + "\r\n";
+}
+
+/**
+ * 从 JSON 或 CSV 文本导入，返回规范化后的 { markers, regions }；无法解析时抛出错误
+ */
+export function parseMarkers(text) {
+    const source = String(text || "").replace(/^\uFEFF/, "").trim();
+    if (!source) {
+        throw new Error("empty marker file");
+    }
+    if (source.startsWith("{") || source.startsWith("[")) {
+        const data = JSON.parse(source);
+        // 也接受只有标记的数组
+        return normalizeMarkers(Array.isArray(data) ? { markers: data } : data);
+    }
+
+    const rows = parseCsv(source);
+    const header = rows[0].map(cell => cell.trim().toLowerCase());
+    const column = (name, fallback) => (header.includes(name) ? header.indexOf(name) : fallback);
+    const hasHeader = header.includes("start") || header.includes("time");
+    const typeColumn = column("type", 0);
+    const startColumn = header.includes("time") ? header.indexOf("time") : column("start", 1);
+    const endColumn = column("end", 2);
+    const nameColumn = column("name", 3);
+
+    const markers = [];
+    const regions = [];
+    rows.slice(hasHeader ? 1 : 0).forEach(row => {
+        const start = parseTime(row[startColumn]);
+        const end = parseTime(row[endColumn]);
+        const name = row[nameColumn] ?? "";
+        const type = String(row[typeColumn] || "").trim().toLowerCase();
+        if (type === "region" || (type !== "marker" && isFinite(end))) {
+            regions.push({ start, end, name });
+        } else {
+            markers.push({ time: start, name });
+        }
+    });
+    return normalizeMarkers({ markers, regions });
+}
+
+/**
+ * 秒数或 [h:]mm:ss(.fff) 格式的时间转换为秒，空值返回 NaN
+ */
+function parseTime(value) {
+    const text = String(value ?? "").trim();
+    if (!text) return NaN;
+    if (!text.includes(":")) return Number(text);
+    return text.split(":").reduce((seconds, part) => seconds * 60 + Number(part), 0);
+}
+
+function escapeCsvField(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+/**
+ * 解析 CSV（支持引号包裹的字段与字段内的逗号、换行、双引号转义）
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === "\"" && text[i + 1] === "\"") {
+                field += "\"";
+                i++;
+            } else if (char === "\"") {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === "\"") {
+            quoted = true;
+        } else if (char === ",") {
+            row.push(field);
+            field = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && text[i + 1] === "\n") i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = "";
+        } else {
+            field += char;
+        }
+    }
+    row.push(field);
+    rows.push(row);
+    return rows.filter(cells => cells.some(cell => cell.trim()));
+}
@@ -0,0 +1,164 @@
+/**
+ * 弹出菜单的 DOM 控件
+ *
+ * 模式菜单各小节共用的分隔线、标题、行、按钮等控件，统一菜单内控件的样式
+ */
+
+/**
+ * 菜单分隔线
+ */
+export function createMenuDivider() {
+    const divider = document.createElement("div");
+    divider.style.height = "1px";
+    divider.style.margin = "4px 0";
+    divider.style.background = "rgba(255,255,255,0.1)";
+    return divider;
+}
+
+/**
+ * 菜单小节标题
+ */
+export function createMenuHeading(text) {
+    const heading = document.createElement("div");
+    heading.textContent = text;
+    heading.style.fontSize = "11px";
+    heading.style.color = "#bbb";
+    heading.style.padding = "4px 12px";
+    return heading;
+}
+
+/**
+ * 菜单行：左侧文字，右侧控件
+ */
+export function createMenuRow(text, control) {
+    const row = document.createElement("div");
+    row.style.display = "flex";
+    row.style.alignItems = "center";
+    row.style.justifyContent = "space-between";
+    row.style.gap = "8px";
+    row.style.padding = "4px 12px 6px";
+    row.style.fontSize = "11px";
+    row.style.color = "#eee";
+
+    const rowLabel = document.createElement("span");
+    rowLabel.textContent = text;
+
+    row.appendChild(rowLabel);
+    row.appendChild(control);
+    return row;
+}
+
+/**
+ * 菜单复选框
+ */
+export function createMenuCheckbox(checked, onChange) {
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.checked = checked;
+    checkbox.addEventListener("change", () => {
+        onChange(checkbox.checked);
+    });
+    return checkbox;
+}
+
+/**
+ * 菜单按钮
+ */
+export function createMenuButton(text, onClick = null) {
+    const button = document.createElement("button");
+    button.textContent = text;
+    button.style.fontSize = "10px";
+    button.style.padding = "4px 6px";
+    button.style.border = "1px solid rgba(255,255,255,0.15)";
+    button.style.borderRadius = "4px";
+    button.style.background = "rgba(255,255,255,0.06)";
+    button.style.color = "#fff";
+    button.style.cursor = "pointer";
+    if (onClick) {
+        button.addEventListener("click", (e) => {
+            e.stopPropagation();
+            onClick();
+        });
+    }
+    return button;
+}
+
+/**
+ * 菜单取色器（拖动时实时预览）
+ */
+export function createMenuColorInput(value, onChange) {
+    const input = document.createElement("input");
+    input.type = "color";
+    input.value = value;
+    input.style.width = "36px";
+    input.style.height = "18px";
+    input.style.padding = "0";
+    input.style.border = "1px solid rgba(255,255,255,0.15)";
+    input.style.borderRadius = "4px";
+    input.style.background = "transparent";
+    input.style.cursor = "pointer";
+    input.addEventListener("input", () => {
+        onChange(input.value);
+    });
+    return input;
+}
+
+/**
+ * 菜单下拉框
+ */
+export function createMenuSelect(options, value, onChange) {
+    const select = document.createElement("select");
+    select.style.fontSize = "10px";
+    select.style.padding = "1px 2px";
+    select.style.border = "1px solid rgba(255,255,255,0.15)";
+    select.style.borderRadius = "4px";
+    select.style.background = "rgba(255,255,255,0.06)";
+    select.style.color = "#fff";
+    fillMenuSelect(select, options);
+    select.value = value;
+    select.addEventListener("change", () => {
+        onChange(select.value);
+    });
+    return select;
+}
+
+/**
+ * 替换下拉框的选项
+ */
+export function fillMenuSelect(select, options) {
+    select.replaceChildren();
+    options.forEach(option => {
+        const element = document.createElement("option");
+        element.value = option.value;
+        element.textContent = option.label;
+        element.style.background = "#111";
+        select.appendChild(element);
+    });
+}
+
+/**
+ * 菜单滑块，onInput 收到数值
+ */
+export function createMenuRange(min, max, step, value, onInput) {
+    const slider = document.createElement("input");
+    slider.type = "range";
+    slider.min = String(min);
+    slider.max = String(max);
+    slider.step = String(step);
+    slider.value = value;
+    slider.style.width = "80px";
+    slider.addEventListener("input", () => {
+        onInput(parseFloat(slider.value));
+    });
+    return slider;
+}
+
+/**
+ * 左侧为状态文字的菜单行，返回 { row, status }，status 的文字由调用方更新
+ */
+export function createMenuStatusRow(control) {
+    const row = createMenuRow("", control);
+    const status = row.firstChild;
+    status.style.color = "#bbb";
+    return { row, status };
+}
@@ -0,0 +1,77 @@
+/**
+ * 可视化模式注册表
+ *
+ * 内置模式与第三方模式都通过 registerMode() 注册，弹出菜单、绘制与 node.properties 保存都从这里读取。
+ * 模式定义：
+ * - id: 唯一标识（保存在 node.properties 中）
+ * - label: 菜单中显示的名称
+ * - draw(frame): 绘制一帧；frame 提供 ctx / width / height / analyser / dataArray / bufferLength /
+ *   channelAnalysers / currentTime / duration / config / modeState 等；开启节拍检测时 frame.beats 为
+ *   { bpm, pulse, recent, time }（pulse 为每拍跳到 1 后衰减的脉冲强度，recent 为最近几秒的节拍时间）
+ * - init(frame): 可选，该模式第一次绘制前调用，返回值作为 frame.modeState 在之后每帧传入
+ * - readout(frame, x, y): 可选，返回光标处（画布像素坐标）的读数文字数组，用于悬停十字线
+ * - dispose(modeState): 可选，切换到其他模式、离线渲染结束或节点移除时调用
+ */
+
+// 内置模式的 id
+export const VISUALIZATION_MODES = {
+    WAVE: "wave",
+    BARS: "bars",
+    CIRCULAR: "circular",
+    OVERVIEW: "overview",
+    SPECTROGRAM: "spectrogram",
+    STEREO_WAVE: "stereo",
+    METERS: "meters",
+    VECTORSCOPE: "vectorscope",
+    COMPARE: "compare",
+    PITCH: "pitch"
+};
+
+const modes = new Map();
+
+/**
+ * 注册（或覆盖同 id 的）可视化模式
+ */
+export function registerMode(definition) {
+    if (!definition || typeof definition.id !== "string" || !definition.id) {
+        throw new Error("registerMode: mode definition needs a non-empty string id");
+    }
+    if (typeof definition.draw !== "function") {
+        throw new Error(`registerMode: mode "${definition.id}" needs a draw(frame) function`);
+    }
+    if (modes.has(definition.id)) {
+        console.warn(`AudioVisualizer: mode "${definition.id}" is already registered, replacing it`);
+    }
+    modes.set(definition.id, {
+        ...definition,
+        label: definition.label || definition.id
+    });
+}
+
+/**
+ * 移除已注册的模式；正在使用该模式的节点会退回默认模式
+ */
+export function unregisterMode(id) {
+    return modes.delete(id);
+}
+
+/**
+ * 按 id 获取模式定义
+ */
+export function getMode(id) {
+    return modes.get(id) || null;
+}
+
+/**
+ * 按 id 获取模式定义，未注册时（例如提供该模式的扩展没有加载）退回内置的频谱柱状图
+ */
+export function resolveMode(id) {
+    return getMode(id) || getMode(VISUALIZATION_MODES.BARS);
+}
+
+/**
+ * 按注册顺序返回所有模式
+ */
+export function getModes() {
+    return Array.from(modes.values());
+}
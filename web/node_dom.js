@@ -0,0 +1,79 @@
+/**
+ * 节点 DOM 查找工具
+ *
+ * ComfyUI 前端有两种节点渲染方式：
+ * - LiteGraph 画布模式：audioUI 是 DOM widget，widget.element 就是 <audio> 元素
+ * - Vue 节点模式：节点整体由 Vue 组件渲染，audioUI widget 没有 element，<audio> 位于节点根元素
+ *   （带 data-node-id 属性）内部；切换渲染模式或节点重新挂载时元素会被替换
+ * 这里统一按“widget 元素 → 节点根元素”的顺序查找播放器，并用 MutationObserver 跟踪元素的出现与替换，
+ * 不依赖某一种渲染方式的内部结构。
+ */
+
+/**
+ * 从 widget 中取出 <audio> 元素（widget.element 本身或其内部的元素）
+ */
+export function getWidgetAudioElement(widget) {
+    const element = widget?.element;
+    if (!element) return null;
+    if (element.tagName === "AUDIO") return element;
+    return typeof element.querySelector === "function" ? element.querySelector("audio") : null;
+}
+
+/**
+ * Vue 节点模式下节点的根元素（LiteGraph 画布模式下不存在）
+ */
+export function getNodeElement(node) {
+    if (!node || node.id === undefined || node.id === null) return null;
+    const id = typeof CSS !== "undefined" && CSS.escape ? CSS.escape(String(node.id)) : String(node.id);
+    return document.querySelector(`[data-node-id="${id}"]`);
+}
+
+/**
+ * 查找节点的播放器 <audio> 元素
+ * 优先使用仍在文档中的 widget 元素；Vue 节点模式下改从节点根元素查找，
+ * 都找不到时退回尚未插入文档的 widget 元素（画布模式下 DOM widget 可能稍后才插入）
+ */
+export function findNodeAudioElement(node) {
+    const widget = node?.widgets?.find(w => w.name === "audioUI");
+    const widgetAudio = getWidgetAudioElement(widget);
+    if (widgetAudio && widgetAudio.isConnected) {
+        return widgetAudio;
+    }
+    const nodeElement = getNodeElement(node);
+    const nodeAudio = nodeElement ? nodeElement.querySelector("audio") : null;
+    return nodeAudio || widgetAudio;
+}
+
+/**
+ * 跟踪节点播放器元素：元素出现、被替换或被移除时调用 onChange(element | null)
+ * 文档变化按动画帧合并检查，只做一次查找；返回停止跟踪的函数
+ */
+export function watchNodeAudioElement(node, onChange) {
+    let current = null;
+    let scheduled = false;
+    let stopped = false;
+
+    const check = () => {
+        scheduled = false;
+        if (stopped) return;
+        const element = findNodeAudioElement(node);
+        if (element !== current) {
+            current = element;
+            onChange(element);
+        }
+    };
+
+    const observer = new MutationObserver(() => {
+        if (scheduled) return;
+        scheduled = true;
+        requestAnimationFrame(check);
+    });
+    observer.observe(document.body, { childList: true, subtree: true });
+    check();
+
+    return () => {
+        stopped = true;
+        observer.disconnect();
+        current = null;
+    };
+}
@@ -0,0 +1,55 @@
+/**
+ * 判断哪些节点挂载可视化器
+ *
+ * 默认挂载官方音频节点；设置中的允许 / 拒绝列表按节点类型名匹配，
+ * 开启自动识别时，带有音频输入 / 输出、audioUI 播放器或音频上传控件的节点也会挂载。
+ * 只依赖节点定义（nodeData）与传入的设置值，不读取 ComfyUI 设置
+ */
+
+// 默认挂载可视化器的官方音频节点
+const DEFAULT_AUDIO_NODES = ["LoadAudio", "SaveAudio", "SaveAudioMP3", "SaveAudioOpus", "PreviewAudio"];
+
+// 自动识别时视为音频节点的输入/输出类型
+const AUDIO_SOCKET_TYPES = ["AUDIO", "AUDIO_UI", "AUDIOUPLOAD"];
+
+/**
+ * 解析逗号/换行分隔的节点名列表
+ */
+export function parseNodeList(text) {
+    return String(text || "")
+        .split(/[,\n]/)
+        .map(name => name.trim())
+        .filter(Boolean);
+}
+
+/**
+ * 节点定义是否带有音频输入/输出、audioUI 播放器或音频上传控件
+ */
+export function hasAudioSockets(nodeData) {
+    const outputs = Array.isArray(nodeData.output) ? nodeData.output : [];
+    if (outputs.some(type => AUDIO_SOCKET_TYPES.includes(type))) {
+        return true;
+    }
+    const inputGroups = [nodeData.input?.required, nodeData.input?.optional];
+    return inputGroups.some(group => group && Object.entries(group).some(([name, spec]) => {
+        const [type, options] = Array.isArray(spec) ? spec : [spec];
+        return name === "audioUI" ||
+            (typeof type === "string" && AUDIO_SOCKET_TYPES.includes(type)) ||
+            !!(options && options.audio_upload);
+    }));
+}
+
+/**
+ * 判断节点定义是否需要挂载可视化器：拒绝列表优先，其次是默认节点与允许列表，最后按设置自动识别
+ * options: { allowList, denyList }（设置中的原始文本）与 autoDetect（是否开启自动识别）
+ */
+export function shouldAttachVisualizer(nodeData, { allowList = "", denyList = "", autoDetect = false } = {}) {
+    const name = nodeData.name;
+    if (parseNodeList(denyList).includes(name)) {
+        return false;
+    }
+    if (DEFAULT_AUDIO_NODES.includes(name) || parseNodeList(allowList).includes(name)) {
+        return true;
+    }
+    return autoDetect && hasAudioSockets(nodeData);
+}
@@ -0,0 +1,156 @@
+/**
+ * 音高分析工具
+ *
+ * 功能：
+ * - YIN 基频估计（差分函数 + 累积均值归一化 + 绝对阈值 + 抛物线插值），适合人声等单音旋律
+ * - 频率与音名 / MIDI 音高 / 音分偏差之间的换算（A4 = 440Hz，十二平均律）
+ * - 由幅度谱计算 12 个半音级的色度图（chromagram），适合和弦、复音音乐
+ */
+
+export const NOTE_NAMES = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
+
+const A4_HZ = 440;
+const A4_MIDI = 69;
+
+// YIN 的默认搜索范围与阈值
+const YIN_MIN_HZ = 50;
+const YIN_MAX_HZ = 1500;
+const YIN_THRESHOLD = 0.15;
+// 低于该 RMS 视为静音，不做估计
+const SILENCE_RMS = 0.01;
+
+// 色度图使用的频率范围（低于 C2 的 bin 频率分辨率不足，高于 C8 多为泛音与噪声）
+const CHROMA_MIN_HZ = 65;
+const CHROMA_MAX_HZ = 4200;
+
+/**
+ * 频率（Hz）转换为 MIDI 音高（可带小数）
+ */
+export function frequencyToMidi(hz) {
+    return A4_MIDI + 12 * Math.log2(hz / A4_HZ);
+}
+
+/**
+ * MIDI 音高转换为频率（Hz）
+ */
+export function midiToFrequency(midi) {
+    return A4_HZ * Math.pow(2, (midi - A4_MIDI) / 12);
+}
+
+/**
+ * MIDI 音高（可带小数）对应的最近音名与音分偏差
+ * 返回 { name, octave, midi, cents, label }，label 形如 "A4"
+ */
+export function midiToNote(midi) {
+    const nearest = Math.round(midi);
+    const name = NOTE_NAMES[((nearest % 12) + 12) % 12];
+    const octave = Math.floor(nearest / 12) - 1;
+    return {
+        name,
+        octave,
+        midi: nearest,
+        cents: (midi - nearest) * 100,
+        label: `${name}${octave}`
+    };
+}
+
+/**
+ * YIN 基频估计
+ * samples 为时域采样；返回 { frequency, clarity }（clarity = 1 - 归一化差分，越接近 1 越可信），
+ * 静音或找不到周期时返回 null
+ */
+export function detectPitch(samples, sampleRate, options = {}) {
+    const minHz = options.minHz || YIN_MIN_HZ;
+    const maxHz = options.maxHz || YIN_MAX_HZ;
+    const threshold = options.threshold || YIN_THRESHOLD;
+
+    const size = samples.length;
+    const maxLag = Math.min(Math.floor(size / 2), Math.ceil(sampleRate / minHz));
+    const minLag = Math.max(2, Math.floor(sampleRate / maxHz));
+    const span = size - maxLag;
+    if (maxLag <= minLag + 1 || span <= 0) return null;
+
+    let energy = 0;
+    for (let i = 0; i < size; i++) {
+        energy += samples[i] * samples[i];
+    }
+    if (Math.sqrt(energy / size) < SILENCE_RMS) return null;
+
+    // 差分函数与累积均值归一化
+    const difference = options.buffer && options.buffer.length >= maxLag + 1
+        ? options.buffer
+        : new Float32Array(maxLag + 1);
+    difference[0] = 1;
+    let runningSum = 0;
+    for (let lag = 1; lag <= maxLag; lag++) {
+        let sum = 0;
+        for (let i = 0; i < span; i++) {
+            const delta = samples[i] - samples[i + lag];
+            sum += delta * delta;
+        }
+        runningSum += sum;
+        difference[lag] = runningSum > 0 ? (sum * lag) / runningSum : 1;
+    }
+
+    // 第一个低于阈值的谷底；都不低于阈值时取全局最小值
+    let bestLag = -1;
+    for (let lag = minLag; lag < maxLag; lag++) {
+        if (difference[lag] < threshold) {
+            while (lag + 1 < maxLag && difference[lag + 1] < difference[lag]) {
+                lag++;
+            }
+            bestLag = lag;
+            break;
+        }
+    }
+    if (bestLag < 0) {
+        let minimum = Infinity;
+        for (let lag = minLag; lag < maxLag; lag++) {
+            if (difference[lag] < minimum) {
+                minimum = difference[lag];
+                bestLag = lag;
+            }
+        }
+        // 没有明显周期（噪声、多声部）
+        if (minimum > 0.5) return null;
+    }
+
+    const left = difference[bestLag - 1];
+    const center = difference[bestLag];
+    const right = difference[bestLag + 1];
+    const denominator = left - 2 * center + right;
+    const shift = denominator > 0 ? Math.max(-0.5, Math.min(0.5, (0.5 * (left - right)) / denominator)) : 0;
+
+    return {
+        frequency: sampleRate / (bestLag + shift),
+        clarity: Math.max(0, Math.min(1, 1 - center))
+    };
+}
+
+/**
+ * 由 dB 频谱（getFloatFrequencyData 的结果，长度 = frequencyBinCount）计算 12 个半音级的能量
+ * 结果按最大值归一化到 0~1（C, C#, ..., B），写入 out
+ */
+export function computeChroma(spectrumDb, sampleRate, out = new Float32Array(12)) {
+    out.fill(0);
+    const binHz = sampleRate / 2 / spectrumDb.length;
+    const start = Math.max(1, Math.ceil(CHROMA_MIN_HZ / binHz));
+    const end = Math.min(spectrumDb.length - 1, Math.floor(CHROMA_MAX_HZ / binHz));
+    for (let k = start; k <= end; k++) {
+        const db = spectrumDb[k];
+        if (!(db > -Infinity)) continue;
+        const power = Math.pow(10, db / 10);
+        const pitchClass = ((Math.round(frequencyToMidi(k * binHz)) % 12) + 12) % 12;
+        out[pitchClass] += power;
+    }
+    let max = 0;
+    for (let i = 0; i < 12; i++) {
+        if (out[i] > max) max = out[i];
+    }
+    if (max > 0) {
+        for (let i = 0; i < 12; i++) {
+            out[i] /= max;
+        }
+    }
+    return out;
+}
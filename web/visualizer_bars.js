@@ -0,0 +1,366 @@
+/**
+ * 柱状图的频率刻度与柱子样式
+ *
+ * - 频率刻度：线性 / 对数 / Mel / 1/3 倍频程，频带划分由 dsp.js 的 buildFrequencyBands 计算，缓存在帧状态中
+ * - Hz 坐标轴与 dB 网格
+ * - 柱数、间距、样式（实心 / 圆角 / LED 段）、布局（自底向上 / 中心镜像 / 上下对称）与峰值帽
+ * 柱状图本身由 AudioVisualizer.drawBars 绘制；方法通过 barsMethods 混入 AudioVisualizer
+ */
+
+import { buildFrequencyBands, frequencyToPosition, AUDIBLE_MIN_HZ, AUDIBLE_MAX_HZ } from "./dsp.js";
+import { createMenuDivider, createMenuHeading, createMenuRow, createMenuCheckbox, createMenuSelect } from "./menu.js";
+
+// 柱状图的频率刻度
+const BAR_SCALES = [
+    { value: "linear", label: "Linear" },
+    { value: "log", label: "Logarithmic" },
+    { value: "mel", label: "Mel" },
+    { value: "octave", label: "1/3 octave" }
+];
+
+// 柱状图的柱数（0 为按画布宽度自动）、间距、样式与布局
+const BAR_COUNT_OPTIONS = [0, 16, 24, 32, 48, 64, 96, 128, 192, 256];
+const BAR_GAP_OPTIONS = [0, 1, 2, 3, 4, 6, 8];
+const BAR_STYLES = [
+    { value: "solid", label: "Solid" },
+    { value: "rounded", label: "Rounded" },
+    { value: "led", label: "LED segments" }
+];
+const BAR_LAYOUTS = [
+    { value: "bottom", label: "Bottom up" },
+    { value: "mirror", label: "Mirrored (center out)" },
+    { value: "symmetric", label: "Top / bottom" }
+];
+// LED 样式的段高与段间距（像素）
+const BAR_LED_SEGMENT = 4;
+const BAR_LED_GAP = 2;
+// 峰值帽保持时间（毫秒）与可选回落速度（dB/秒）
+const BAR_PEAK_HOLD_MS = 400;
+const BAR_PEAK_DECAY_OPTIONS = [5, 10, 20, 40, 80];
+const DEFAULT_BAR_OPTIONS = {
+    count: 0,
+    gap: 1,
+    style: "solid",
+    layout: "bottom",
+    peakHold: false,
+    peakDecay: 20
+};
+
+export const barsMethods = {
+    /**
+     * 读取保存的频率刻度、坐标轴开关与柱子选项（只读取官方节点保存的值）
+     */
+    initBars() {
+        this.barScaleKey = "__audio_visualizer_bar_scale";
+        this.barAxisKey = "__audio_visualizer_bar_axis";
+        this.barOptionsKey = "__audio_visualizer_bars";
+        const savedBarScale = this.isOfficialNode ? this.node.properties[this.barScaleKey] : null;
+        this.barScale = BAR_SCALES.some(scale => scale.value === savedBarScale) ? savedBarScale : "linear";
+        this.barAxis = this.isOfficialNode && this.node.properties[this.barAxisKey] === true;
+        // 柱数 / 间距 / 样式 / 布局 / 峰值帽
+        this.barOptions = { ...DEFAULT_BAR_OPTIONS };
+        const savedBarOptions = this.isOfficialNode ? this.node.properties[this.barOptionsKey] : null;
+        if (savedBarOptions && typeof savedBarOptions === "object") {
+            this.setBarOptions(savedBarOptions, false);
+        }
+    },
+
+    /**
+     * 菜单小节：柱状图的刻度、坐标轴、柱数 / 间距 / 样式 / 布局与峰值帽
+     */
+    createBarsMenu(menu) {
+        menu.appendChild(createMenuDivider());
+        menu.appendChild(createMenuHeading("Bars"));
+
+        const barScaleSelect = createMenuSelect(BAR_SCALES, this.barScale, (value) => this.setBarScale(value));
+        menu.appendChild(createMenuRow("Scale", barScaleSelect));
+
+        const barAxisCheckbox = createMenuCheckbox(this.barAxis, (checked) => this.setBarAxis(checked));
+        menu.appendChild(createMenuRow("Hz axis & dB grid", barAxisCheckbox));
+
+        const barCountSelect = createMenuSelect(
+            BAR_COUNT_OPTIONS.map(count => ({ value: String(count), label: count ? String(count) : "Auto" })),
+            String(this.barOptions.count),
+            (value) => this.setBarOptions({ count: parseInt(value) })
+        );
+        menu.appendChild(createMenuRow("Bar count", barCountSelect));
+
+        const barGapSelect = createMenuSelect(
+            BAR_GAP_OPTIONS.map(gap => ({ value: String(gap), label: `${gap}px` })),
+            String(this.barOptions.gap),
+            (value) => this.setBarOptions({ gap: parseInt(value) })
+        );
+        menu.appendChild(createMenuRow("Gap", barGapSelect));
+
+        const barStyleSelect = createMenuSelect(BAR_STYLES, this.barOptions.style, (value) => this.setBarOptions({ style: value }));
+        menu.appendChild(createMenuRow("Style", barStyleSelect));
+
+        const barLayoutSelect = createMenuSelect(BAR_LAYOUTS, this.barOptions.layout, (value) => this.setBarOptions({ layout: value }));
+        menu.appendChild(createMenuRow("Layout", barLayoutSelect));
+
+        const barPeakCheckbox = createMenuCheckbox(this.barOptions.peakHold, (checked) => this.setBarOptions({ peakHold: checked }));
+        menu.appendChild(createMenuRow("Peak caps", barPeakCheckbox));
+
+        const barPeakDecaySelect = createMenuSelect(
+            BAR_PEAK_DECAY_OPTIONS.map(decay => ({ value: String(decay), label: `${decay} dB/s` })),
+            String(this.barOptions.peakDecay),
+            (value) => this.setBarOptions({ peakDecay: parseInt(value) })
+        );
+        menu.appendChild(createMenuRow("Cap fall", barPeakDecaySelect));
+
+        return { barScaleSelect, barAxisCheckbox, barCountSelect, barGapSelect, barStyleSelect, barLayoutSelect, barPeakCheckbox, barPeakDecaySelect };
+    },
+
+    /**
+     * 同步柱状图小节的控件
+     */
+    updateBarsMenu() {
+        const menu = this.modeMenu;
+        menu.barScaleSelect.value = this.barScale;
+        menu.barAxisCheckbox.checked = this.barAxis;
+        menu.barCountSelect.value = String(this.barOptions.count);
+        menu.barGapSelect.value = String(this.barOptions.gap);
+        menu.barStyleSelect.value = this.barOptions.style;
+        menu.barLayoutSelect.value = this.barOptions.layout;
+        menu.barPeakCheckbox.checked = this.barOptions.peakHold;
+        menu.barPeakDecaySelect.value = String(this.barOptions.peakDecay);
+        menu.barPeakDecaySelect.disabled = !this.barOptions.peakHold;
+    },
+
+    /**
+     * 设置柱状图的频率刻度
+     */
+    setBarScale(scale) {
+        if (!BAR_SCALES.some(item => item.value === scale)) return;
+        this.barScale = scale;
+        if (this.isOfficialNode) {
+            this.node.properties[this.barScaleKey] = scale;
+        }
+        this.updateModeMenu();
+        this.renderStatic();
+    },
+
+    /**
+     * 修改柱状图的柱数 / 间距 / 样式 / 布局 / 峰值帽，非法值直接忽略；
+     * persist 为 false 时只更新配置（用于读取保存值）
+     */
+    setBarOptions(options, persist = true) {
+        if (BAR_COUNT_OPTIONS.includes(options.count)) {
+            this.barOptions.count = options.count;
+        }
+        if (BAR_GAP_OPTIONS.includes(options.gap)) {
+            this.barOptions.gap = options.gap;
+        }
+        if (BAR_STYLES.some(style => style.value === options.style)) {
+            this.barOptions.style = options.style;
+        }
+        if (BAR_LAYOUTS.some(layout => layout.value === options.layout)) {
+            this.barOptions.layout = options.layout;
+        }
+        if (typeof options.peakHold === "boolean") {
+            this.barOptions.peakHold = options.peakHold;
+        }
+        if (BAR_PEAK_DECAY_OPTIONS.includes(options.peakDecay)) {
+            this.barOptions.peakDecay = options.peakDecay;
+        }
+        if (persist && this.isOfficialNode) {
+            this.node.properties[this.barOptionsKey] = { ...this.barOptions };
+        }
+        if (!persist) return;
+        this.updateModeMenu();
+        this.renderStatic();
+    },
+
+    /**
+     * 开关柱状图的 Hz 坐标轴与 dB 网格
+     */
+    setBarAxis(enabled) {
+        this.barAxis = !!enabled;
+        if (this.isOfficialNode) {
+            this.node.properties[this.barAxisKey] = this.barAxis;
+        }
+        this.updateModeMenu();
+        this.renderStatic();
+    },
+
+    /**
+     * 柱状图的绘制区域
+     * 显示坐标轴时在左侧留出 dB 刻度、底部留出 Hz 刻度；镜像布局时每侧的频带只占一半宽度（runWidth）
+     */
+    getBarGeometry(frame) {
+        const left = this.barAxis ? 34 : 0;
+        const bottom = this.barAxis ? 16 : 0;
+        const plotWidth = Math.max(1, frame.width - left);
+        const plotHeight = Math.max(1, frame.height - bottom);
+        const mirror = this.barOptions.layout === "mirror";
+        return {
+            left,
+            plotWidth,
+            plotHeight,
+            runWidth: mirror ? plotWidth / 2 : plotWidth,
+            mirror,
+            symmetric: this.barOptions.layout === "symmetric"
+        };
+    },
+
+    /**
+     * 按样式绘制一根柱子：从 baseY 沿 direction（-1 向上，1 向下）延伸 length 像素
+     */
+    fillBar(ctx, x, baseY, width, length, direction, style) {
+        if (length <= 0) return;
+        const top = direction < 0 ? baseY - length : baseY;
+
+        if (style === "led") {
+            // 只点亮完整的段
+            const step = BAR_LED_SEGMENT + BAR_LED_GAP;
+            for (let offset = 0; offset + BAR_LED_SEGMENT <= length; offset += step) {
+                const y = direction < 0 ? baseY - offset - BAR_LED_SEGMENT : baseY + offset;
+                ctx.fillRect(x, y, width, BAR_LED_SEGMENT);
+            }
+            return;
+        }
+
+        if (style === "rounded" && ctx.roundRect) {
+            // 只圆化远离基线的一端
+            const radius = Math.min(width / 2, length, 6);
+            ctx.beginPath();
+            ctx.roundRect(x, top, width, length, direction < 0 ? [radius, radius, 0, 0] : [0, 0, radius, radius]);
+            ctx.fill();
+            return;
+        }
+
+        ctx.fillRect(x, top, width, length);
+    },
+
+    /**
+     * 更新峰值帽：超过当前峰值立即跟上，保持 BAR_PEAK_HOLD_MS 后按设定的 dB/秒回落
+     */
+    updateBarPeaks(frame, layout, values) {
+        const now = frame.now * 1000;
+        if (!layout.peaks) {
+            layout.peaks = new Float32Array(values.length);
+            layout.peakTimes = new Float64Array(values.length);
+            layout.peakLastTime = now;
+        }
+        const { peaks, peakTimes } = layout;
+        const elapsed = Math.max(0, Math.min(1, (now - layout.peakLastTime) / 1000));
+        layout.peakLastTime = now;
+        // dB/秒换算为字节频谱值（0~255 对应 minDecibels~maxDecibels）
+        const fall = (this.barOptions.peakDecay * 255) / (this.config.maxDecibels - this.config.minDecibels) * elapsed;
+
+        for (let i = 0; i < values.length; i++) {
+            if (values[i] >= peaks[i]) {
+                peaks[i] = values[i];
+                peakTimes[i] = now;
+            } else if (now - peakTimes[i] > BAR_PEAK_HOLD_MS) {
+                peaks[i] = Math.max(values[i], peaks[i] - fall);
+            }
+        }
+        return peaks;
+    },
+
+    /**
+     * 计算（并缓存）柱状图的频带布局
+     * 频率范围为 20Hz（线性刻度从 0 开始）到 min(20kHz, Nyquist)
+     */
+    getBarLayout(frame, plotWidth) {
+        const scale = this.barScale;
+        const nyquist = frame.sampleRate / 2;
+        const maxHz = Math.min(AUDIBLE_MAX_HZ, nyquist);
+        const minHz = scale === "linear" ? 0 : AUDIBLE_MIN_HZ;
+        const count = this.barOptions.count || Math.max(16, Math.min(256, Math.floor(plotWidth / 5)));
+        const key = `${scale}|${count}|${frame.sampleRate}`;
+
+        let layout = frame.state.barLayout;
+        if (!layout || layout.key !== key) {
+            const bands = buildFrequencyBands(scale, count, minHz, maxHz);
+            layout = {
+                key,
+                bands,
+                values: new Float32Array(bands.length),
+                // 1/3 倍频程的频带在对数刻度上等距排列
+                axisScale: scale === "octave" ? "log" : scale,
+                minHz: scale === "octave" ? bands[0].low : minHz,
+                maxHz: scale === "octave" ? bands[bands.length - 1].high : maxHz
+            };
+            frame.state.barLayout = layout;
+        }
+        return layout;
+    },
+
+    /**
+     * 绘制 dB 网格（每 10dB 一条，范围与 analyser 的 minDecibels / maxDecibels 一致）
+     */
+    drawDecibelGrid(frame, left, plotWidth, plotHeight, symmetric = false) {
+        const { ctx } = frame;
+        const { minDecibels, maxDecibels } = this.config;
+
+        ctx.font = "10px Arial";
+        ctx.textAlign = "right";
+        ctx.textBaseline = "middle";
+        for (let db = Math.floor(maxDecibels / 10) * 10; db >= minDecibels; db -= 10) {
+            const fraction = (db - minDecibels) / (maxDecibels - minDecibels);
+            // 对称布局：minDecibels 在中线，向上下两侧增大，只在上半部分标注
+            const ys = symmetric
+                ? [plotHeight / 2 * (1 - fraction), plotHeight / 2 * (1 + fraction)]
+                : [plotHeight * (1 - fraction)];
+            ys.forEach((value, index) => {
+                const y = Math.round(value) + 0.5;
+                ctx.fillStyle = "rgba(255,255,255,0.08)";
+                ctx.fillRect(left, y, plotWidth, 1);
+                if (index === 0) {
+                    ctx.fillStyle = "rgba(255,255,255,0.55)";
+                    ctx.fillText(`${db}`, left - 4, Math.max(6, Math.min(plotHeight - 6, y)));
+                }
+            });
+        }
+    },
+
+    /**
+     * 绘制柱状图底部的 Hz 刻度；reverse 为 true 时频率从右向左增大（镜像布局的左半边）
+     */
+    drawBarFrequencyAxis(frame, layout, left, plotWidth, plotHeight, reverse = false) {
+        const { ctx } = frame;
+        const { axisScale, minHz, maxHz } = layout;
+
+        let ticks;
+        if (axisScale === "linear") {
+            // 线性刻度：取 1/2/5 × 10^n 的整齐步长，大约 6 个刻度
+            const rough = maxHz / 6;
+            const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+            const step = [1, 2, 5, 10].map(m => m * magnitude).find(value => value >= rough);
+            ticks = [];
+            for (let hz = 0; hz <= maxHz; hz += step) {
+                ticks.push(hz);
+            }
+        } else {
+            ticks = [20, 50, 100, 200, 500, 1000, 2000, 5000, 10000, 20000];
+        }
+
+        // 按 x 从左到右的顺序处理，才能正确跳过重叠的标签
+        if (reverse) {
+            ticks.reverse();
+        }
+
+        ctx.font = "10px Arial";
+        ctx.textAlign = "center";
+        ctx.textBaseline = "top";
+        let lastRight = -Infinity;
+        ticks.forEach(hz => {
+            if (hz < minHz || hz > maxHz) return;
+            const position = frequencyToPosition(hz, axisScale, minHz, maxHz);
+            const x = left + (reverse ? 1 - position : position) * plotWidth;
+            const text = hz >= 1000 ? `${hz / 1000}k` : `${hz}`;
+            const textWidth = ctx.measureText(text).width;
+            const textX = Math.max(left + textWidth / 2, Math.min(left + plotWidth - textWidth / 2, x));
+            // 避免标签重叠
+            if (textX - textWidth / 2 < lastRight + 4) return;
+            lastRight = textX + textWidth / 2;
+
+            ctx.fillStyle = "rgba(255,255,255,0.25)";
+            ctx.fillRect(Math.round(x), plotHeight, 1, 3);
+            ctx.fillStyle = "rgba(255,255,255,0.55)";
+            ctx.fillText(text, textX, plotHeight + 3);
+        });
+    }
+};
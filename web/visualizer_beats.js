@@ -0,0 +1,299 @@
+/**
+ * 起音 / 节拍检测与节拍效果
+ *
+ * - 实时：响度表取样 analyser 的原始采样送入 beat_detection.js 的 BeatTracker，跟踪器的时间轴换算到播放位置
+ * - 整段文件：开启检测后在后台离线分析（结果按 AudioBuffer 缓存，可取消），非播放状态下使用离线结果
+ * - 叠加层：BPM 读数、节拍指示灯与节拍刻度；圆形频谱脉动与背景闪烁由绘制代码读取 frame.beats
+ * 方法通过 beatsMethods 混入 AudioVisualizer
+ */
+
+import { BeatTracker, detectBeats } from "./beat_detection.js";
+import { createMenuDivider, createMenuHeading, createMenuRow, createMenuCheckbox } from "./menu.js";
+
+// 节拍检测：脉冲衰减时间常数（秒）、圆形频谱脉动幅度、背景闪烁强度、非时间轴视图中节拍刻度条的时长（秒）
+const BEAT_PULSE_DECAY = 0.15;
+export const BEAT_PULSE_SCALE = 0.15;
+export const BEAT_FLASH_ALPHA = 0.25;
+const BEAT_STRIP_SECONDS = 4;
+const DEFAULT_BEAT_OPTIONS = {
+    enabled: false,
+    markers: true,
+    pulse: true,
+    flash: false
+};
+
+export const beatsMethods = {
+    /**
+     * 读取保存的节拍选项，初始化检测状态
+     */
+    initBeats() {
+        this.beatOptionsKey = "__audio_visualizer_beats";
+        // 实时跟踪器的时间轴为送入的采样时长，liveBeatsOffset 换算到播放位置；fileBeats 为整段文件的离线结果
+        this.liveBeats = null;
+        this.liveBeatsOffset = 0;
+        this.fileBeats = null;
+        this.fileBeatsProgress = null;
+        this.beatsAbort = null;
+        this.beatOptions = { ...DEFAULT_BEAT_OPTIONS };
+        const savedBeatOptions = this.isOfficialNode ? this.node.properties[this.beatOptionsKey] : null;
+        if (savedBeatOptions && typeof savedBeatOptions === "object") {
+            this.setBeatOptions(savedBeatOptions, false);
+        }
+    },
+
+    /**
+     * 菜单小节：节拍检测与节拍效果
+     */
+    createBeatsMenu(menu) {
+        menu.appendChild(createMenuDivider());
+        menu.appendChild(createMenuHeading("Beats"));
+
+        const beatCheckbox = createMenuCheckbox(this.beatOptions.enabled, (checked) => {
+            this.setBeatOptions({ enabled: checked });
+        });
+        menu.appendChild(createMenuRow("Detect BPM", beatCheckbox));
+
+        const beatMarkersCheckbox = createMenuCheckbox(this.beatOptions.markers, (checked) => {
+            this.setBeatOptions({ markers: checked });
+        });
+        menu.appendChild(createMenuRow("Beat markers", beatMarkersCheckbox));
+
+        const beatPulseCheckbox = createMenuCheckbox(this.beatOptions.pulse, (checked) => {
+            this.setBeatOptions({ pulse: checked });
+        });
+        menu.appendChild(createMenuRow("Pulse circle", beatPulseCheckbox));
+
+        const beatFlashCheckbox = createMenuCheckbox(this.beatOptions.flash, (checked) => {
+            this.setBeatOptions({ flash: checked });
+        });
+        menu.appendChild(createMenuRow("Flash background", beatFlashCheckbox));
+
+        return { beatCheckbox, beatMarkersCheckbox, beatPulseCheckbox, beatFlashCheckbox };
+    },
+
+    /**
+     * 同步节拍小节的控件
+     */
+    updateBeatsMenu() {
+        const { beatCheckbox, beatMarkersCheckbox, beatPulseCheckbox, beatFlashCheckbox } = this.modeMenu;
+        beatCheckbox.checked = this.beatOptions.enabled;
+        [
+            [beatMarkersCheckbox, this.beatOptions.markers],
+            [beatPulseCheckbox, this.beatOptions.pulse],
+            [beatFlashCheckbox, this.beatOptions.flash]
+        ].forEach(([checkbox, checked]) => {
+            checkbox.checked = checked;
+            checkbox.disabled = !this.beatOptions.enabled;
+        });
+    },
+
+    /**
+     * 修改节拍检测选项（只更新传入的字段，非法值忽略）；开启检测时在后台分析整段文件
+     */
+    setBeatOptions(options, persist = true) {
+        ["enabled", "markers", "pulse", "flash"].forEach(key => {
+            if (typeof options[key] === "boolean") {
+                this.beatOptions[key] = options[key];
+            }
+        });
+        if (persist && this.isOfficialNode) {
+            this.node.properties[this.beatOptionsKey] = { ...this.beatOptions };
+        }
+        if (!persist) return;
+        if (this.beatOptions.enabled) {
+            this.analyzeFileBeats();
+        } else {
+            this.cancelFileBeats();
+            this.liveBeats = null;
+        }
+        this.updateModeMenu();
+        this.renderStatic();
+    },
+
+    /**
+     * 把新采样送入实时节拍跟踪器，并记录跟踪器时间轴与播放位置的对应关系
+     */
+    updateLiveBeats(samples) {
+        const sampleRate = this.audioContext.sampleRate;
+        if (!this.liveBeats || this.liveBeats.sampleRate !== sampleRate) {
+            this.liveBeats = new BeatTracker(sampleRate);
+        }
+        this.liveBeats.process(samples.channels, samples.offset, samples.length);
+        this.liveBeatsOffset = this.getCurrentTime() - this.liveBeats.time;
+    },
+
+    /**
+     * 实时帧的节拍信息：播放中使用实时跟踪器，否则使用整段文件的离线结果
+     */
+    getLiveBeatInfo() {
+        if (!this.beatOptions.enabled) return null;
+        const time = this.getCurrentTime();
+        if (this.animationFrameId && this.liveBeats && this.liveBeats.beats.length) {
+            const beats = this.liveBeats.beats.map(beat => beat + this.liveBeatsOffset);
+            const last = beats[beats.length - 1];
+            return {
+                bpm: this.liveBeats.bpm,
+                pulse: Math.exp(-Math.max(0, time - last) / BEAT_PULSE_DECAY),
+                recent: beats.filter(beat => beat >= time - BEAT_STRIP_SECONDS && beat <= time),
+                time
+            };
+        }
+        const file = this.fileBeats && this.fileBeats.buffer === this.audioBuffer ? this.fileBeats.result : null;
+        return file ? this.getFileBeatInfo(file, time) : null;
+    },
+
+    /**
+     * 离线检测结果在指定时间的节拍信息（最近一拍的脉冲强度与最近几秒的节拍）
+     */
+    getFileBeatInfo(result, time) {
+        const beats = result.beats;
+        // 二分查找不晚于 time 的最后一拍
+        let low = 0;
+        let high = beats.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (beats[mid] <= time) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        const recent = [];
+        for (let i = low - 1; i >= 0 && beats[i] >= time - BEAT_STRIP_SECONDS; i--) {
+            recent.unshift(beats[i]);
+        }
+        return {
+            bpm: result.bpm,
+            pulse: low > 0 ? Math.exp(-(time - beats[low - 1]) / BEAT_PULSE_DECAY) : 0,
+            recent,
+            time
+        };
+    },
+
+    /**
+     * 离线检测整段文件的起音与节拍（结果按 AudioBuffer 缓存）
+     */
+    async analyzeFileBeats() {
+        const audioBuffer = this.audioBuffer;
+        if (!audioBuffer) return;
+        if (this.fileBeats && this.fileBeats.buffer === audioBuffer) return;
+        if (this.beatsAbort && this.beatsAbort.buffer === audioBuffer) return;
+
+        this.cancelFileBeats();
+        const controller = new AbortController();
+        controller.buffer = audioBuffer;
+        this.beatsAbort = controller;
+        this.fileBeatsProgress = 0;
+
+        try {
+            const result = await detectBeats(audioBuffer, {
+                signal: controller.signal,
+                onProgress: (progress) => {
+                    this.fileBeatsProgress = progress;
+                    this.renderStatic();
+                }
+            });
+            this.fileBeats = { buffer: audioBuffer, result };
+        } catch (e) {
+            if (e.name !== "AbortError") {
+                console.error("AudioVisualizer: failed to detect beats", e);
+            }
+        } finally {
+            if (this.beatsAbort === controller) {
+                this.beatsAbort = null;
+                this.fileBeatsProgress = null;
+            }
+        }
+        this.renderStatic();
+    },
+
+    /**
+     * 获取指定 AudioBuffer 的离线节拍结果；不是当前文件（或尚未分析完）时单独计算一次
+     */
+    async getFileBeats(audioBuffer, signal) {
+        if (this.fileBeats && this.fileBeats.buffer === audioBuffer) {
+            return this.fileBeats.result;
+        }
+        return await detectBeats(audioBuffer, { signal });
+    },
+
+    /**
+     * 取消进行中的离线节拍检测
+     */
+    cancelFileBeats() {
+        if (this.beatsAbort) {
+            this.beatsAbort.abort();
+            this.beatsAbort = null;
+        }
+        this.fileBeatsProgress = null;
+    },
+
+    /**
+     * 绘制节拍叠加层：左上角 BPM 读数与节拍指示灯，以及节拍刻度
+     * 时间轴视图在整段时间轴上标出文件的全部节拍；其他视图在顶部显示最近几秒滚动的节拍刻度
+     */
+    drawBeatOverlay(frame, timeline, fileResult = null) {
+        const { ctx, width: WIDTH, height: HEIGHT } = frame;
+        const beats = frame.beats;
+        const file = fileResult || (this.fileBeats && this.fileBeats.buffer === this.audioBuffer ? this.fileBeats.result : null);
+
+        // 节拍刻度
+        if (this.beatOptions.markers) {
+            ctx.fillStyle = this.hexToRgba(this.config.secondaryColor, 0.8);
+            if (timeline && file && frame.duration > 0) {
+                file.beats.forEach(beat => {
+                    ctx.fillRect(Math.round((beat / frame.duration) * WIDTH), 0, 1, 6);
+                });
+            } else if (beats) {
+                beats.recent.forEach(beat => {
+                    const x = Math.round(WIDTH * (1 - (beats.time - beat) / BEAT_STRIP_SECONDS));
+                    ctx.fillRect(x - 1, 0, 2, 6);
+                });
+            }
+        }
+
+        const rows = [];
+        // 实时 BPM 只在播放中的画布上显示（离线渲染使用自己的帧状态）
+        if (this.isLiveState(frame.state) && this.animationFrameId && this.liveBeats) {
+            rows.push(["BPM", this.liveBeats.bpm > 0 ? this.liveBeats.bpm.toFixed(1) : "--"]);
+        }
+        if (file) {
+            rows.push(["File", file.bpm > 0 ? `${file.bpm.toFixed(1)} BPM` : "no tempo"]);
+            // 逐拍速度的波动，用于判断速度是否稳定
+            if (file.bpm > 0) {
+                rows.push(["Drift", `±${file.bpmDeviation.toFixed(1)} BPM`]);
+            }
+        } else if (this.fileBeatsProgress !== null) {
+            rows.push(["File", `detecting ${Math.round(this.fileBeatsProgress * 100)}%`]);
+        }
+        if (rows.length === 0) return;
+
+        const lineHeight = 14;
+        const boxWidth = 120;
+        const boxHeight = rows.length * lineHeight + 10;
+        const boxX = 10;
+        const boxY = 34;
+
+        ctx.fillStyle = "rgba(0,0,0,0.6)";
+        ctx.fillRect(boxX, boxY, boxWidth, boxHeight);
+
+        ctx.font = "11px Arial";
+        ctx.textBaseline = "middle";
+        rows.forEach(([name, value], index) => {
+            const y = boxY + 5 + index * lineHeight + lineHeight / 2;
+            ctx.fillStyle = "rgba(255,255,255,0.55)";
+            ctx.textAlign = "left";
+            ctx.fillText(name, boxX + 20, y);
+            ctx.fillStyle = "#fff";
+            ctx.textAlign = "right";
+            ctx.fillText(value, boxX + boxWidth - 8, y);
+        });
+
+        // 节拍指示灯：每拍点亮后衰减
+        const pulse = beats ? beats.pulse : 0;
+        ctx.beginPath();
+        ctx.arc(boxX + 10, boxY + 5 + lineHeight / 2, 4, 0, 2 * Math.PI);
+        ctx.fillStyle = pulse > 0.05 ? this.hexToRgba(this.config.primaryColor, 0.3 + 0.7 * pulse) : "rgba(255,255,255,0.15)";
+        ctx.fill();
+    }
+};
@@ -0,0 +1,421 @@
+/**
+ * A/B 对比
+ *
+ * 以工作流中另一个挂载了可视化器的节点为参考（B），与本节点（A）按相同的播放时间对齐比较：
+ * - 频谱叠加与差值曲线：两边都用同一组参数的离线分析器从解码后的 AudioBuffer 计算
+ * - 对齐的波形概览：上下两条，时间轴以 A 的时长为准
+ * 方法通过 compareMethods 混入 AudioVisualizer，状态（compareNodeId / compareView）保存在可视化器实例上
+ */
+
+import { app } from "../../scripts/app.js";
+import { OfflineAnalyser, buildFrequencyBands, sampleBands, AUDIBLE_MIN_HZ, AUDIBLE_MAX_HZ } from "./dsp.js";
+import { VISUALIZATION_MODES } from "./mode_registry.js";
+import { createMenuDivider, createMenuHeading, createMenuRow, createMenuSelect, fillMenuSelect } from "./menu.js";
+import { toDecibels, formatLevel, formatFrequency, formatTime } from "./format.js";
+
+// A/B 对比视图
+const COMPARE_VIEWS = [
+    { value: "overlay", label: "Spectrum overlay" },
+    { value: "difference", label: "Difference (A − B)" },
+    { value: "overviews", label: "Aligned overviews" }
+];
+// 对比频谱的频带数（对数刻度）与差值曲线的显示范围（±dB）
+const COMPARE_BANDS = 256;
+const COMPARE_DIFF_RANGE_DB = 24;
+
+/**
+ * 波形概览在 [startTime, endTime) 内的峰值（线性幅度）
+ */
+function getOverviewPeak(overview, startTime, endTime) {
+    if (!overview || !(overview.duration > 0)) return 0;
+    const bucketsPerSecond = overview.buckets / overview.duration;
+    const start = Math.floor(startTime * bucketsPerSecond);
+    const end = Math.max(start + 1, Math.floor(endTime * bucketsPerSecond));
+    let peak = 0;
+    for (let b = Math.max(0, start); b < end && b < overview.buckets; b++) {
+        peak = Math.max(peak, Math.abs(overview.min[b]), Math.abs(overview.max[b]));
+    }
+    return peak;
+}
+
+export const compareMethods = {
+    /**
+     * 读取保存的参考节点 id（统一按字符串保存与比较）与对比视图
+     */
+    initCompare() {
+        this.compareNodeKey = "__audio_visualizer_compare_node";
+        this.compareViewKey = "__audio_visualizer_compare_view";
+        const savedCompareNode = this.node.properties[this.compareNodeKey];
+        this.compareNodeId = savedCompareNode === null || savedCompareNode === undefined || savedCompareNode === ""
+            ? null : String(savedCompareNode);
+        const savedCompareView = this.node.properties[this.compareViewKey];
+        this.compareView = COMPARE_VIEWS.some(view => view.value === savedCompareView) ? savedCompareView : "overlay";
+    },
+
+    /**
+     * 菜单小节：A/B 对比的参考节点与视图
+     */
+    createCompareMenu(menu) {
+        menu.appendChild(createMenuDivider());
+        menu.appendChild(createMenuHeading("Compare"));
+
+        // 参考节点列表在每次打开菜单时重建，见 buildCompareOptions()
+        const compareNodeSelect = createMenuSelect([], "", (value) => {
+            this.setCompareNode(value === "" ? null : value);
+        });
+        compareNodeSelect.style.maxWidth = "110px";
+        menu.appendChild(createMenuRow("Reference (B)", compareNodeSelect));
+
+        const compareViewSelect = createMenuSelect(COMPARE_VIEWS, this.compareView, (value) => this.setCompareView(value));
+        menu.appendChild(createMenuRow("View", compareViewSelect));
+
+        return { compareNodeSelect, compareViewSelect };
+    },
+
+    /**
+     * 同步对比小节的控件
+     */
+    updateCompareMenu() {
+        this.modeMenu.compareNodeSelect.value = this.compareNodeId ?? "";
+        this.modeMenu.compareViewSelect.value = this.compareView;
+    },
+
+    /**
+     * 按当前工作流重建参考节点下拉框
+     */
+    buildCompareOptions() {
+        if (!this.modeMenu?.compareNodeSelect) return;
+        const options = [{ value: "", label: "None" }, ...this.getCompareCandidates()];
+        // 保存的参考节点已被删除时仍显示出来，方便用户看出原因
+        if (this.compareNodeId !== null && !options.some(option => option.value === this.compareNodeId)) {
+            options.push({ value: this.compareNodeId, label: `#${this.compareNodeId} (missing)` });
+        }
+        fillMenuSelect(this.modeMenu.compareNodeSelect, options);
+        this.modeMenu.compareNodeSelect.value = this.compareNodeId ?? "";
+    },
+
+    /**
+     * 可作为参考的节点：工作流中其他挂载了可视化器的节点
+     */
+    getCompareCandidates() {
+        const nodes = app.graph?.nodes || [];
+        return nodes
+            .filter(node => node !== this.node && node.audioVisualizer)
+            .map(node => ({ value: String(node.id), label: `#${node.id} ${node.title || node.type}` }));
+    },
+
+    /**
+     * 参考节点的可视化器（节点已删除或未挂载时返回 null）
+     */
+    getCompareVisualizer() {
+        if (this.compareNodeId === null) return null;
+        const node = app.graph?.getNodeById?.(this.compareNodeId);
+        return node && node !== this.node ? node.audioVisualizer || null : null;
+    },
+
+    /**
+     * 设置参考节点（nodeId 为 getCompareCandidates() 给出的字符串 id，null 表示取消）；选中节点时自动切换到 A/B 对比模式
+     */
+    setCompareNode(nodeId) {
+        this.compareNodeId = nodeId === null || nodeId === undefined || nodeId === "" ? null : String(nodeId);
+        if (this.isOfficialNode) {
+            this.node.properties[this.compareNodeKey] = this.compareNodeId;
+        }
+        this.updateModeMenu();
+        if (this.compareNodeId !== null && this.config.mode !== VISUALIZATION_MODES.COMPARE) {
+            this.setMode(VISUALIZATION_MODES.COMPARE);
+        } else {
+            this.renderStatic();
+        }
+    },
+
+    /**
+     * 设置对比视图（频谱叠加 / 差值曲线 / 对齐的波形概览）
+     */
+    setCompareView(view) {
+        if (!COMPARE_VIEWS.some(item => item.value === view)) return;
+        this.compareView = view;
+        if (this.isOfficialNode) {
+            this.node.properties[this.compareViewKey] = view;
+        }
+        this.updateModeMenu();
+        this.renderStatic();
+    },
+
+    /**
+     * 音频解码完成后，刷新以本节点为参考的其他节点（暂停状态下它们不会自行重绘）
+     */
+    refreshComparers() {
+        const nodeId = String(this.node.id);
+        (app.graph?.nodes || []).forEach(node => {
+            const visualizer = node.audioVisualizer;
+            if (visualizer && visualizer !== this && visualizer.compareNodeId === nodeId &&
+                visualizer.config.mode === VISUALIZATION_MODES.COMPARE) {
+                visualizer.renderStatic();
+            }
+        });
+    },
+
+    /**
+     * 绘制 A/B 对比视图：A 为本节点，B 为参考节点，两者都按相同的播放时间对齐
+     */
+    drawCompare(frame) {
+        const { ctx, width: WIDTH, height: HEIGHT } = frame;
+        const reference = this.getCompareVisualizer();
+        let message = null;
+        if (this.compareNodeId === null) {
+            message = "Pick a reference node: menu → Compare → Reference (B)";
+        } else if (!reference) {
+            message = `Reference node #${this.compareNodeId} not found`;
+        } else if (!reference.audioBuffer) {
+            message = "Reference node has no decoded audio yet";
+        } else if (!this.audioBuffer) {
+            message = "Waiting for audio…";
+        }
+        if (message) {
+            ctx.fillStyle = "#888";
+            ctx.font = "12px Arial";
+            ctx.textAlign = "center";
+            ctx.textBaseline = "middle";
+            ctx.fillText(message, WIDTH / 2, HEIGHT / 2);
+            return;
+        }
+
+        if (this.compareView === "overviews") {
+            this.drawCompareOverviews(frame, reference);
+            return;
+        }
+
+        const spectra = this.getCompareSpectra(frame, reference);
+        const left = 34;
+        const plotWidth = Math.max(1, WIDTH - left);
+        const plotHeight = Math.max(1, HEIGHT - 16);
+        const count = spectra.bands.length;
+        const xAt = (i) => left + ((i + 0.5) / count) * plotWidth;
+
+        if (this.compareView === "difference") {
+            const mid = plotHeight / 2;
+            const yAt = (db) => mid - (Math.max(-COMPARE_DIFF_RANGE_DB, Math.min(COMPARE_DIFF_RANGE_DB, db)) / COMPARE_DIFF_RANGE_DB) * mid;
+
+            ctx.font = "10px Arial";
+            ctx.textAlign = "right";
+            ctx.textBaseline = "middle";
+            for (let db = -COMPARE_DIFF_RANGE_DB; db <= COMPARE_DIFF_RANGE_DB; db += COMPARE_DIFF_RANGE_DB / 2) {
+                const y = Math.round(yAt(db)) + 0.5;
+                ctx.fillStyle = db === 0 ? "rgba(255,255,255,0.3)" : "rgba(255,255,255,0.08)";
+                ctx.fillRect(left, y, plotWidth, 1);
+                ctx.fillStyle = "rgba(255,255,255,0.55)";
+                ctx.fillText(db > 0 ? `+${db}` : `${db}`, left - 4, Math.max(6, Math.min(plotHeight - 6, y)));
+            }
+
+            ctx.beginPath();
+            ctx.moveTo(xAt(0), mid);
+            for (let i = 0; i < count; i++) {
+                ctx.lineTo(xAt(i), yAt(spectra.a[i] - spectra.b[i]));
+            }
+            ctx.lineTo(xAt(count - 1), mid);
+            ctx.closePath();
+            ctx.fillStyle = this.hexToRgba(this.config.primaryColor, 0.3);
+            ctx.fill();
+
+            ctx.beginPath();
+            for (let i = 0; i < count; i++) {
+                const y = yAt(spectra.a[i] - spectra.b[i]);
+                if (i === 0) {
+                    ctx.moveTo(xAt(i), y);
+                } else {
+                    ctx.lineTo(xAt(i), y);
+                }
+            }
+            ctx.lineWidth = 1.5;
+            ctx.strokeStyle = this.config.primaryColor;
+            ctx.stroke();
+        } else {
+            const { minDecibels, maxDecibels } = this.config;
+            const yAt = (db) => plotHeight * (1 - Math.max(0, Math.min(1, (db - minDecibels) / (maxDecibels - minDecibels))));
+            this.drawDecibelGrid(frame, left, plotWidth, plotHeight);
+
+            // A：填充曲线；B：描边曲线
+            ctx.beginPath();
+            ctx.moveTo(xAt(0), plotHeight);
+            for (let i = 0; i < count; i++) {
+                ctx.lineTo(xAt(i), yAt(spectra.a[i]));
+            }
+            ctx.lineTo(xAt(count - 1), plotHeight);
+            ctx.closePath();
+            ctx.fillStyle = this.hexToRgba(this.config.primaryColor, 0.35);
+            ctx.fill();
+
+            [[spectra.a, this.config.primaryColor], [spectra.b, this.config.secondaryColor]].forEach(([values, color]) => {
+                ctx.beginPath();
+                for (let i = 0; i < count; i++) {
+                    if (i === 0) {
+                        ctx.moveTo(xAt(i), yAt(values[i]));
+                    } else {
+                        ctx.lineTo(xAt(i), yAt(values[i]));
+                    }
+                }
+                ctx.lineWidth = 1.5;
+                ctx.strokeStyle = color;
+                ctx.stroke();
+            });
+        }
+
+        this.drawBarFrequencyAxis(frame, { axisScale: "log", minHz: spectra.minHz, maxHz: spectra.maxHz }, left, plotWidth, plotHeight);
+        this.drawCompareLegend(frame, reference, left + 8);
+    },
+
+    /**
+     * 计算 A/B 两段音频在当前时间的对数频带频谱（dB）
+     * 两边都用同一组参数的离线分析器从解码后的 AudioBuffer 计算，保证结果可直接相减
+     */
+    getCompareSpectra(frame, reference) {
+        const bufferA = this.audioBuffer;
+        const bufferB = reference.audioBuffer;
+        const { fftSize, smoothingTimeConstant, minDecibels, maxDecibels } = this.config;
+        const key = `${fftSize}|${smoothingTimeConstant}|${minDecibels}|${maxDecibels}`;
+
+        let state = frame.state.compare;
+        if (!state || state.bufferA !== bufferA || state.bufferB !== bufferB || state.key !== key) {
+            const options = { fftSize, smoothingTimeConstant, minDecibels, maxDecibels };
+            const minHz = AUDIBLE_MIN_HZ;
+            const maxHz = Math.min(AUDIBLE_MAX_HZ, bufferA.sampleRate / 2, bufferB.sampleRate / 2);
+            const bands = buildFrequencyBands("log", COMPARE_BANDS, minHz, maxHz);
+            state = {
+                bufferA,
+                bufferB,
+                key,
+                analyserA: new OfflineAnalyser(bufferA, options),
+                analyserB: new OfflineAnalyser(bufferB, options),
+                spectrum: new Float32Array(fftSize / 2),
+                bands,
+                minHz,
+                maxHz,
+                a: new Float32Array(bands.length),
+                b: new Float32Array(bands.length)
+            };
+            frame.state.compare = state;
+        }
+
+        const time = frame.currentTime;
+        [[state.analyserA, bufferA, state.a], [state.analyserB, bufferB, state.b]].forEach(([analyser, buffer, out]) => {
+            analyser.setTime(time);
+            analyser.getFloatFrequencyData(state.spectrum);
+            // 静音为 -Infinity，插值前先限制到显示范围下限
+            for (let k = 0; k < state.spectrum.length; k++) {
+                if (!(state.spectrum[k] > minDecibels)) state.spectrum[k] = minDecibels;
+            }
+            sampleBands(state.spectrum, state.bands, buffer.sampleRate, out);
+        });
+        return state;
+    },
+
+    /**
+     * 绘制上下两条按时间对齐的波形概览（时间轴以本节点 A 的时长为准）
+     */
+    drawCompareOverviews(frame, reference) {
+        const { ctx, width: WIDTH, height: HEIGHT, currentTime } = frame;
+        const duration = this.audioBuffer.duration;
+        const laneHeight = HEIGHT / 2;
+        const lanes = [
+            [this.overview, this.config.primaryColor],
+            [reference.overview, this.config.secondaryColor]
+        ];
+
+        lanes.forEach(([overview, color], lane) => {
+            if (!overview) return;
+            const centerY = laneHeight * lane + laneHeight / 2;
+            const amplitude = laneHeight / 2 - 4;
+            ctx.fillStyle = "rgba(255,255,255,0.08)";
+            ctx.fillRect(0, Math.floor(centerY), WIDTH, 1);
+            ctx.fillStyle = color;
+            const bucketsPerSecond = overview.buckets / overview.duration;
+            for (let x = 0; x < WIDTH; x++) {
+                const start = Math.floor((x / WIDTH) * duration * bucketsPerSecond);
+                const end = Math.max(start + 1, Math.floor(((x + 1) / WIDTH) * duration * bucketsPerSecond));
+                // 参考音频较短时，超出部分留空
+                if (start >= overview.buckets) break;
+                let lo = 1;
+                let hi = -1;
+                for (let b = start; b < end && b < overview.buckets; b++) {
+                    if (overview.min[b] < lo) lo = overview.min[b];
+                    if (overview.max[b] > hi) hi = overview.max[b];
+                }
+                if (lo > hi) continue;
+                const top = centerY - hi * amplitude;
+                ctx.fillRect(x, top, 1, Math.max(1, centerY - lo * amplitude - top));
+            }
+        });
+
+        ctx.fillStyle = "rgba(255,255,255,0.15)";
+        ctx.fillRect(0, Math.floor(laneHeight), WIDTH, 1);
+
+        // 播放头
+        const playheadX = duration > 0 ? Math.min(1, currentTime / duration) * WIDTH : 0;
+        ctx.fillStyle = "#fff";
+        ctx.fillRect(Math.round(playheadX) - 1, 0, 2, HEIGHT);
+
+        this.drawCompareLegend(frame, reference, 8);
+        ctx.fillStyle = "rgba(255,255,255,0.75)";
+        ctx.font = "11px Arial";
+        ctx.textAlign = "right";
+        ctx.textBaseline = "bottom";
+        ctx.fillText(`${formatTime(currentTime)} / ${formatTime(duration)}`, WIDTH - 8, HEIGHT - 6);
+    },
+
+    /**
+     * 对比视图左上角的 A / B 图例
+     */
+    drawCompareLegend(frame, reference, x) {
+        const { ctx } = frame;
+        const referenceNode = reference.node;
+        const rows = [
+            [this.config.primaryColor, `A  #${this.node.id} ${this.node.title || this.node.type}`],
+            [this.config.secondaryColor, `B  #${referenceNode.id} ${referenceNode.title || referenceNode.type}`]
+        ];
+        ctx.font = "11px Arial";
+        ctx.textAlign = "left";
+        ctx.textBaseline = "middle";
+        rows.forEach(([color, text], index) => {
+            const y = 12 + index * 14;
+            ctx.fillStyle = color;
+            ctx.fillRect(x, y - 4, 8, 8);
+            ctx.fillStyle = "rgba(255,255,255,0.8)";
+            ctx.fillText(text, x + 12, y);
+        });
+    },
+
+    /**
+     * A/B 对比读数：频谱视图显示频率与两边的 dB 及差值，波形视图显示时间与两边的峰值
+     */
+    getCompareReadout(frame, x, y) {
+        const reference = this.getCompareVisualizer();
+        if (!reference || !reference.audioBuffer || !this.audioBuffer) return null;
+
+        if (this.compareView === "overviews") {
+            const time = (x / frame.width) * this.audioBuffer.duration;
+            const span = this.audioBuffer.duration / frame.width;
+            return [
+                formatTime(time),
+                `A peak ${formatLevel(toDecibels(getOverviewPeak(this.overview, time, time + span)))} dBFS`,
+                `B peak ${formatLevel(toDecibels(getOverviewPeak(reference.overview, time, time + span)))} dBFS`
+            ];
+        }
+
+        const state = frame.state.compare;
+        if (!state) return null;
+        const left = 34;
+        if (x < left || y > frame.height - 16) return null;
+        const count = state.bands.length;
+        const index = Math.min(count - 1, Math.floor(((x - left) / Math.max(1, frame.width - left)) * count));
+        const a = state.a[index];
+        const b = state.b[index];
+        const diff = a - b;
+        return [
+            formatFrequency(state.bands[index].center),
+            `A ${a.toFixed(1)} dB`,
+            `B ${b.toFixed(1)} dB`,
+            `A − B ${diff > 0 ? "+" : ""}${diff.toFixed(1)} dB`
+        ];
+    }
+};
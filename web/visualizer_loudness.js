@@ -0,0 +1,198 @@
+/**
+ * 响度表叠加层
+ *
+ * - 实时：响度表取样 analyser（见 visualizer_stereo.js）的原始采样送入 loudness.js 的 LoudnessMeter，
+ *   显示瞬时 / 短期 / 积分 LUFS、真峰值与 RMS
+ * - 整段文件：开启显示后在后台离线测量（结果按 AudioBuffer 缓存，可取消）
+ * 方法通过 loudnessMethods 混入 AudioVisualizer
+ */
+
+import { LoudnessMeter, measureLoudness } from "./loudness.js";
+import { createMenuDivider, createMenuHeading, createMenuRow, createMenuCheckbox, createMenuButton } from "./menu.js";
+import { formatLevel } from "./format.js";
+
+export const loudnessMethods = {
+    /**
+     * 读取保存的显示开关，初始化测量状态
+     */
+    initLoudness() {
+        this.loudnessKey = "__audio_visualizer_loudness";
+        this.liveLoudness = null;
+        this.fileLoudness = null;
+        this.fileLoudnessProgress = null;
+        this.loudnessAbort = null;
+        this.showLoudness = this.node.properties[this.loudnessKey] === true;
+    },
+
+    /**
+     * 菜单小节：响度表
+     */
+    createLoudnessMenu(menu) {
+        menu.appendChild(createMenuDivider());
+        menu.appendChild(createMenuHeading("Loudness"));
+
+        const loudnessCheckbox = createMenuCheckbox(this.showLoudness, (checked) => {
+            this.setShowLoudness(checked);
+        });
+        menu.appendChild(createMenuRow("Show meter", loudnessCheckbox));
+        menu.appendChild(createMenuRow("Integrated", createMenuButton("Reset", () => this.resetLoudness())));
+
+        return { loudnessCheckbox };
+    },
+
+    /**
+     * 同步响度小节的控件
+     */
+    updateLoudnessMenu() {
+        this.modeMenu.loudnessCheckbox.checked = this.showLoudness;
+    },
+
+    /**
+     * 开关响度表叠加层
+     */
+    setShowLoudness(enabled) {
+        this.showLoudness = !!enabled;
+        if (this.isOfficialNode) {
+            this.node.properties[this.loudnessKey] = this.showLoudness;
+        }
+        if (this.showLoudness) {
+            this.analyzeFileLoudness();
+        } else {
+            this.cancelFileLoudness();
+        }
+        this.updateModeMenu();
+        this.renderStatic();
+    },
+
+    /**
+     * 清空实时响度累计（积分响度从头开始）
+     */
+    resetLoudness() {
+        this.liveLoudness = null;
+        if (this.loudnessTap) {
+            this.loudnessTap.reset();
+        }
+        this.renderStatic();
+    },
+
+    /**
+     * 把新采样送入实时响度表
+     */
+    updateLiveLoudness(samples) {
+        // 单声道文件被 upmix 成双声道，只测一个声道以免响度偏高 3dB
+        const channelCount = this.audioBuffer && this.audioBuffer.numberOfChannels === 1 ? 1 : 2;
+        const sampleRate = this.audioContext.sampleRate;
+        if (!this.liveLoudness || this.liveLoudness.channelCount !== channelCount || this.liveLoudness.sampleRate !== sampleRate) {
+            this.liveLoudness = new LoudnessMeter(sampleRate, channelCount);
+        }
+        this.liveLoudness.process(samples.channels, samples.offset, samples.length);
+    },
+
+    /**
+     * 离线测量整段文件的响度（结果按 AudioBuffer 缓存）
+     */
+    async analyzeFileLoudness() {
+        const audioBuffer = this.audioBuffer;
+        if (!audioBuffer) return;
+        if (this.fileLoudness && this.fileLoudness.buffer === audioBuffer) return;
+        if (this.loudnessAbort && this.loudnessAbort.buffer === audioBuffer) return;
+
+        this.cancelFileLoudness();
+        const controller = new AbortController();
+        controller.buffer = audioBuffer;
+        this.loudnessAbort = controller;
+        this.fileLoudnessProgress = 0;
+
+        try {
+            const summary = await measureLoudness(audioBuffer, {
+                signal: controller.signal,
+                onProgress: (progress) => {
+                    this.fileLoudnessProgress = progress;
+                    this.renderStatic();
+                }
+            });
+            this.fileLoudness = { buffer: audioBuffer, summary };
+        } catch (e) {
+            if (e.name !== "AbortError") {
+                console.error("AudioVisualizer: failed to measure loudness", e);
+            }
+        } finally {
+            if (this.loudnessAbort === controller) {
+                this.loudnessAbort = null;
+                this.fileLoudnessProgress = null;
+            }
+        }
+        this.renderStatic();
+    },
+
+    /**
+     * 取消进行中的离线响度测量
+     */
+    cancelFileLoudness() {
+        if (this.loudnessAbort) {
+            this.loudnessAbort.abort();
+            this.loudnessAbort = null;
+        }
+        this.fileLoudnessProgress = null;
+    },
+
+    /**
+     * 绘制响度表叠加层（右上角）
+     */
+    drawLoudnessOverlay(frame) {
+        const { ctx, width: WIDTH, height: HEIGHT } = frame;
+        const live = frame.loudness ? frame.loudness.getSummary() : null;
+        const file = this.fileLoudness && this.fileLoudness.buffer === this.audioBuffer ? this.fileLoudness.summary : null;
+
+        const rows = [];
+        if (live) {
+            rows.push(["M", `${formatLevel(live.momentary)} LUFS`]);
+            rows.push(["S", `${formatLevel(live.shortTerm)} LUFS`]);
+            rows.push(["I", `${formatLevel(live.integrated)} LUFS`]);
+            rows.push(["TP", `${formatLevel(live.truePeak)} dBTP`]);
+            rows.push(["RMS", `${formatLevel(live.rms)} dB`]);
+        }
+        if (file) {
+            rows.push(["File I", `${formatLevel(file.integrated)} LUFS`]);
+            rows.push(["File TP", `${formatLevel(file.truePeak)} dBTP`]);
+        } else if (this.fileLoudnessProgress !== null) {
+            rows.push(["File", `measuring ${Math.round(this.fileLoudnessProgress * 100)}%`]);
+        }
+        if (rows.length === 0) return;
+
+        const lineHeight = 14;
+        const boxWidth = 150;
+        const barHeight = live ? 6 : 0;
+        const boxHeight = rows.length * lineHeight + 10 + (barHeight ? barHeight + 6 : 0);
+        const boxX = WIDTH - boxWidth - 10;
+        const boxY = 34;
+
+        ctx.fillStyle = "rgba(0,0,0,0.6)";
+        ctx.fillRect(boxX, boxY, boxWidth, boxHeight);
+
+        ctx.font = "11px Arial";
+        ctx.textBaseline = "middle";
+        rows.forEach(([name, value], index) => {
+            const y = boxY + 5 + index * lineHeight + lineHeight / 2;
+            ctx.fillStyle = "rgba(255,255,255,0.55)";
+            ctx.textAlign = "left";
+            ctx.fillText(name, boxX + 8, y);
+            // 真峰值超过 -1 dBTP 标红
+            const isHot = name.endsWith("TP") && parseFloat(value) > -1;
+            ctx.fillStyle = isHot ? "#ef4444" : "#fff";
+            ctx.textAlign = "right";
+            ctx.fillText(value, boxX + boxWidth - 8, y);
+        });
+
+        // 瞬时响度条（-40 ~ 0 LUFS）
+        if (barHeight) {
+            const barY = boxY + boxHeight - barHeight - 6;
+            const barWidth = boxWidth - 16;
+            const fraction = isFinite(live.momentary) ? Math.max(0, Math.min(1, (live.momentary + 40) / 40)) : 0;
+            ctx.fillStyle = "rgba(255,255,255,0.1)";
+            ctx.fillRect(boxX + 8, barY, barWidth, barHeight);
+            ctx.fillStyle = this.config.primaryColor;
+            ctx.fillRect(boxX + 8, barY, barWidth * fraction, barHeight);
+        }
+    }
+};
@@ -0,0 +1,238 @@
+/**
+ * 歌词 / 字幕叠加层
+ *
+ * - 从文件加载或粘贴 LRC / SRT / WebVTT 原文，由 lyrics.js 解析
+ * - 原文随节点保存（{ name, text }），加载节点时重新解析
+ * - 在画布底部按播放位置显示当前行（有逐字时间时做卡拉 OK 式填充）与下一行预告
+ * 方法通过 lyricsMethods 混入 AudioVisualizer
+ */
+
+import { parseLyrics, findCueIndex } from "./lyrics.js";
+import { createMenuDivider, createMenuHeading, createMenuRow, createMenuCheckbox, createMenuButton, createMenuStatusRow } from "./menu.js";
+
+// 下一行提前显示的时间（秒）与字号范围
+const LYRICS_LOOKAHEAD_SECONDS = 3;
+const LYRICS_FONT_MIN = 10;
+const LYRICS_FONT_MAX = 22;
+
+export const lyricsMethods = {
+    /**
+     * 读取保存的歌词原文与显示开关
+     */
+    initLyrics() {
+        this.lyricsKey = "__audio_visualizer_lyrics";
+        this.lyricsVisibleKey = "__audio_visualizer_lyrics_visible";
+        this.lyrics = null;
+        this.lyricsStatus = "";
+        this.showLyrics = this.node.properties[this.lyricsVisibleKey] !== false;
+        const savedLyrics = this.node.properties[this.lyricsKey];
+        if (savedLyrics && typeof savedLyrics.text === "string") {
+            this.setLyrics(savedLyrics.text, savedLyrics.name, false);
+        }
+    },
+
+    /**
+     * 菜单小节：歌词 / 字幕的显示开关、加载 / 粘贴 / 清除
+     */
+    createLyricsMenu(menu, container) {
+        menu.appendChild(createMenuDivider());
+        menu.appendChild(createMenuHeading("Lyrics"));
+
+        const lyricsCheckbox = createMenuCheckbox(this.showLyrics, (checked) => this.setShowLyrics(checked));
+        menu.appendChild(createMenuRow("Show", lyricsCheckbox));
+
+        const lyricsInput = document.createElement("input");
+        lyricsInput.type = "file";
+        lyricsInput.accept = ".lrc,.srt,.vtt,.txt,text/vtt,text/plain";
+        lyricsInput.style.display = "none";
+        container.appendChild(lyricsInput);
+        lyricsInput.addEventListener("change", async (event) => {
+            const file = event.target.files?.[0];
+            if (!file) return;
+            try {
+                this.setLyrics(await file.text(), file.name);
+            } catch (err) {
+                console.error("AudioVisualizer: failed to read lyrics file", err);
+            }
+        });
+
+        const lyricsButtons = document.createElement("div");
+        lyricsButtons.style.display = "flex";
+        lyricsButtons.style.gap = "4px";
+        lyricsButtons.appendChild(createMenuButton("Load", () => {
+            lyricsInput.value = "";
+            lyricsInput.click();
+        }));
+        lyricsButtons.appendChild(createMenuButton("Paste", () => {
+            lyricsPaste.style.display = lyricsPaste.style.display === "none" ? "block" : "none";
+            if (lyricsPaste.style.display === "block") {
+                lyricsTextarea.focus();
+            }
+        }));
+        lyricsButtons.appendChild(createMenuButton("Clear", () => this.setLyrics(null)));
+        const { row: lyricsRow, status: lyricsStatusLabel } = createMenuStatusRow(lyricsButtons);
+        menu.appendChild(lyricsRow);
+
+        // 粘贴区：文本框中的按键不能传给画布，否则 Delete 等快捷键会作用到节点
+        const lyricsPaste = document.createElement("div");
+        lyricsPaste.style.display = "none";
+        lyricsPaste.style.padding = "0 12px 6px";
+        const lyricsTextarea = document.createElement("textarea");
+        lyricsTextarea.placeholder = "[00:12.00] LRC, SRT or WEBVTT…";
+        lyricsTextarea.rows = 5;
+        lyricsTextarea.style.width = "100%";
+        lyricsTextarea.style.boxSizing = "border-box";
+        lyricsTextarea.style.fontSize = "10px";
+        lyricsTextarea.style.background = "rgba(255,255,255,0.06)";
+        lyricsTextarea.style.color = "#fff";
+        lyricsTextarea.style.border = "1px solid rgba(255,255,255,0.15)";
+        lyricsTextarea.style.borderRadius = "4px";
+        lyricsTextarea.addEventListener("keydown", (e) => e.stopPropagation());
+        lyricsPaste.appendChild(lyricsTextarea);
+        const applyLyricsButton = createMenuButton("Apply", () => {
+            if (this.setLyrics(lyricsTextarea.value, "Pasted")) {
+                lyricsTextarea.value = "";
+                lyricsPaste.style.display = "none";
+            }
+        });
+        applyLyricsButton.style.marginTop = "4px";
+        lyricsPaste.appendChild(applyLyricsButton);
+        menu.appendChild(lyricsPaste);
+
+        return { lyricsCheckbox, lyricsStatusLabel };
+    },
+
+    /**
+     * 同步歌词小节的控件
+     */
+    updateLyricsMenu() {
+        this.modeMenu.lyricsCheckbox.checked = this.showLyrics;
+        this.modeMenu.lyricsStatusLabel.textContent = this.lyricsStatus;
+    },
+
+    /**
+     * 设置歌词 / 字幕原文（text 为 null 时清除）；解析失败时保留原有歌词并返回 false
+     */
+    setLyrics(text, name = "", persist = true) {
+        if (text === null || text === undefined || !String(text).trim()) {
+            this.lyrics = null;
+            this.lyricsStatus = "";
+            if (persist && this.isOfficialNode) {
+                delete this.node.properties[this.lyricsKey];
+            }
+        } else {
+            let parsed;
+            try {
+                parsed = parseLyrics(text);
+            } catch (e) {
+                console.warn(`AudioVisualizer: failed to parse lyrics "${name}"`, e);
+                this.lyricsStatus = "Unrecognized format";
+                this.updateModeMenu();
+                return false;
+            }
+            this.lyrics = { name, ...parsed };
+            this.lyricsStatus = `${parsed.format.toUpperCase()} · ${parsed.cues.length} lines`;
+            if (persist && this.isOfficialNode) {
+                this.node.properties[this.lyricsKey] = { name, text: String(text) };
+            }
+        }
+        if (persist) {
+            this.updateModeMenu();
+            this.renderStatic();
+        }
+        return true;
+    },
+
+    /**
+     * 开关歌词叠加层
+     */
+    setShowLyrics(enabled) {
+        this.showLyrics = !!enabled;
+        if (this.isOfficialNode) {
+            this.node.properties[this.lyricsVisibleKey] = this.showLyrics;
+        }
+        this.updateModeMenu();
+        this.renderStatic();
+    },
+
+    /**
+     * 绘制歌词叠加层（底部居中）：当前行有逐字时间时按词做卡拉 OK 式填充，
+     * 下方以小字预告下一行；两行之间的空档提前 LYRICS_LOOKAHEAD_SECONDS 显示下一行
+     */
+    drawLyricsOverlay(frame) {
+        if (!this.lyrics || !this.showLyrics) return;
+        const { ctx, width: WIDTH, height: HEIGHT, currentTime } = frame;
+        const cues = this.lyrics.cues;
+        const index = findCueIndex(cues, currentTime);
+        const current = index >= 0 ? cues[index] : null;
+        let next = null;
+        if (current) {
+            next = cues[index + 1] || null;
+        } else {
+            next = cues.find(cue => cue.start > currentTime && cue.start - currentTime <= LYRICS_LOOKAHEAD_SECONDS) || null;
+        }
+        if (!current && !next) return;
+
+        // 字号随画布高度变化，过长的行缩小到能放下为止
+        const maxWidth = WIDTH - 40;
+        const fitFont = (text, size, weight) => {
+            ctx.font = `${weight} ${size}px Arial`;
+            const width = ctx.measureText(text).width;
+            if (width > maxWidth) {
+                size = Math.max(LYRICS_FONT_MIN, Math.floor((size * maxWidth) / width));
+                ctx.font = `${weight} ${size}px Arial`;
+            }
+            return size;
+        };
+        const baseSize = Math.max(LYRICS_FONT_MIN + 2, Math.min(LYRICS_FONT_MAX, Math.round(HEIGHT / 10)));
+        const currentSize = current ? fitFont(current.text, baseSize, "bold") : 0;
+        const nextSize = next ? fitFont(next.text, Math.max(LYRICS_FONT_MIN, Math.round(baseSize * 0.7)), "normal") : 0;
+
+        const padding = 6;
+        const boxHeight = padding * 2 + (current ? currentSize * 1.25 : 0) + (next ? nextSize * 1.25 : 0);
+        const boxY = HEIGHT - boxHeight - 8;
+        ctx.fillStyle = "rgba(0,0,0,0.55)";
+        ctx.fillRect(10, boxY, WIDTH - 20, boxHeight);
+
+        ctx.textBaseline = "middle";
+        let y = boxY + padding;
+        if (current) {
+            const lineY = y + (currentSize * 1.25) / 2;
+            ctx.font = `bold ${currentSize}px Arial`;
+            if (current.words) {
+                // 逐词排版：已唱部分用主色填充，按词内进度裁剪
+                const space = ctx.measureText(" ").width;
+                const widths = current.words.map(word => ctx.measureText(word.text).width);
+                const total = widths.reduce((sum, width) => sum + width, 0) + space * (widths.length - 1);
+                let x = (WIDTH - total) / 2;
+                ctx.textAlign = "left";
+                current.words.forEach((word, i) => {
+                    const progress = Math.max(0, Math.min(1, (currentTime - word.start) / Math.max(0.001, word.end - word.start)));
+                    ctx.fillStyle = "rgba(255,255,255,0.75)";
+                    ctx.fillText(word.text, x, lineY);
+                    if (progress > 0) {
+                        ctx.save();
+                        ctx.beginPath();
+                        ctx.rect(x, lineY - currentSize, widths[i] * progress, currentSize * 2);
+                        ctx.clip();
+                        ctx.fillStyle = this.config.primaryColor;
+                        ctx.fillText(word.text, x, lineY);
+                        ctx.restore();
+                    }
+                    x += widths[i] + space;
+                });
+            } else {
+                ctx.textAlign = "center";
+                ctx.fillStyle = "#fff";
+                ctx.fillText(current.text, WIDTH / 2, lineY);
+            }
+            y += currentSize * 1.25;
+        }
+        if (next) {
+            ctx.font = `normal ${nextSize}px Arial`;
+            ctx.textAlign = "center";
+            ctx.fillStyle = "rgba(255,255,255,0.5)";
+            ctx.fillText(next.text, WIDTH / 2, y + (nextSize * 1.25) / 2);
+        }
+    }
+};
@@ -0,0 +1,400 @@
+/**
+ * 时间轴标记、区间与循环播放
+ *
+ * - 双击时间轴添加标记，Shift+拖动选出区间（指针事件在 AudioVisualizer.setupCanvasInteraction 中处理）
+ * - 标记列表、导出 / 导入 JSON、CSV（数据格式见 markers.js），随节点保存
+ * - 在一个区间或相邻两个标记之间循环播放
+ * 方法通过 markersMethods 混入 AudioVisualizer
+ */
+
+import { app } from "../../scripts/app.js";
+import { normalizeMarkers, markersToJson, markersToCsv, parseMarkers } from "./markers.js";
+import {
+    createMenuDivider, createMenuHeading, createMenuRow, createMenuButton, createMenuSelect, fillMenuSelect, createMenuStatusRow
+} from "./menu.js";
+import { formatTime } from "./format.js";
+
+// 标记颜色、拖出区间的最短时长（秒），以及循环时越过区间终点多久之内跳回（秒）
+const MARKER_COLOR = "#f59e0b";
+export const REGION_MIN_SECONDS = 0.05;
+const LOOP_CATCH_SECONDS = 0.5;
+
+export const markersMethods = {
+    /**
+     * 读取保存的标记、区间与循环范围
+     */
+    initMarkers() {
+        this.markersKey = "__audio_visualizer_markers";
+        this.markers = [];
+        this.regions = [];
+        this.loopKey = null;
+        this.markerStatus = "";
+        const savedMarkers = this.node.properties[this.markersKey];
+        if (savedMarkers && typeof savedMarkers === "object") {
+            this.setMarkers(savedMarkers, false);
+        }
+    },
+
+    /**
+     * 菜单小节：标记与区间的添加 / 导入 / 导出、循环范围与列表
+     */
+    createMarkersMenu(menu, container) {
+        menu.appendChild(createMenuDivider());
+        menu.appendChild(createMenuHeading("Markers"));
+
+        const markersInput = document.createElement("input");
+        markersInput.type = "file";
+        markersInput.accept = ".json,.csv,application/json,text/csv";
+        markersInput.style.display = "none";
+        container.appendChild(markersInput);
+        markersInput.addEventListener("change", async (event) => {
+            const file = event.target.files?.[0];
+            if (!file) return;
+            try {
+                this.importMarkers(await file.text(), file.name);
+            } catch (err) {
+                console.error("AudioVisualizer: failed to read marker file", err);
+            }
+        });
+
+        const markerButtons = document.createElement("div");
+        markerButtons.style.display = "flex";
+        markerButtons.style.gap = "4px";
+        markerButtons.appendChild(createMenuButton("Add", () => this.addMarker(this.getCurrentTime())));
+        markerButtons.appendChild(createMenuButton("Import", () => {
+            markersInput.value = "";
+            markersInput.click();
+        }));
+        markerButtons.appendChild(createMenuButton("JSON", () => this.exportMarkers("json")));
+        markerButtons.appendChild(createMenuButton("CSV", () => this.exportMarkers("csv")));
+        const { row: markerRow, status: markerStatusLabel } = createMenuStatusRow(markerButtons);
+        menu.appendChild(markerRow);
+
+        // 循环范围的选项随标记变化，见 buildMarkerList()
+        const loopSelect = createMenuSelect([{ value: "", label: "Off" }], "", (value) => this.setLoop(value || null));
+        loopSelect.style.maxWidth = "140px";
+        menu.appendChild(createMenuRow("Loop", loopSelect));
+
+        const markerList = document.createElement("div");
+        markerList.style.maxHeight = "120px";
+        markerList.style.overflowY = "auto";
+        markerList.style.padding = "0 12px 6px";
+        markerList.style.fontSize = "10px";
+        menu.appendChild(markerList);
+
+        return { markerStatusLabel, loopSelect, markerList };
+    },
+
+    /**
+     * 同步标记小节的控件
+     */
+    updateMarkersMenu() {
+        const markerCount = this.markers.length;
+        const regionCount = this.regions.length;
+        this.modeMenu.markerStatusLabel.textContent = this.markerStatus ||
+            `${markerCount} marker${markerCount === 1 ? "" : "s"} · ${regionCount} region${regionCount === 1 ? "" : "s"}`;
+        this.modeMenu.loopSelect.value = this.loopKey || "";
+    },
+
+    /**
+     * 重建菜单中的标记 / 区间列表与循环范围下拉框
+     * 每行显示时间与名称：点击跳转，✎ 重命名，✕ 删除
+     */
+    buildMarkerList() {
+        if (!this.modeMenu?.markerList) return;
+        const { markerList, loopSelect } = this.modeMenu;
+        markerList.replaceChildren();
+
+        const items = [
+            ...this.markers.map(marker => ({ item: marker, time: marker.time, text: formatTime(marker.time) })),
+            ...this.regions.map(region => ({ item: region, time: region.start, text: `${formatTime(region.start)}–${formatTime(region.end)}` }))
+        ].sort((a, b) => a.time - b.time);
+
+        if (items.length === 0) {
+            const hint = document.createElement("div");
+            hint.textContent = "Double-click the timeline to add a marker, Shift+drag to select a region";
+            hint.style.color = "#888";
+            markerList.appendChild(hint);
+        }
+        items.forEach(({ item, time, text }) => {
+            const row = document.createElement("div");
+            row.style.display = "flex";
+            row.style.alignItems = "center";
+            row.style.gap = "4px";
+            row.style.padding = "2px 0";
+            row.style.color = "#eee";
+
+            const jump = document.createElement("span");
+            jump.textContent = `${text}  ${item.name}`;
+            jump.title = "Seek here";
+            jump.style.flex = "1";
+            jump.style.cursor = "pointer";
+            jump.style.overflow = "hidden";
+            jump.style.textOverflow = "ellipsis";
+            jump.style.whiteSpace = "nowrap";
+            // 区间用辅色，和画布上的显示一致
+            jump.style.borderLeft = `2px solid ${"time" in item ? MARKER_COLOR : this.config.secondaryColor}`;
+            jump.style.paddingLeft = "4px";
+            jump.addEventListener("click", (e) => {
+                e.stopPropagation();
+                this.seekTo(time);
+            });
+            row.appendChild(jump);
+
+            row.appendChild(createMenuButton("✎", () => this.renameMarker(item.id)));
+            row.appendChild(createMenuButton("✕", () => this.removeMarker(item.id)));
+            markerList.appendChild(row);
+        });
+
+        fillMenuSelect(loopSelect, [{ value: "", label: "Off" }, ...this.getLoopRanges()]);
+        loopSelect.value = this.loopKey || "";
+    },
+
+    /**
+     * 设置全部标记与区间（{ markers, regions, loop }），数据先经过规范化
+     */
+    setMarkers(data, persist = true) {
+        const { markers, regions } = normalizeMarkers(data);
+        this.markers = markers;
+        this.regions = regions;
+        this.markerStatus = "";
+        const loop = typeof data?.loop === "string" ? data.loop : this.loopKey;
+        this.loopKey = this.getLoopRanges().some(range => range.value === loop) ? loop : null;
+        if (persist) {
+            this.saveMarkers();
+        }
+    },
+
+    /**
+     * 保存标记到节点属性，并刷新菜单与画布
+     */
+    saveMarkers() {
+        if (this.isOfficialNode) {
+            if (this.markers.length === 0 && this.regions.length === 0) {
+                delete this.node.properties[this.markersKey];
+            } else {
+                this.node.properties[this.markersKey] = { markers: this.markers, regions: this.regions, loop: this.loopKey };
+            }
+        }
+        this.buildMarkerList();
+        this.updateModeMenu();
+        this.renderStatic();
+    },
+
+    /**
+     * 询问标记名称：优先使用 ComfyUI 的对话框，旧版前端退回浏览器 prompt；取消时返回 null
+     */
+    async promptMarkerName(title, defaultValue) {
+        const dialog = app.extensionManager?.dialog;
+        if (dialog && typeof dialog.prompt === "function") {
+            const value = await dialog.prompt({ title, message: "Name", defaultValue });
+            return value === null || value === undefined ? null : String(value);
+        }
+        return window.prompt(title, defaultValue);
+    },
+
+    /**
+     * 在指定时间添加标记并询问名称
+     */
+    async addMarker(time) {
+        const duration = this.getDuration();
+        if (!(duration > 0)) return;
+        time = Math.max(0, Math.min(duration, time));
+        const name = await this.promptMarkerName(`Marker at ${formatTime(time)}`, `Marker ${this.markers.length + 1}`);
+        if (name === null) return;
+        this.setMarkers({ markers: [...this.markers, { time, name }], regions: this.regions });
+    },
+
+    /**
+     * 添加区间并询问名称
+     */
+    async addRegion(start, end) {
+        const duration = this.getDuration();
+        if (!(duration > 0)) return;
+        start = Math.max(0, Math.min(duration, Math.min(start, end)));
+        end = Math.max(0, Math.min(duration, Math.max(start, end)));
+        const name = await this.promptMarkerName(`Region ${formatTime(start)}–${formatTime(end)}`, `Region ${this.regions.length + 1}`);
+        if (name === null) {
+            this.renderStatic();
+            return;
+        }
+        this.setMarkers({ markers: this.markers, regions: [...this.regions, { start, end, name }] });
+    },
+
+    /**
+     * 重命名标记或区间
+     */
+    async renameMarker(id) {
+        const item = this.markers.find(marker => marker.id === id) || this.regions.find(region => region.id === id);
+        if (!item) return;
+        const name = await this.promptMarkerName("Rename", item.name);
+        if (name === null) return;
+        item.name = name;
+        this.saveMarkers();
+    },
+
+    /**
+     * 删除标记或区间；正在循环的范围随之失效
+     */
+    removeMarker(id) {
+        this.setMarkers({
+            markers: this.markers.filter(marker => marker.id !== id),
+            regions: this.regions.filter(region => region.id !== id)
+        });
+    },
+
+    /**
+     * 导出标记与区间（format 为 "json" 或 "csv"）
+     */
+    exportMarkers(format) {
+        const data = { markers: this.markers, regions: this.regions };
+        const title = (this.node.title || "audio").replace(/[^\w\-]+/g, "_");
+        if (format === "csv") {
+            this.downloadBlob(new Blob([markersToCsv(data)], { type: "text/csv" }), `${title}_markers.csv`);
+        } else {
+            this.downloadBlob(new Blob([markersToJson(data)], { type: "application/json" }), `${title}_markers.json`);
+        }
+    },
+
+    /**
+     * 从 JSON / CSV 文本导入标记，替换现有的标记与区间；解析失败时保留原有数据
+     */
+    importMarkers(text, name = "") {
+        let data;
+        try {
+            data = parseMarkers(text);
+        } catch (e) {
+            console.warn(`AudioVisualizer: failed to parse markers "${name}"`, e);
+            this.markerStatus = "Unrecognized file";
+            this.updateModeMenu();
+            return false;
+        }
+        this.setMarkers(data);
+        return true;
+    },
+
+    /**
+     * 可循环的范围：每个区间，以及按时间相邻的每对标记
+     * 返回 [{ value, label, start, end }]
+     */
+    getLoopRanges() {
+        const ranges = this.regions.map(region => ({
+            value: `region:${region.id}`,
+            label: region.name || `${formatTime(region.start)}–${formatTime(region.end)}`,
+            start: region.start,
+            end: region.end
+        }));
+        for (let i = 0; i + 1 < this.markers.length; i++) {
+            const a = this.markers[i];
+            const b = this.markers[i + 1];
+            if (!(b.time > a.time)) continue;
+            ranges.push({
+                value: `markers:${a.id}:${b.id}`,
+                label: `${a.name || formatTime(a.time)} → ${b.name || formatTime(b.time)}`,
+                start: a.time,
+                end: b.time
+            });
+        }
+        return ranges;
+    },
+
+    /**
+     * 当前循环的范围，未开启时返回 null
+     */
+    getLoopRange() {
+        if (!this.loopKey) return null;
+        return this.getLoopRanges().find(range => range.value === this.loopKey) || null;
+    },
+
+    /**
+     * 设置循环范围（null 关闭循环）；开启时如果播放位置不在范围内则跳到起点
+     */
+    setLoop(key) {
+        this.loopKey = key && this.getLoopRanges().some(range => range.value === key) ? key : null;
+        const range = this.getLoopRange();
+        const time = this.getCurrentTime();
+        if (range && (time < range.start || time >= range.end)) {
+            this.seekTo(range.start);
+        }
+        this.saveMarkers();
+    },
+
+    /**
+     * 循环播放：播放位置刚越过循环终点时跳回起点（ended 为 true 表示播放已到文件末尾）
+     * 只在越过终点 LOOP_CATCH_SECONDS 之内跳回，用户在区间之后手动定位不会被拉回；
+     * 录制时不循环，否则录制不会随播放结束而停止。返回是否发生了跳转
+     */
+    applyLoop(ended = false) {
+        const range = this.getLoopRange();
+        const audioElement = this.getPlayerElement();
+        if (!range || !audioElement || this.recorder) return false;
+        const time = audioElement.currentTime;
+        const wrapped = ended
+            ? range.end >= this.getDuration() - LOOP_CATCH_SECONDS
+            : !audioElement.paused && time >= range.end && time < range.end + LOOP_CATCH_SECONDS;
+        if (!wrapped) return false;
+        this.seekTo(range.start);
+        if (ended) {
+            audioElement.play().catch(e => console.warn("AudioVisualizer: failed to restart loop", e));
+        }
+        return true;
+    },
+
+    /**
+     * 绘制标记与区间（只在时间轴视图上）：区间为半透明色块，循环范围加亮两端，
+     * 标记为竖线加顶部的名称标签；Shift 拖动中的区间以白色显示
+     */
+    drawMarkersOverlay(frame, timeline) {
+        const { ctx, width: WIDTH, height: HEIGHT, duration } = frame;
+        if (!timeline || !(duration > 0)) return;
+        const drag = this.isLiveState(frame.state) ? this.regionDrag : null;
+        if (this.markers.length === 0 && this.regions.length === 0 && !drag) return;
+        const toX = (time) => Math.round((Math.max(0, Math.min(duration, time)) / duration) * WIDTH);
+
+        ctx.font = "10px Arial";
+        ctx.textBaseline = "middle";
+        ctx.textAlign = "left";
+
+        this.regions.forEach(region => {
+            const x = toX(region.start);
+            const width = Math.max(1, toX(region.end) - x);
+            ctx.fillStyle = this.hexToRgba(this.config.secondaryColor, 0.18);
+            ctx.fillRect(x, 0, width, HEIGHT);
+            if (region.name) {
+                ctx.fillStyle = this.hexToRgba(this.config.secondaryColor, 0.9);
+                ctx.fillText(region.name, x + 3, HEIGHT - 10);
+            }
+        });
+
+        const loop = this.getLoopRange();
+        if (loop) {
+            const x = toX(loop.start);
+            const width = Math.max(1, toX(loop.end) - x);
+            ctx.fillStyle = this.hexToRgba(this.config.primaryColor, 0.08);
+            ctx.fillRect(x, 0, width, HEIGHT);
+            ctx.fillStyle = this.config.primaryColor;
+            ctx.fillRect(x, 0, 2, HEIGHT);
+            ctx.fillRect(x + width - 2, 0, 2, HEIGHT);
+        }
+
+        if (drag) {
+            const x = toX(Math.min(drag.start, drag.end));
+            ctx.fillStyle = "rgba(255,255,255,0.15)";
+            ctx.fillRect(x, 0, Math.max(1, toX(Math.max(drag.start, drag.end)) - x), HEIGHT);
+        }
+
+        this.markers.forEach(marker => {
+            const x = toX(marker.time);
+            ctx.fillStyle = MARKER_COLOR;
+            ctx.fillRect(x, 0, 1, HEIGHT);
+            const label = marker.name || formatTime(marker.time);
+            const boxWidth = ctx.measureText(label).width + 8;
+            // 靠近右边缘的标签画在竖线左侧
+            const boxX = x + boxWidth + 1 > WIDTH ? x - boxWidth : x + 1;
+            ctx.fillStyle = "rgba(0,0,0,0.65)";
+            ctx.fillRect(boxX, 8, boxWidth, 14);
+            ctx.fillStyle = MARKER_COLOR;
+            ctx.fillText(label, boxX + 4, 15);
+        });
+    }
+};
@@ -0,0 +1,253 @@
+/**
+ * 音高 / 调音器模式
+ *
+ * - 基频用 pitch.js 的 YIN 从时域采样估计（适合单声部），绘制为滚动的音高曲线与调音器式音名 / 音分读数
+ * - 12 半音色度图由频谱累加（适合复音）
+ * 逐帧状态（采样窗口、曲线历史、读数保持）保存在帧状态的 pitch 字段；方法通过 pitchMethods 混入 AudioVisualizer
+ */
+
+import { NOTE_NAMES, detectPitch, computeChroma, frequencyToMidi, midiToFrequency, midiToNote } from "./pitch.js";
+import { formatFrequency, formatTime } from "./format.js";
+
+// 音高模式：曲线显示的时长（秒）、计入曲线的最低清晰度、YIN 最多使用的采样数、
+// 音名读数在失去音高后保持的时间（秒）、视为“准”的音分范围
+const PITCH_CONTOUR_SECONDS = 8;
+const PITCH_MIN_CLARITY = 0.8;
+const PITCH_MAX_WINDOW = 4096;
+const PITCH_HOLD_SECONDS = 0.3;
+const PITCH_IN_TUNE_CENTS = 10;
+
+export const pitchMethods = {
+    /**
+     * 绘制音高模式：左侧为滚动的音高曲线（纵轴为半音），左下角为调音器读数，右侧为 12 半音色度图
+     * 基频用 YIN 从时域采样估计（适合单声部），色度图由频谱累加（适合复音）
+     */
+    drawPitch(frame) {
+        const { ctx, width: WIDTH, height: HEIGHT, analyser, sampleRate, currentTime } = frame;
+
+        let state = frame.state.pitch;
+        if (!state || state.fftSize !== analyser.fftSize) {
+            state = {
+                fftSize: analyser.fftSize,
+                samples: new Float32Array(analyser.fftSize),
+                spectrum: new Float32Array(analyser.frequencyBinCount),
+                difference: null,
+                chroma: new Float32Array(12),
+                frameChroma: new Float32Array(12),
+                points: [],
+                range: null,
+                lastPitch: null,
+                layout: null
+            };
+            frame.state.pitch = state;
+        }
+
+        // 回退播放位置（拖动进度条、重新播放）时清空曲线
+        const points = state.points;
+        if (points.length && currentTime < points[points.length - 1].time - 0.05) {
+            points.length = 0;
+            state.lastPitch = null;
+        }
+
+        // 基频估计：只取最近的 PITCH_MAX_WINDOW 个采样，控制每帧的计算量
+        analyser.getFloatTimeDomainData(state.samples);
+        const samples = state.samples.length > PITCH_MAX_WINDOW
+            ? state.samples.subarray(state.samples.length - PITCH_MAX_WINDOW)
+            : state.samples;
+        if (!state.difference || state.difference.length < samples.length / 2 + 1) {
+            state.difference = new Float32Array(Math.floor(samples.length / 2) + 1);
+        }
+        const pitch = detectPitch(samples, sampleRate, { buffer: state.difference });
+        const voiced = pitch && pitch.clarity >= PITCH_MIN_CLARITY;
+        if (voiced) {
+            const midi = frequencyToMidi(pitch.frequency);
+            points.push({ time: currentTime, midi });
+            state.lastPitch = { time: currentTime, midi, frequency: pitch.frequency };
+        } else if (points.length && points[points.length - 1].midi !== null) {
+            // 断开曲线
+            points.push({ time: currentTime, midi: null });
+        }
+        while (points.length && points[0].time < currentTime - PITCH_CONTOUR_SECONDS) {
+            points.shift();
+        }
+
+        // 色度图：与上一帧平滑，减少闪烁
+        analyser.getFloatFrequencyData(state.spectrum);
+        const chroma = computeChroma(state.spectrum, sampleRate, state.frameChroma);
+        for (let i = 0; i < 12; i++) {
+            state.chroma[i] = state.chroma[i] * 0.7 + chroma[i] * 0.3;
+        }
+
+        // 布局
+        const chromaWidth = Math.min(160, Math.max(80, WIDTH * 0.25));
+        const chromaLeft = WIDTH - chromaWidth;
+        const contourLeft = 30;
+        const contourWidth = Math.max(1, chromaLeft - contourLeft - 10);
+
+        // 纵轴范围：跟随曲线自动调整，至少一个八度，并缓慢过渡
+        let low = Infinity;
+        let high = -Infinity;
+        points.forEach(point => {
+            if (point.midi === null) return;
+            low = Math.min(low, point.midi);
+            high = Math.max(high, point.midi);
+        });
+        if (!isFinite(low)) {
+            low = state.range ? state.range.low : 57;
+            high = state.range ? state.range.high : 69;
+        }
+        const span = Math.max(12, high - low + 4);
+        const target = { low: (low + high) / 2 - span / 2, high: (low + high) / 2 + span / 2 };
+        state.range = state.range
+            ? {
+                low: state.range.low + (target.low - state.range.low) * 0.1,
+                high: state.range.high + (target.high - state.range.high) * 0.1
+            }
+            : target;
+        const range = state.range;
+        const yAt = (midi) => HEIGHT - ((midi - range.low) / (range.high - range.low)) * HEIGHT;
+        const xAt = (time) => contourLeft + (1 - (currentTime - time) / PITCH_CONTOUR_SECONDS) * contourWidth;
+        state.layout = { contourLeft, contourWidth, chromaLeft, chromaWidth, range: { ...range }, currentTime };
+
+        // 半音网格：C 音最亮；半音间距足够时标出所有自然音
+        const pixelsPerSemitone = HEIGHT / (range.high - range.low);
+        ctx.font = "10px Arial";
+        ctx.textAlign = "right";
+        ctx.textBaseline = "middle";
+        for (let midi = Math.ceil(range.low); midi <= Math.floor(range.high); midi++) {
+            const y = Math.round(yAt(midi)) + 0.5;
+            const note = midiToNote(midi);
+            const isC = note.name === "C";
+            ctx.fillStyle = isC ? "rgba(255,255,255,0.2)" : "rgba(255,255,255,0.06)";
+            ctx.fillRect(contourLeft, y, contourWidth, 1);
+            if (isC || (pixelsPerSemitone >= 12 && !note.name.includes("#"))) {
+                ctx.fillStyle = isC ? "rgba(255,255,255,0.7)" : "rgba(255,255,255,0.45)";
+                ctx.fillText(note.label, contourLeft - 4, y);
+            }
+        }
+
+        // 音高曲线
+        ctx.lineWidth = 2;
+        ctx.strokeStyle = this.config.primaryColor;
+        ctx.beginPath();
+        let drawing = false;
+        points.forEach(point => {
+            if (point.midi === null) {
+                drawing = false;
+                return;
+            }
+            const x = xAt(point.time);
+            const y = yAt(point.midi);
+            if (drawing) {
+                ctx.lineTo(x, y);
+            } else {
+                ctx.moveTo(x, y);
+                drawing = true;
+            }
+        });
+        ctx.stroke();
+
+        // 调音器读数（失去音高后短暂保持最后一个音）
+        const last = state.lastPitch && currentTime - state.lastPitch.time <= PITCH_HOLD_SECONDS ? state.lastPitch : null;
+        if (last) {
+            ctx.beginPath();
+            ctx.arc(xAt(last.time), yAt(last.midi), 3, 0, 2 * Math.PI);
+            ctx.fillStyle = this.config.primaryColor;
+            ctx.fill();
+        }
+        this.drawTuner(frame, contourLeft + 8, HEIGHT - 52, last);
+
+        // 色度图：从下到上 C → B，最强的半音级用辅色标出
+        const rowHeight = (HEIGHT - 8) / 12;
+        let strongest = 0;
+        for (let i = 1; i < 12; i++) {
+            if (state.chroma[i] > state.chroma[strongest]) strongest = i;
+        }
+        ctx.fillStyle = "rgba(255,255,255,0.08)";
+        ctx.fillRect(chromaLeft, 0, 1, HEIGHT);
+        ctx.font = "10px Arial";
+        ctx.textAlign = "left";
+        ctx.textBaseline = "middle";
+        const barLeft = chromaLeft + 28;
+        const barWidth = Math.max(1, chromaWidth - 36);
+        for (let i = 0; i < 12; i++) {
+            const y = HEIGHT - 4 - (i + 1) * rowHeight;
+            const value = Math.max(0, Math.min(1, state.chroma[i]));
+            ctx.fillStyle = "rgba(255,255,255,0.06)";
+            ctx.fillRect(barLeft, y + 1, barWidth, rowHeight - 2);
+            ctx.fillStyle = i === strongest && value > 0 ? this.config.secondaryColor : this.hexToRgba(this.config.primaryColor, 0.35 + 0.65 * value);
+            ctx.fillRect(barLeft, y + 1, barWidth * value, rowHeight - 2);
+            ctx.fillStyle = "rgba(255,255,255,0.7)";
+            ctx.fillText(NOTE_NAMES[i], chromaLeft + 8, y + rowHeight / 2);
+        }
+    },
+
+    /**
+     * 调音器读数：音名、音分偏差与频率，以及 ±50 音分的偏差指示条
+     */
+    drawTuner(frame, x, y, pitch) {
+        const { ctx } = frame;
+        const boxWidth = 150;
+        const boxHeight = 44;
+        ctx.fillStyle = "rgba(0,0,0,0.6)";
+        ctx.fillRect(x, y, boxWidth, boxHeight);
+
+        ctx.textBaseline = "middle";
+        ctx.textAlign = "left";
+        if (!pitch) {
+            ctx.font = "bold 20px Arial";
+            ctx.fillStyle = "rgba(255,255,255,0.35)";
+            ctx.fillText("--", x + 8, y + 16);
+            return;
+        }
+
+        const note = midiToNote(pitch.midi);
+        const inTune = Math.abs(note.cents) <= PITCH_IN_TUNE_CENTS;
+        const color = inTune ? "#22c55e" : "#f59e0b";
+        ctx.font = "bold 20px Arial";
+        ctx.fillStyle = "#fff";
+        ctx.fillText(note.label, x + 8, y + 16);
+        ctx.font = "11px Arial";
+        ctx.fillStyle = color;
+        ctx.textAlign = "right";
+        ctx.fillText(`${note.cents >= 0 ? "+" : ""}${Math.round(note.cents)} ct`, x + boxWidth - 8, y + 10);
+        ctx.fillStyle = "rgba(255,255,255,0.7)";
+        ctx.fillText(`${pitch.frequency.toFixed(1)} Hz`, x + boxWidth - 8, y + 23);
+
+        // 偏差指示条：中线为准音
+        const meterX = x + 8;
+        const meterWidth = boxWidth - 16;
+        const meterY = y + boxHeight - 9;
+        ctx.fillStyle = "rgba(255,255,255,0.12)";
+        ctx.fillRect(meterX, meterY, meterWidth, 4);
+        ctx.fillStyle = "rgba(255,255,255,0.5)";
+        ctx.fillRect(meterX + meterWidth / 2, meterY - 2, 1, 8);
+        const needle = meterX + meterWidth / 2 + (Math.max(-50, Math.min(50, note.cents)) / 50) * (meterWidth / 2);
+        ctx.fillStyle = color;
+        ctx.fillRect(Math.round(needle) - 1, meterY - 3, 3, 10);
+    },
+
+    /**
+     * 音高模式读数：曲线区域显示光标处的时间与音名 / 频率，色度图区域显示半音级与相对能量
+     */
+    getPitchReadout(frame, x, y) {
+        const state = frame.state.pitch;
+        if (!state || !state.layout) return null;
+        const { contourLeft, contourWidth, chromaLeft, range, currentTime } = state.layout;
+        if (x >= chromaLeft) {
+            const rowHeight = (frame.height - 8) / 12;
+            const index = Math.floor((frame.height - 4 - y) / rowHeight);
+            if (index < 0 || index > 11) return null;
+            return [NOTE_NAMES[index], `${Math.round(state.chroma[index] * 100)}%`];
+        }
+        if (x < contourLeft || x > contourLeft + contourWidth) return null;
+        const time = currentTime - (1 - (x - contourLeft) / contourWidth) * PITCH_CONTOUR_SECONDS;
+        const midi = range.low + (1 - y / frame.height) * (range.high - range.low);
+        const note = midiToNote(midi);
+        return [
+            formatTime(time),
+            `${note.label} ${note.cents >= 0 ? "+" : ""}${Math.round(note.cents)} ct`,
+            formatFrequency(midiToFrequency(midi))
+        ];
+    }
+};
@@ -0,0 +1,274 @@
+/**
+ * 弹出显示：全屏、独立浏览器窗口或文档画中画
+ *
+ * 弹出画布由同一节点的 analyser 驱动：播放中由 draw() 与节点画布同帧绘制（共用同一份 analyser 快照），
+ * 暂停时由弹出窗口自己的 requestAnimationFrame 在画面变化后重绘。
+ * 方法通过 popoutMethods 混入 AudioVisualizer，当前弹出状态保存在 this.popout 上
+ */
+
+import { createMenuRow, createMenuButton } from "./menu.js";
+
+// 弹出显示的目标：全屏、独立浏览器窗口、文档画中画（Document Picture-in-Picture，目前只有 Chromium 支持）
+const POPOUT_TARGETS = [
+    { value: "fullscreen", label: "Fullscreen" },
+    { value: "window", label: "Window" },
+    { value: "pip", label: "Picture-in-Picture" }
+];
+// 独立窗口与画中画窗口的初始尺寸（CSS 像素）
+const POPOUT_WINDOW_WIDTH = 960;
+const POPOUT_WINDOW_HEIGHT = 540;
+
+/**
+ * 当前浏览器是否支持指定的弹出显示目标
+ */
+function isPopoutTargetAvailable(target) {
+    if (target === "fullscreen") return !!document.fullscreenEnabled;
+    if (target === "pip") return "documentPictureInPicture" in window;
+    return true;
+}
+
+export const popoutMethods = {
+    /**
+     * 在画布菜单小节中添加弹出显示按钮行（浏览器不支持的目标置灰）
+     */
+    createPopoutMenuRow(menu) {
+        const popoutButtons = document.createElement("div");
+        popoutButtons.style.display = "flex";
+        popoutButtons.style.gap = "4px";
+        POPOUT_TARGETS.forEach(target => {
+            const popoutButton = createMenuButton(target.value === "pip" ? "PiP" : target.label, () => {
+                menu.style.display = "none";
+                this.openPopout(target.value);
+            });
+            popoutButton.title = target.label;
+            if (!isPopoutTargetAvailable(target.value)) {
+                popoutButton.disabled = true;
+                popoutButton.style.opacity = "0.4";
+                popoutButton.style.cursor = "default";
+                popoutButton.title = `${target.label} is not supported in this browser`;
+            }
+            popoutButtons.appendChild(popoutButton);
+        });
+        const popoutCloseButton = createMenuButton("✕", () => this.closePopout());
+        popoutCloseButton.title = "Close pop-out";
+        popoutCloseButton.style.display = "none";
+        popoutButtons.appendChild(popoutCloseButton);
+        menu.appendChild(createMenuRow("Pop out", popoutButtons));
+
+        return { popoutCloseButton };
+    },
+
+    /**
+     * 节点右键菜单项：弹出可视化（按目标分子菜单），已弹出时为关闭
+     */
+    getPopoutMenuOption() {
+        if (this.popout) {
+            return {
+                content: "Close visualizer pop-out",
+                callback: () => this.closePopout()
+            };
+        }
+        return {
+            content: "Pop out visualizer",
+            has_submenu: true,
+            submenu: {
+                options: POPOUT_TARGETS.filter(target => isPopoutTargetAvailable(target.value)).map(target => ({
+                    content: target.label,
+                    callback: () => this.openPopout(target.value)
+                }))
+            }
+        };
+    },
+
+    /**
+     * 在全屏、独立窗口或文档画中画中打开可视化（target 见 POPOUT_TARGETS）
+     * 需要在用户操作（点击）中调用：全屏与画中画都要求用户激活，独立窗口可能被弹窗拦截
+     * 弹出窗口使用同一节点的 analyser 与设置，在自己的画布和逐帧状态上绘制，播放 / 暂停与模式切换同步生效
+     */
+    async openPopout(target) {
+        this.closePopout();
+        let popoutWindow;
+        try {
+            if (target === "pip") {
+                popoutWindow = await window.documentPictureInPicture.requestWindow({
+                    width: POPOUT_WINDOW_WIDTH,
+                    height: POPOUT_WINDOW_HEIGHT
+                });
+            } else if (target === "window") {
+                popoutWindow = window.open("", `audio-visualizer-${this.node.id}`,
+                    `popup,width=${POPOUT_WINDOW_WIDTH},height=${POPOUT_WINDOW_HEIGHT}`);
+                if (!popoutWindow) {
+                    throw new Error("the pop-up window was blocked");
+                }
+            } else {
+                popoutWindow = window;
+            }
+        } catch (e) {
+            console.warn(`AudioVisualizer: failed to open ${target} pop-out`, e);
+            return;
+        }
+
+        const doc = popoutWindow.document;
+        if (target !== "fullscreen") {
+            doc.title = `${this.node.title || "Audio"} · Visualizer`;
+            // 同名窗口会被复用，先清空上一次的内容
+            doc.body.replaceChildren();
+            doc.body.style.margin = "0";
+            doc.body.style.overflow = "hidden";
+            doc.body.style.background = this.config.backgroundColor;
+        }
+        const container = doc.createElement("div");
+        container.style.position = "fixed";
+        container.style.inset = "0";
+        container.style.zIndex = "10000";
+        container.style.background = this.config.backgroundColor;
+        container.tabIndex = -1;
+        const canvas = doc.createElement("canvas");
+        canvas.style.display = "block";
+        canvas.style.width = "100%";
+        canvas.style.height = "100%";
+        container.appendChild(canvas);
+        doc.body.appendChild(container);
+
+        const popout = {
+            target,
+            window: popoutWindow,
+            container,
+            canvas,
+            ctx: canvas.getContext("2d"),
+            width: 1,
+            height: 1,
+            state: {},
+            dirty: true,
+            frameId: null,
+            cleanups: []
+        };
+        this.popout = popout;
+        const listen = (element, type, handler) => {
+            element.addEventListener(type, handler);
+            popout.cleanups.push(() => element.removeEventListener(type, handler));
+        };
+
+        // 画布尺寸跟随窗口，像素比取弹出窗口所在屏幕的值
+        const resize = () => {
+            const ratio = popoutWindow.devicePixelRatio || 1;
+            popout.width = Math.max(1, Math.round(canvas.clientWidth));
+            popout.height = Math.max(1, Math.round(canvas.clientHeight));
+            canvas.width = Math.round(popout.width * ratio);
+            canvas.height = Math.round(popout.height * ratio);
+            popout.ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+            popout.dirty = true;
+        };
+        listen(popoutWindow, "resize", resize);
+
+        // 空格播放 / 暂停，Esc 关闭；全屏时按键只在弹出层内处理，不传给 ComfyUI 的快捷键
+        listen(target === "fullscreen" ? container : popoutWindow, "keydown", (event) => {
+            event.stopPropagation();
+            if (event.key === " ") {
+                event.preventDefault();
+                const audioElement = this.getPlayerElement();
+                if (audioElement) {
+                    if (audioElement.paused) {
+                        audioElement.play().catch(e => console.warn("AudioVisualizer: failed to play", e));
+                    } else {
+                        audioElement.pause();
+                    }
+                }
+            } else if (event.key === "Escape") {
+                this.closePopout();
+            }
+        });
+
+        if (target === "fullscreen") {
+            listen(document, "fullscreenchange", () => {
+                if (document.fullscreenElement !== container) {
+                    this.closePopout();
+                }
+            });
+            try {
+                await container.requestFullscreen();
+                container.focus();
+            } catch (e) {
+                console.warn("AudioVisualizer: failed to enter fullscreen", e);
+                this.closePopout();
+                return;
+            }
+        } else {
+            // 用户关闭窗口，或 ComfyUI 页面刷新 / 关闭时一并关闭独立窗口
+            listen(popoutWindow, "pagehide", () => this.closePopout());
+            listen(window, "pagehide", () => this.closePopout());
+        }
+        if (this.popout !== popout) return;
+
+        resize();
+        // 播放中由 draw() 与节点画布同帧绘制；暂停时只在画面变化后重绘
+        const tick = () => {
+            if (this.popout !== popout) return;
+            popout.frameId = popoutWindow.requestAnimationFrame(tick);
+            if (this.animationFrameId || !popout.dirty) return;
+            this.renderPopout();
+        };
+        tick();
+        this.updateModeMenu();
+    },
+
+    /**
+     * 关闭弹出显示，释放其逐帧状态
+     */
+    closePopout() {
+        const popout = this.popout;
+        if (!popout) return;
+        this.popout = null;
+        if (popout.frameId !== null) {
+            popout.window.cancelAnimationFrame(popout.frameId);
+        }
+        // 绘制循环正挂在弹出窗口的动画帧上：窗口关闭后不会再回调，改回主窗口
+        if (this.animationFrameId && this.animationFrameWindow === popout.window) {
+            popout.window.cancelAnimationFrame(this.animationFrameId);
+            this.scheduleDraw();
+        }
+        popout.cleanups.forEach(cleanup => cleanup());
+        this.disposeModeStates(popout.state);
+        if (popout.target === "fullscreen") {
+            if (document.fullscreenElement === popout.container) {
+                document.exitFullscreen().catch(() => {});
+            }
+            popout.container.remove();
+        } else if (!popout.window.closed) {
+            popout.window.close();
+        }
+        this.updateModeMenu();
+        // 节点画布在全屏期间没有绘制
+        this.renderStatic();
+    },
+
+    /**
+     * 在弹出窗口中绘制一帧：播放中绘制当前模式，暂停时绘制静态画面，冻结时放大显示冻结的画面
+     */
+    renderPopout() {
+        const popout = this.popout;
+        if (!popout) return;
+        popout.dirty = false;
+        const { ctx, width, height } = popout;
+        if (!this.visualizerEnabled) {
+            this.renderBackground(ctx, width, height);
+            return;
+        }
+        if (this.frozen && this.frozenFrame) {
+            ctx.drawImage(this.frozenFrame.canvas, 0, 0, width, height);
+            return;
+        }
+
+        const frame = this.createLiveFrame(popout);
+        if (this.animationFrameId && this.analyser) {
+            this.renderFrame(frame);
+        } else if (this.overview) {
+            this.drawStaticView(frame);
+        } else {
+            this.renderBackground(ctx, width, height);
+            return;
+        }
+        this.drawOverlays(frame);
+        this.drawTimelineOverlay(frame);
+    }
+};
@@ -0,0 +1,300 @@
+/**
+ * 悬停读数与冻结画面
+ *
+ * - 十字线读数：各内置模式的 readout(frame, x, y) 返回光标处的频率 / dB / 时间 / 采样值（文本行数组）
+ * - 冻结画面：保存画布快照、帧描述与读数函数，冻结后仍可悬停读数，响度与歌词叠加层继续跟随播放
+ * 方法通过 readoutMethods 混入 AudioVisualizer
+ */
+
+import { createMenuDivider, createMenuHeading, createMenuRow, createMenuCheckbox } from "./menu.js";
+import { toDecibels, formatLevel, formatFrequency, formatTime } from "./format.js";
+import { SPECTROGRAM_WINDOW_SECONDS } from "./visualizer_spectrogram.js";
+
+export const readoutMethods = {
+    /**
+     * 读取保存的读数开关；冻结状态不保存
+     */
+    initReadout() {
+        this.readoutKey = "__audio_visualizer_readout";
+        this.showReadout = this.node.properties[this.readoutKey] !== false;
+        // frozenFrame 保存冻结时的画布快照、帧描述与读数函数
+        this.frozen = false;
+        this.frozenFrame = null;
+    },
+
+    /**
+     * 菜单小节：悬停读数与冻结画面
+     */
+    createInspectMenu(menu) {
+        menu.appendChild(createMenuDivider());
+        menu.appendChild(createMenuHeading("Inspect"));
+
+        const readoutCheckbox = createMenuCheckbox(this.showReadout, (checked) => this.setShowReadout(checked));
+        menu.appendChild(createMenuRow("Hover readout", readoutCheckbox));
+
+        const freezeCheckbox = createMenuCheckbox(this.frozen, (checked) => this.setFrozen(checked));
+        menu.appendChild(createMenuRow("Freeze frame", freezeCheckbox));
+
+        return { readoutCheckbox, freezeCheckbox };
+    },
+
+    /**
+     * 同步检查小节的控件
+     */
+    updateInspectMenu() {
+        this.modeMenu.readoutCheckbox.checked = this.showReadout;
+        this.modeMenu.freezeCheckbox.checked = this.frozen;
+    },
+
+    /**
+     * 开关悬停读数
+     */
+    setShowReadout(enabled) {
+        this.showReadout = !!enabled;
+        if (this.isOfficialNode) {
+            this.node.properties[this.readoutKey] = this.showReadout;
+        }
+        this.updateModeMenu();
+        this.renderStatic();
+    },
+
+    /**
+     * 冻结 / 恢复画面
+     * 播放中开启时冻结下一帧；暂停时开启则在恢复播放后的第一帧冻结
+     */
+    setFrozen(frozen) {
+        this.frozen = !!frozen;
+        this.frozenFrame = null;
+        this.updateModeMenu();
+        this.renderStatic();
+    },
+
+    /**
+     * 保存冻结帧：画布快照 + 帧描述（读数需要其中的频谱/波形数据）
+     */
+    captureFrozenFrame(frame) {
+        const canvas = document.createElement("canvas");
+        canvas.width = this.canvas.width;
+        canvas.height = this.canvas.height;
+        canvas.getContext("2d").drawImage(this.canvas, 0, 0);
+        this.frozenFrame = {
+            canvas,
+            frame,
+            readout: this.getModeReadout()
+        };
+    },
+
+    /**
+     * 绘制冻结的画面，并在上面叠加实时响度、FROZEN 标记与悬停读数
+     */
+    drawFrozenFrame() {
+        const { canvas, frame, readout } = this.frozenFrame;
+        const ctx = this.ctx;
+        const WIDTH = this.displayWidth;
+        const HEIGHT = this.displayHeight;
+
+        ctx.drawImage(canvas, 0, 0, WIDTH, HEIGHT);
+        if (this.showLoudness || this.lyrics) {
+            // 响度与歌词跟随播放位置，冻结时继续更新
+            const liveFrame = this.createLiveFrame();
+            if (this.showLoudness) {
+                this.drawLoudnessOverlay(liveFrame);
+            }
+            this.drawLyricsOverlay(liveFrame);
+        }
+
+        const text = "FROZEN";
+        ctx.font = "bold 10px Arial";
+        ctx.textAlign = "left";
+        ctx.textBaseline = "middle";
+        const boxWidth = ctx.measureText(text).width + 12;
+        ctx.fillStyle = "rgba(59,130,246,0.85)";
+        ctx.fillRect(8, 8, boxWidth, 16);
+        ctx.fillStyle = "#fff";
+        ctx.fillText(text, 14, 16);
+
+        this.drawHoverReadout(frame, readout);
+    },
+
+    /**
+     * 绘制悬停十字线与读数框
+     * readout(frame, x, y) 使用 frame 自身的像素坐标，绘制位置按当前画布尺寸换算（冻结后画布尺寸可能改变）
+     */
+    drawHoverReadout(frame, readout) {
+        if (!this.showReadout || !this.hoverPoint || !readout || this.isScrubbing) return;
+        const lines = readout(frame, this.hoverPoint.x * frame.width, this.hoverPoint.y * frame.height);
+        if (!lines || lines.length === 0) return;
+
+        const ctx = this.ctx;
+        const WIDTH = this.displayWidth;
+        const HEIGHT = this.displayHeight;
+        const x = Math.round(this.hoverPoint.x * WIDTH);
+        const y = Math.round(this.hoverPoint.y * HEIGHT);
+
+        ctx.fillStyle = "rgba(255,255,255,0.35)";
+        ctx.fillRect(x, 0, 1, HEIGHT);
+        ctx.fillRect(0, y, WIDTH, 1);
+
+        ctx.font = "11px Arial";
+        ctx.textAlign = "left";
+        ctx.textBaseline = "middle";
+        const lineHeight = 14;
+        const boxWidth = Math.max(...lines.map(line => ctx.measureText(line).width)) + 12;
+        const boxHeight = lines.length * lineHeight + 8;
+        // 默认在光标右下方，靠近边缘时翻到另一侧
+        let boxX = x + 12;
+        let boxY = y + 12;
+        if (boxX + boxWidth > WIDTH - 2) boxX = x - 12 - boxWidth;
+        if (boxY + boxHeight > HEIGHT - 2) boxY = y - 12 - boxHeight;
+        boxX = Math.max(2, boxX);
+        boxY = Math.max(2, boxY);
+
+        ctx.fillStyle = "rgba(0,0,0,0.75)";
+        ctx.fillRect(boxX, boxY, boxWidth, boxHeight);
+        ctx.fillStyle = "#fff";
+        lines.forEach((line, index) => {
+            ctx.fillText(line, boxX + 6, boxY + 4 + index * lineHeight + lineHeight / 2);
+        });
+    },
+
+    /**
+     * analyser 字节频谱值换算为 dB（范围与 minDecibels / maxDecibels 一致）
+     */
+    formatByteLevel(value) {
+        const { minDecibels, maxDecibels } = this.config;
+        if (value <= 0) return `< ${minDecibels} dB`;
+        return `${(minDecibels + (value / 255) * (maxDecibels - minDecibels)).toFixed(1)} dB`;
+    },
+
+    /**
+     * 实时波形读数：光标处采样值与该采样相对当前时刻的偏移
+     */
+    getWaveReadout(frame, x) {
+        const { analyser, dataArray, bufferLength, sampleRate } = frame;
+        if (!analyser || bufferLength === 0) return null;
+        const index = Math.min(bufferLength - 1, Math.floor((x / frame.width) * bufferLength));
+        const value = (dataArray[index] - 128) / 128;
+        // getByteTimeDomainData 取最近 fftSize 个采样中最早的 bufferLength 个
+        const offsetMs = ((analyser.fftSize - index) / sampleRate) * 1000;
+        return [
+            `t -${offsetMs.toFixed(1)} ms`,
+            `Value ${value.toFixed(3)}`,
+            `${formatLevel(toDecibels(Math.abs(value)))} dBFS`
+        ];
+    },
+
+    /**
+     * 左右声道波形读数：按光标所在的上下半区选择声道
+     */
+    getStereoWaveReadout(frame, x, y) {
+        const buffers = frame.state.channelBuffers;
+        if (!buffers || !frame.channelAnalysers) return null;
+        const channel = y < frame.height / 2 ? 0 : 1;
+        const data = buffers[channel];
+        const index = Math.min(data.length - 1, Math.floor((x / frame.width) * data.length));
+        const value = data[index];
+        const offsetMs = ((data.length - index) / frame.sampleRate) * 1000;
+        return [
+            `${channel === 0 ? "L" : "R"}  t -${offsetMs.toFixed(1)} ms`,
+            `Value ${value.toFixed(3)}`,
+            `${formatLevel(toDecibels(Math.abs(value)))} dBFS`
+        ];
+    },
+
+    /**
+     * 频谱柱状图读数：光标下频带的频率范围与电平，以及光标高度对应的 dB
+     */
+    getBarsReadout(frame, x, y) {
+        const layout = frame.state.barLayout;
+        if (!layout) return null;
+        const { left, runWidth, plotHeight, mirror, symmetric } = this.getBarGeometry(frame);
+        if (x < left || y > plotHeight) return null;
+
+        // 镜像布局以中线为频率起点
+        const position = mirror ? Math.abs(x - left - runWidth) : x - left;
+        const count = layout.bands.length;
+        const index = Math.min(count - 1, Math.floor((position / runWidth) * count));
+        const band = layout.bands[index];
+        const { minDecibels, maxDecibels } = this.config;
+        const fraction = symmetric ? Math.abs(plotHeight / 2 - y) / (plotHeight / 2) : 1 - y / plotHeight;
+        const cursorDb = minDecibels + fraction * (maxDecibels - minDecibels);
+        const lines = [
+            formatFrequency(band.center),
+            `${formatFrequency(band.low)} – ${formatFrequency(band.high)}`,
+            `Level ${this.formatByteLevel(layout.values[index])}`
+        ];
+        if (layout.peaks && this.barOptions.peakHold) {
+            lines.push(`Peak ${this.formatByteLevel(layout.peaks[index])}`);
+        }
+        lines.push(`Cursor ${cursorDb.toFixed(1)} dB`);
+        return lines;
+    },
+
+    /**
+     * 滚动语谱图读数：光标所在频率、距今时间与历史电平
+     */
+    getSpectrogramReadout(frame, x, y) {
+        const state = frame.state.spectrogram;
+        if (!state || !state.bins) return null;
+        const { width: WIDTH, height: HEIGHT } = state;
+        const column = Math.min(WIDTH - 1, Math.floor(x));
+        const row = Math.min(HEIGHT - 1, Math.floor(y));
+        const bin = Math.min(state.bins - 1, Math.floor((1 - (row + 0.5) / HEIGHT) * state.bins));
+        const age = WIDTH - 1 - column;
+        const lines = [
+            formatFrequency((bin * state.nyquist) / state.bins),
+            `${((age / WIDTH) * SPECTROGRAM_WINDOW_SECONDS).toFixed(2)} s ago`
+        ];
+        if (age < state.filled) {
+            const slot = (state.head - age + WIDTH) % WIDTH;
+            lines.push(this.formatByteLevel(state.levels[slot * HEIGHT + row]));
+        }
+        return lines;
+    },
+
+    /**
+     * 整段语谱图读数：光标所在频率、文件时间与该处电平
+     */
+    getFullSpectrogramReadout(frame, x, y) {
+        const spectrogram = this.getFullSpectrogram();
+        if (!spectrogram) return null;
+        const { columns, bins, data, nyquist, duration } = spectrogram;
+        const column = Math.min(columns - 1, Math.floor((x / frame.width) * columns));
+        // 图像中高频在上
+        const bin = Math.max(0, bins - 1 - Math.floor((y / frame.height) * bins));
+        return [
+            formatFrequency((bin * nyquist) / bins),
+            formatTime((x / frame.width) * duration),
+            this.formatByteLevel(data[column * bins + bin])
+        ];
+    },
+
+    /**
+     * 波形概览读数：光标所在时间与该像素列的峰值 / RMS
+     */
+    getOverviewReadout(frame, x) {
+        if (!this.overview) return null;
+        const { min, max, rms, clipped, buckets } = this.overview;
+        const column = Math.min(frame.width - 1, Math.floor(x));
+        const bucketsPerPixel = buckets / frame.width;
+        const start = Math.floor(column * bucketsPerPixel);
+        const end = Math.max(start + 1, Math.floor((column + 1) * bucketsPerPixel));
+        let peak = 0;
+        let rmsValue = 0;
+        let isClipped = false;
+        for (let b = start; b < end && b < buckets; b++) {
+            peak = Math.max(peak, Math.abs(min[b]), Math.abs(max[b]));
+            if (rms[b] > rmsValue) rmsValue = rms[b];
+            if (clipped[b]) isClipped = true;
+        }
+        const lines = [
+            formatTime((x / frame.width) * this.overview.duration),
+            `Peak ${formatLevel(toDecibels(peak))} dBFS`,
+            `RMS ${formatLevel(toDecibels(rmsValue))} dBFS`
+        ];
+        if (isClipped) {
+            lines.push("Clipped");
+        }
+        return lines;
+    }
+};
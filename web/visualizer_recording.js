@@ -0,0 +1,248 @@
+/**
+ * 录制可视化视频
+ *
+ * canvas.captureStream() 与音频旁路（MediaStreamDestination）合成一路流，由 MediaRecorder 编码为 WebM；
+ * 录制结果下载到本地，或通过 /upload/image 上传到 ComfyUI 的 input / output 目录。
+ * 方法通过 recordingMethods 混入 AudioVisualizer
+ */
+
+import { app } from "../../scripts/app.js";
+import { createMenuDivider, createMenuHeading, createMenuRow, createMenuButton, createMenuSelect, createMenuStatusRow } from "./menu.js";
+
+// 录制输出目标
+const RECORD_TARGETS = [
+    { value: "download", label: "Download" },
+    { value: "output", label: "ComfyUI output" },
+    { value: "input", label: "ComfyUI input" }
+];
+
+// 录制使用的 MediaRecorder 格式（按优先级）
+const RECORD_MIME_TYPES = [
+    "video/webm;codecs=vp9,opus",
+    "video/webm;codecs=vp8,opus",
+    "video/webm"
+];
+
+export const recordingMethods = {
+    /**
+     * 读取保存的录制输出目标并初始化录制状态
+     */
+    initRecording() {
+        this.recordTargetKey = "__audio_visualizer_record_target";
+        const savedRecordTarget = this.node.properties[this.recordTargetKey];
+        this.recordTarget = RECORD_TARGETS.some(t => t.value === savedRecordTarget) ? savedRecordTarget : "download";
+        this.recorder = null;
+        this.recordDestination = null;
+        this.recordEndedCleanup = null;
+        this.recordStatus = "";
+    },
+
+    /**
+     * 菜单小节：录制视频
+     */
+    createRecordMenu(menu) {
+        menu.appendChild(createMenuDivider());
+        menu.appendChild(createMenuHeading("Record video"));
+
+        const recordTargetSelect = createMenuSelect(RECORD_TARGETS, this.recordTarget, (value) => {
+            this.recordTarget = value;
+            if (this.isOfficialNode) {
+                this.node.properties[this.recordTargetKey] = value;
+            }
+        });
+        menu.appendChild(createMenuRow("Save to", recordTargetSelect));
+
+        const recordButton = createMenuButton("● Record", () => {
+            if (this.recorder) {
+                this.stopRecording();
+            } else {
+                this.startRecording(this.recordTarget);
+            }
+        });
+        const { row: recordRow, status: recordStatusLabel } = createMenuStatusRow(recordButton);
+        menu.appendChild(recordRow);
+
+        return { recordTargetSelect, recordButton, recordStatusLabel };
+    },
+
+    /**
+     * 同步录制小节的控件
+     */
+    updateRecordMenu() {
+        const { recordTargetSelect, recordButton, recordStatusLabel } = this.modeMenu;
+        recordTargetSelect.value = this.recordTarget;
+        recordButton.textContent = this.recorder ? "■ Stop" : "● Record";
+        recordButton.style.color = this.recorder ? "#ef4444" : "#fff";
+        recordStatusLabel.textContent = this.recordStatus;
+    },
+
+    /**
+     * 节点右键菜单项：开始录制（按输出目标分子菜单），录制中为停止
+     */
+    getRecordMenuOption() {
+        if (this.recorder) {
+            return {
+                content: "■ Stop visualizer recording",
+                callback: () => this.stopRecording()
+            };
+        }
+        return {
+            content: "Record visualizer",
+            has_submenu: true,
+            submenu: {
+                options: RECORD_TARGETS.map(target => ({
+                    content: target.label,
+                    callback: () => this.startRecording(target.value)
+                }))
+            }
+        };
+    },
+
+    /**
+     * 更新录制状态文字
+     */
+    setRecordStatus(text) {
+        this.recordStatus = text;
+        this.updateModeMenu();
+    },
+
+    /**
+     * 开始录制：canvas.captureStream() + 音频旁路 MediaStreamDestination -> MediaRecorder(WebM)
+     * 如果音频处于暂停状态会从当前位置开始播放，播放结束时自动停止
+     */
+    async startRecording(target = "download") {
+        if (this.recorder) return;
+        const audioElement = this.getPlayerElement();
+        if (!this.canvas || !audioElement) {
+            this.setRecordStatus("No audio");
+            return;
+        }
+        if (typeof this.canvas.captureStream !== "function" || typeof MediaRecorder === "undefined") {
+            console.error("AudioVisualizer: canvas.captureStream / MediaRecorder not supported");
+            this.setRecordStatus("Not supported");
+            return;
+        }
+        if (!this.visualizerEnabled) {
+            this.setEnabled(true);
+        }
+
+        // 确保音频已接入分析链，录制需要从同一个 source 取音轨
+        this.connectToAudioElement(audioElement);
+        if (!this.isInitialized || !this.source) {
+            this.setRecordStatus("Audio not ready");
+            return;
+        }
+
+        try {
+            this.recordDestination = this.audioContext.createMediaStreamDestination();
+            this.source.connect(this.recordDestination);
+
+            const stream = this.canvas.captureStream(60);
+            this.recordDestination.stream.getAudioTracks().forEach(track => stream.addTrack(track));
+
+            const mimeType = RECORD_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || "";
+            const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+            const chunks = [];
+
+            recorder.ondataavailable = (event) => {
+                if (event.data && event.data.size > 0) {
+                    chunks.push(event.data);
+                }
+            };
+            recorder.onstop = () => {
+                stream.getTracks().forEach(track => track.stop());
+                const blob = new Blob(chunks, { type: recorder.mimeType || "video/webm" });
+                this.saveRecording(blob, target).catch(err => {
+                    console.error("AudioVisualizer: failed to save recording", err);
+                    this.setRecordStatus("Save failed");
+                });
+            };
+
+            const onEnded = () => this.stopRecording();
+            audioElement.addEventListener("ended", onEnded, { once: true });
+            this.recordEndedCleanup = () => audioElement.removeEventListener("ended", onEnded);
+
+            this.recorder = recorder;
+            recorder.start(1000);
+            this.setRecordStatus("Recording…");
+
+            if (audioElement.paused) {
+                await audioElement.play();
+            }
+        } catch (e) {
+            console.error("AudioVisualizer: failed to start recording", e);
+            this.recorder = null;
+            this.disconnectRecordDestination();
+            this.setRecordStatus("Record failed");
+        }
+    },
+
+    /**
+     * 停止录制（保存在 recorder.onstop 中完成）
+     */
+    stopRecording() {
+        const recorder = this.recorder;
+        if (!recorder) return;
+        this.recorder = null;
+        if (this.recordEndedCleanup) {
+            this.recordEndedCleanup();
+            this.recordEndedCleanup = null;
+        }
+        try {
+            if (recorder.state !== "inactive") {
+                recorder.stop();
+            }
+        } catch (e) {
+            console.error("AudioVisualizer: failed to stop recording", e);
+        }
+        this.disconnectRecordDestination();
+        this.setRecordStatus("Saving…");
+    },
+
+    /**
+     * 断开录制用的音频支路
+     */
+    disconnectRecordDestination() {
+        if (this.recordDestination && this.source) {
+            try {
+                this.source.disconnect(this.recordDestination);
+            } catch (e) {}
+        }
+        this.recordDestination = null;
+    },
+
+    /**
+     * 保存录制结果：下载到本地，或上传到 ComfyUI 的 input/output 目录
+     */
+    async saveRecording(blob, target) {
+        const title = (this.node.title || "audio").replace(/[^\w\-]+/g, "_");
+        const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+        const filename = `${title}_visualizer_${stamp}.webm`;
+
+        if (target === "download") {
+            this.downloadBlob(blob, filename);
+            this.setRecordStatus("Downloaded");
+            return;
+        }
+
+        // ComfyUI 没有通用的文件上传接口，/upload/image 是唯一能写入 input / output 目录的接口：
+        // 它不检查文件类型（LoadAudio 的音频上传也走这里），字段名必须是 image，目录由 type 决定；
+        // 同名文件已存在时服务器会自动改名，返回 { name, subfolder, type } 为实际保存的位置
+        const body = new FormData();
+        body.append("image", new File([blob], filename, { type: blob.type }));
+        body.append("type", target);
+        const response = await app.api.fetchApi("/upload/image", {
+            method: "POST",
+            body
+        });
+        if (response.status !== 200) {
+            throw new Error(`Upload failed: ${response.status} ${response.statusText}`);
+        }
+        const data = await response.json();
+        if (!data?.name) {
+            throw new Error("Upload failed: no file name in response");
+        }
+        const path = [data.type || target, data.subfolder, data.name].filter(Boolean).join("/");
+        this.setRecordStatus(`Saved ${path}`);
+    }
+};
@@ -0,0 +1,304 @@
+/**
+ * 离线逐帧渲染
+ *
+ * 每帧的时间固定为 i / fps，analyser 数据由离线分析器从解码后的 AudioBuffer 计算，与实时播放无关，结果可重复。
+ * 输出 PNG 序列与 audio.wav：浏览器支持目录访问时逐帧写入所选文件夹，否则打包为 ZIP 下载（按分卷上限拆分）。
+ * 方法通过 renderMethods 混入 AudioVisualizer
+ */
+
+import { encodeWav } from "./audio_file.js";
+import { OfflineAnalyser } from "./dsp.js";
+import { LoudnessMeter } from "./loudness.js";
+import { ZipWriter } from "./zip.js";
+import { VISUALIZATION_MODES } from "./mode_registry.js";
+import { createMenuDivider, createMenuHeading, createMenuRow, createMenuButton, createMenuSelect, createMenuStatusRow } from "./menu.js";
+
+// 帧率与画面尺寸选项
+const RENDER_FPS_OPTIONS = [24, 25, 30, 60];
+const RENDER_SIZES = [
+    { value: "canvas", label: "Canvas size" },
+    { value: "1280x720", label: "1280 × 720" },
+    { value: "1920x1080", label: "1920 × 1080" },
+    { value: "1080x1080", label: "1080 × 1080" }
+];
+
+// 打包为 ZIP 时每个分卷的文件数与字节数上限：超过后先下载当前分卷再开始下一个，
+// 避免在内存中拼出数 GB 的 Blob（ZIP 格式本身最多 65535 个文件、4 GB）
+const RENDER_ZIP_MAX_FILES = 65535;
+const RENDER_ZIP_PART_BYTES = 512 * 1024 * 1024;
+
+export const renderMethods = {
+    /**
+     * 读取保存的帧率与画面尺寸并初始化渲染状态
+     */
+    initRender() {
+        this.renderFpsKey = "__audio_visualizer_render_fps";
+        this.renderSizeKey = "__audio_visualizer_render_size";
+        const savedRenderFps = this.node.properties[this.renderFpsKey];
+        this.renderFps = RENDER_FPS_OPTIONS.includes(savedRenderFps) ? savedRenderFps : 30;
+        const savedRenderSize = this.node.properties[this.renderSizeKey];
+        this.renderSize = RENDER_SIZES.some(size => size.value === savedRenderSize) ? savedRenderSize : "canvas";
+        this.renderAbort = null;
+        this.renderStatus = "";
+    },
+
+    /**
+     * 菜单小节：离线逐帧渲染
+     */
+    createRenderMenu(menu) {
+        menu.appendChild(createMenuDivider());
+        menu.appendChild(createMenuHeading("Render frames"));
+
+        const renderFpsSelect = createMenuSelect(
+            RENDER_FPS_OPTIONS.map(fps => ({ value: String(fps), label: `${fps} fps` })),
+            String(this.renderFps),
+            (value) => {
+                this.renderFps = parseInt(value);
+                if (this.isOfficialNode) {
+                    this.node.properties[this.renderFpsKey] = this.renderFps;
+                }
+            }
+        );
+        menu.appendChild(createMenuRow("Frame rate", renderFpsSelect));
+
+        const renderSizeSelect = createMenuSelect(RENDER_SIZES, this.renderSize, (value) => {
+            this.renderSize = value;
+            if (this.isOfficialNode) {
+                this.node.properties[this.renderSizeKey] = value;
+            }
+        });
+        menu.appendChild(createMenuRow("Size", renderSizeSelect));
+
+        const renderButton = createMenuButton("Render PNGs", () => {
+            if (this.renderAbort) {
+                this.renderAbort.abort();
+            } else {
+                this.renderFrameSequence();
+            }
+        });
+        const { row: renderRow, status: renderStatusLabel } = createMenuStatusRow(renderButton);
+        menu.appendChild(renderRow);
+
+        return { renderFpsSelect, renderSizeSelect, renderButton, renderStatusLabel };
+    },
+
+    /**
+     * 同步逐帧渲染小节的控件
+     */
+    updateRenderMenu() {
+        const { renderFpsSelect, renderSizeSelect, renderButton, renderStatusLabel } = this.modeMenu;
+        renderFpsSelect.value = String(this.renderFps);
+        renderSizeSelect.value = this.renderSize;
+        renderButton.textContent = this.renderAbort ? "■ Cancel" : "Render PNGs";
+        renderStatusLabel.textContent = this.renderStatus;
+    },
+
+    /**
+     * 节点右键菜单项：按当前帧率开始渲染，渲染中为取消
+     */
+    getRenderMenuOption() {
+        if (this.renderAbort) {
+            return {
+                content: "■ Cancel frame render",
+                callback: () => this.renderAbort?.abort()
+            };
+        }
+        return {
+            content: `Render PNG frames (${this.renderFps} fps)`,
+            callback: () => this.renderFrameSequence()
+        };
+    },
+
+    /**
+     * 更新逐帧渲染状态文字（渲染中每帧调用，只改状态标签，不刷新整个菜单）
+     */
+    setRenderStatus(text) {
+        this.renderStatus = text;
+        if (this.modeMenu) {
+            this.modeMenu.renderStatusLabel.textContent = text;
+        }
+    },
+
+    /**
+     * 离线逐帧渲染为 PNG 序列（附带 audio.wav）
+     * 每帧的时间固定为 i / fps，analyser 数据直接从解码后的 AudioBuffer 计算，与实时播放无关，结果可重复；
+     * 浏览器支持目录访问时逐帧写入所选文件夹，否则打包为 ZIP 下载（超过分卷上限时拆分为 _part1.zip、_part2.zip …）
+     */
+    async renderFrameSequence() {
+        if (this.renderAbort) return;
+
+        // 目录选择器需要用户手势，必须在任何耗时操作之前调用
+        let directory = null;
+        if (typeof window.showDirectoryPicker === "function") {
+            try {
+                directory = await window.showDirectoryPicker({ mode: "readwrite" });
+            } catch (e) {
+                if (e.name === "AbortError") return;
+                console.warn("AudioVisualizer: folder access unavailable, falling back to ZIP", e);
+            }
+        }
+
+        const abort = new AbortController();
+        this.renderAbort = abort;
+        this.renderStatus = "Decoding…";
+        this.updateModeMenu();
+
+        try {
+            if (!this.audioBuffer) {
+                const player = this.getPlayerElement();
+                if (player && player.src) {
+                    await this.loadOverview(player.src);
+                }
+            }
+            const audioBuffer = this.audioBuffer;
+            if (!audioBuffer) {
+                this.setRenderStatus("No audio");
+                return;
+            }
+
+            const fps = this.renderFps;
+            const frameCount = Math.max(1, Math.ceil(audioBuffer.duration * fps));
+
+            const [width, height] = this.renderSize === "canvas"
+                ? [this.displayWidth || 1280, this.displayHeight || 720]
+                : this.renderSize.split("x").map(Number);
+            const canvas = document.createElement("canvas");
+            canvas.width = width;
+            canvas.height = height;
+
+            const title = (this.node.title || "audio").replace(/[^\w\-]+/g, "_");
+            const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+            const folderName = `${title}_frames_${stamp}`;
+
+            let writeFile;
+            let zip = null;
+            let zipParts = 0;
+            if (directory) {
+                const folder = await directory.getDirectoryHandle(folderName, { create: true });
+                writeFile = async (name, blob) => {
+                    const handle = await folder.getFileHandle(name, { create: true });
+                    const writable = await handle.createWritable();
+                    await writable.write(blob);
+                    await writable.close();
+                };
+            } else {
+                zip = new ZipWriter();
+                writeFile = async (name, blob) => {
+                    // 分卷内的路径相同，全部解压到同一目录即可得到完整序列
+                    if (zip.entries.length > 0 &&
+                        (zip.entries.length >= RENDER_ZIP_MAX_FILES || zip.size + blob.size > RENDER_ZIP_PART_BYTES)) {
+                        zipParts++;
+                        this.downloadBlob(zip.finish(), `${folderName}_part${zipParts}.zip`);
+                        zip = new ZipWriter();
+                    }
+                    await zip.addFile(`${folderName}/${name}`, blob);
+                };
+            }
+
+            await writeFile("audio.wav", encodeWav(audioBuffer));
+            await this.renderFramesTo(audioBuffer, canvas, fps, frameCount, writeFile, abort.signal);
+
+            if (zip) {
+                this.setRenderStatus("Packing ZIP…");
+                this.downloadBlob(zip.finish(), zipParts ? `${folderName}_part${zipParts + 1}.zip` : `${folderName}.zip`);
+            }
+            this.setRenderStatus(`Rendered ${frameCount} frames`);
+        } catch (e) {
+            if (e.name === "AbortError") {
+                this.setRenderStatus("Cancelled");
+            } else {
+                console.error("AudioVisualizer: frame render failed", e);
+                this.setRenderStatus("Render failed");
+            }
+        } finally {
+            if (this.renderAbort === abort) {
+                this.renderAbort = null;
+            }
+            this.updateModeMenu();
+        }
+    },
+
+    /**
+     * 逐帧绘制并写出 frame_000001.png ...
+     * 使用独立的帧状态与离线分析器，不影响画布上的实时显示
+     */
+    async renderFramesTo(audioBuffer, canvas, fps, frameCount, writeFile, signal) {
+        const ctx = canvas.getContext("2d");
+        const analyserOptions = {
+            fftSize: this.config.fftSize,
+            smoothingTimeConstant: this.config.smoothingTimeConstant,
+            minDecibels: this.config.minDecibels,
+            maxDecibels: this.config.maxDecibels
+        };
+        const analyser = new OfflineAnalyser(audioBuffer, analyserOptions);
+        const channelAnalysers = [0, 1].map(channel => new OfflineAnalyser(audioBuffer, { ...analyserOptions, channel }));
+        const analysers = [analyser, ...channelAnalysers];
+
+        // 响度表按帧间隔送入新采样，与实时播放时的累计方式一致
+        const loudnessChannels = Math.min(2, audioBuffer.numberOfChannels);
+        const loudness = this.showLoudness ? new LoudnessMeter(audioBuffer.sampleRate, loudnessChannels) : null;
+        const channels = Array.from({ length: loudnessChannels }, (_, c) => audioBuffer.getChannelData(c));
+        let loudnessOffset = 0;
+
+        // 节拍效果使用整段文件的离线检测结果
+        const beatResult = this.beatOptions.enabled ? await this.getFileBeats(audioBuffer, signal) : null;
+        const timeline = this.config.mode === VISUALIZATION_MODES.OVERVIEW || this.isShowingFullSpectrogram() ||
+            (this.config.mode === VISUALIZATION_MODES.COMPARE && this.compareView === "overviews");
+
+        const state = {};
+        try {
+            for (let i = 0; i < frameCount; i++) {
+                if (signal.aborted) {
+                    throw new DOMException("Frame render aborted", "AbortError");
+                }
+                const time = i / fps;
+                analysers.forEach(a => a.setTime(time));
+
+                if (loudness) {
+                    const end = Math.min(audioBuffer.length, Math.round(time * audioBuffer.sampleRate));
+                    if (end > loudnessOffset) {
+                        loudness.process(channels, loudnessOffset, end - loudnessOffset);
+                        loudnessOffset = end;
+                    }
+                }
+
+                const frame = {
+                    ctx,
+                    width: canvas.width,
+                    height: canvas.height,
+                    analyser,
+                    channelAnalysers,
+                    dataArray: this.getDataArray(state, analyser.frequencyBinCount),
+                    bufferLength: analyser.frequencyBinCount,
+                    sampleRate: audioBuffer.sampleRate,
+                    now: time,
+                    currentTime: time,
+                    duration: audioBuffer.duration,
+                    loudness,
+                    beats: beatResult ? this.getFileBeatInfo(beatResult, time) : null,
+                    config: this.config,
+                    visualizer: this,
+                    state
+                };
+                this.renderFrame(frame);
+                if (loudness) {
+                    this.drawLoudnessOverlay(frame);
+                }
+                if (beatResult) {
+                    this.drawBeatOverlay(frame, timeline, beatResult);
+                }
+                this.drawMarkersOverlay(frame, timeline);
+                this.drawLyricsOverlay(frame);
+
+                const blob = await new Promise((resolve, reject) => {
+                    canvas.toBlob(result => result ? resolve(result) : reject(new Error("canvas.toBlob failed")), "image/png");
+                });
+                await writeFile(`frame_${String(i + 1).padStart(6, "0")}.png`, blob);
+                this.setRenderStatus(`Frame ${i + 1}/${frameCount}`);
+            }
+        } finally {
+            // 释放模式在离线渲染中创建的私有状态
+            this.disposeModeStates(state);
+        }
+    }
+};
@@ -0,0 +1,276 @@
+/**
+ * 语谱图（瀑布图）
+ *
+ * - 滚动语谱图：按经过的时间把 analyser 的频谱逐列写入历史图像，保证不同帧率下滚动速度一致
+ * - 整段文件的离线语谱图：由 dsp.js 的 computeSpectrogram 从解码后的 AudioBuffer 计算并缓存，带播放头
+ * - 配色与整段显示开关随节点保存
+ * 方法通过 spectrogramMethods 混入 AudioVisualizer
+ */
+
+import { computeSpectrogram } from "./dsp.js";
+import { COLORMAPS, DEFAULT_COLORMAP, getColormapLUT } from "./colormaps.js";
+import { createMenuDivider, createMenuHeading, createMenuRow, createMenuCheckbox, createMenuSelect } from "./menu.js";
+import { formatTime } from "./format.js";
+
+// 滚动语谱图横跨整个画布的时长（秒）
+export const SPECTROGRAM_WINDOW_SECONDS = 8;
+
+// 离线语谱图的最大列数
+const SPECTROGRAM_MAX_COLUMNS = 2048;
+
+export const spectrogramMethods = {
+    /**
+     * 读取保存的语谱图配色与整段文件显示开关
+     */
+    initSpectrogram() {
+        this.colormapKey = "__audio_visualizer_colormap";
+        this.spectrogramFullKey = "__audio_visualizer_spectrogram_full";
+        const savedColormap = this.isOfficialNode ? this.node.properties[this.colormapKey] : null;
+        this.spectrogramColormap = COLORMAPS[savedColormap] ? savedColormap : DEFAULT_COLORMAP;
+        this.spectrogramFullFile = this.isOfficialNode && this.node.properties[this.spectrogramFullKey] === true;
+        this.fullSpectrogram = null;
+    },
+
+    /**
+     * 菜单小节：语谱图配色与整段文件显示
+     */
+    createSpectrogramMenu(menu) {
+        menu.appendChild(createMenuDivider());
+        menu.appendChild(createMenuHeading("Spectrogram"));
+
+        const colormapSelect = createMenuSelect(
+            Object.entries(COLORMAPS).map(([value, colormap]) => ({ value, label: colormap.label })),
+            this.spectrogramColormap,
+            (value) => this.setSpectrogramColormap(value)
+        );
+        menu.appendChild(createMenuRow("Colormap", colormapSelect));
+
+        const spectrogramFullCheckbox = createMenuCheckbox(this.spectrogramFullFile, (checked) => {
+            this.setSpectrogramFullFile(checked);
+        });
+        menu.appendChild(createMenuRow("Whole file", spectrogramFullCheckbox));
+
+        return { colormapSelect, spectrogramFullCheckbox };
+    },
+
+    /**
+     * 同步语谱图小节的控件
+     */
+    updateSpectrogramMenu() {
+        this.modeMenu.colormapSelect.value = this.spectrogramColormap;
+        this.modeMenu.spectrogramFullCheckbox.checked = this.spectrogramFullFile;
+    },
+
+    /**
+     * 设置语谱图配色
+     */
+    setSpectrogramColormap(colormap) {
+        if (!COLORMAPS[colormap]) return;
+        this.spectrogramColormap = colormap;
+        if (this.isOfficialNode) {
+            this.node.properties[this.colormapKey] = colormap;
+        }
+        // 配色变化后需要重新着色
+        this.liveRenderState.spectrogram = null;
+        this.fullSpectrogram = null;
+        this.updateModeMenu();
+        this.renderStatic();
+    },
+
+    /**
+     * 语谱图是否显示整段文件（离线计算）
+     */
+    setSpectrogramFullFile(enabled) {
+        this.spectrogramFullFile = !!enabled;
+        if (this.isOfficialNode) {
+            this.node.properties[this.spectrogramFullKey] = this.spectrogramFullFile;
+        }
+        this.updateModeMenu();
+        this.renderStatic();
+    },
+
+    /**
+     * 获取当前语谱图配色的查找表
+     */
+    getSpectrogramLUT() {
+        if (this.spectrogramColormap !== "theme") {
+            return getColormapLUT(this.spectrogramColormap);
+        }
+        const key = `${this.config.backgroundColor}|${this.config.secondaryColor}|${this.config.primaryColor}`;
+        if (!this.themeLUT || this.themeLUT.key !== key) {
+            this.themeLUT = { key, lut: getColormapLUT("theme", this.config) };
+        }
+        return this.themeLUT.lut;
+    },
+
+    /**
+     * 绘制滚动语谱图：每帧把历史图像左移，在最右侧写入新的频谱列
+     */
+    drawSpectrogram(frame) {
+        const { ctx, width: WIDTH, height: HEIGHT, analyser, dataArray, bufferLength } = frame;
+        analyser.getByteFrequencyData(dataArray);
+
+        const now = frame.now * 1000;
+        let state = frame.state.spectrogram;
+        if (!state || state.width !== WIDTH || state.height !== HEIGHT) {
+            const canvas = document.createElement("canvas");
+            canvas.width = WIDTH;
+            canvas.height = HEIGHT;
+            const historyCtx = canvas.getContext("2d");
+            historyCtx.fillStyle = "#000";
+            historyCtx.fillRect(0, 0, WIDTH, HEIGHT);
+            // 尺寸变化时保留已有历史
+            if (state) {
+                historyCtx.drawImage(state.canvas, 0, 0, WIDTH, HEIGHT);
+            }
+            state = {
+                canvas,
+                ctx: historyCtx,
+                width: WIDTH,
+                height: HEIGHT,
+                column: historyCtx.createImageData(1, HEIGHT),
+                // 每列的原始电平（环形缓冲，head 为最新一列），供悬停读数使用；尺寸变化后重新累计
+                levels: new Uint8Array(WIDTH * HEIGHT),
+                columnLevels: new Uint8Array(HEIGHT),
+                head: 0,
+                filled: 0,
+                lastTime: now,
+                pending: 0
+            };
+            frame.state.spectrogram = state;
+        }
+
+        // 按时间而不是帧数滚动，保证不同帧率下速度一致
+        state.pending += ((now - state.lastTime) / 1000) * (WIDTH / SPECTROGRAM_WINDOW_SECONDS);
+        state.lastTime = now;
+        const shift = Math.min(WIDTH, Math.floor(state.pending));
+        state.pending -= shift;
+
+        if (shift > 0) {
+            state.ctx.globalCompositeOperation = "copy";
+            state.ctx.drawImage(state.canvas, -shift, 0);
+            state.ctx.globalCompositeOperation = "source-over";
+
+            const lut = this.getSpectrogramLUT();
+            const pixels = state.column.data;
+            for (let y = 0; y < HEIGHT; y++) {
+                const bin = Math.min(bufferLength - 1, Math.floor((1 - (y + 0.5) / HEIGHT) * bufferLength));
+                state.columnLevels[y] = dataArray[bin];
+                const value = dataArray[bin] * 4;
+                pixels[y * 4] = lut[value];
+                pixels[y * 4 + 1] = lut[value + 1];
+                pixels[y * 4 + 2] = lut[value + 2];
+                pixels[y * 4 + 3] = 255;
+            }
+            for (let x = WIDTH - shift; x < WIDTH; x++) {
+                state.ctx.putImageData(state.column, x, 0);
+                state.head = (state.head + 1) % WIDTH;
+                state.levels.set(state.columnLevels, state.head * HEIGHT);
+            }
+            state.filled = Math.min(WIDTH, state.filled + shift);
+        }
+
+        state.nyquist = frame.sampleRate / 2;
+        state.bins = bufferLength;
+        ctx.drawImage(state.canvas, 0, 0);
+        this.drawFrequencyAxis(frame, state.nyquist);
+    },
+
+    /**
+     * 计算（并缓存）整段文件的离线语谱图图像
+     */
+    getFullSpectrogram() {
+        if (!this.audioBuffer) return null;
+        if (this.fullSpectrogram && this.fullSpectrogram.buffer === this.audioBuffer) {
+            return this.fullSpectrogram;
+        }
+
+        const result = computeSpectrogram(this.audioBuffer, {
+            fftSize: this.config.fftSize,
+            minDecibels: this.config.minDecibels,
+            maxDecibels: this.config.maxDecibels,
+            columns: SPECTROGRAM_MAX_COLUMNS
+        });
+
+        const canvas = document.createElement("canvas");
+        canvas.width = result.columns;
+        canvas.height = result.bins;
+        const ctx = canvas.getContext("2d");
+        const image = ctx.createImageData(result.columns, result.bins);
+        const lut = this.getSpectrogramLUT();
+        for (let c = 0; c < result.columns; c++) {
+            const offset = c * result.bins;
+            for (let k = 0; k < result.bins; k++) {
+                const value = result.data[offset + k] * 4;
+                // 高频在上
+                const index = ((result.bins - 1 - k) * result.columns + c) * 4;
+                image.data[index] = lut[value];
+                image.data[index + 1] = lut[value + 1];
+                image.data[index + 2] = lut[value + 2];
+                image.data[index + 3] = 255;
+            }
+        }
+        ctx.putImageData(image, 0, 0);
+
+        this.fullSpectrogram = {
+            buffer: this.audioBuffer,
+            canvas,
+            nyquist: result.sampleRate / 2,
+            // 原始电平数据供悬停读数使用
+            data: result.data,
+            columns: result.columns,
+            bins: result.bins,
+            duration: this.audioBuffer.duration
+        };
+        return this.fullSpectrogram;
+    },
+
+    /**
+     * 绘制整段文件的离线语谱图与播放头
+     */
+    drawFullSpectrogram(frame) {
+        const { ctx, width: WIDTH, height: HEIGHT } = frame;
+        const spectrogram = this.getFullSpectrogram();
+        if (!spectrogram) return;
+
+        ctx.imageSmoothingEnabled = true;
+        ctx.drawImage(spectrogram.canvas, 0, 0, WIDTH, HEIGHT);
+        this.drawFrequencyAxis(frame, spectrogram.nyquist);
+
+        const { duration, currentTime } = frame;
+        const playheadX = duration > 0 ? Math.min(1, currentTime / duration) * WIDTH : 0;
+        ctx.fillStyle = "#fff";
+        ctx.fillRect(Math.round(playheadX) - 1, 0, 2, HEIGHT);
+
+        ctx.fillStyle = "rgba(255,255,255,0.75)";
+        ctx.font = "11px Arial";
+        ctx.textAlign = "right";
+        ctx.textBaseline = "bottom";
+        ctx.fillText(`${formatTime(currentTime)} / ${formatTime(duration)}`, WIDTH - 8, HEIGHT - 6);
+    },
+
+    /**
+     * 绘制线性频率轴（左侧 Hz 刻度）
+     */
+    drawFrequencyAxis(frame, nyquist) {
+        const { ctx, width: WIDTH, height: HEIGHT } = frame;
+        // 选择合适的刻度间隔，使标签数量在 4~8 个之间
+        const steps = [100, 200, 500, 1000, 2000, 5000, 10000];
+        const step = steps.find(s => nyquist / s <= 8) || 10000;
+
+        ctx.font = "10px Arial";
+        ctx.textAlign = "left";
+        ctx.textBaseline = "middle";
+        for (let freq = step; freq < nyquist; freq += step) {
+            const y = Math.round(HEIGHT * (1 - freq / nyquist));
+            if (y < 8) break;
+            const text = freq >= 1000 ? `${freq / 1000}k` : `${freq}`;
+            ctx.fillStyle = "rgba(255,255,255,0.25)";
+            ctx.fillRect(0, y, 6, 1);
+            ctx.fillStyle = "rgba(0,0,0,0.5)";
+            ctx.fillRect(8, y - 6, ctx.measureText(text).width + 6, 12);
+            ctx.fillStyle = "rgba(255,255,255,0.8)";
+            ctx.fillText(text, 11, y);
+        }
+    }
+};
@@ -0,0 +1,341 @@
+/**
+ * 立体声分析
+ *
+ * 分声道分析链：source -> upmix(2ch) -> splitter -> 左 / 右 analyser（单声道素材上混为两路相同信号），
+ * 同一 splitter 上还挂着响度表取样用的长缓冲 analyser。
+ * 三种模式：左右声道波形、带峰值保持的 L/R 电平表、矢量示波器（Lissajous）与相位相关度。
+ * 方法通过 stereoMethods 混入 AudioVisualizer
+ */
+
+import { AnalyserSampleTap } from "./dsp.js";
+import { toDecibels } from "./format.js";
+
+// 电平表显示范围（dBFS）
+const METER_MIN_DB = -60;
+
+// 电平表峰值保持时间（毫秒）与回落速度（dB/秒）
+const METER_PEAK_HOLD_MS = 1500;
+const METER_PEAK_FALL_DB = 20;
+
+// 响度表取样用的 analyser 缓冲长度（48kHz 下约 0.68 秒，帧间隔小于此值即可无缝取样）
+const METER_TAP_FFT_SIZE = 32768;
+
+export const stereoMethods = {
+    /**
+     * 建立分声道分析链
+     * 先用 GainNode 以 speakers 规则统一为双声道（单声道会复制到左右），再拆分到两个 analyser
+     * 该支路不连接 destination，只做旁路分析
+     */
+    connectChannelAnalysers() {
+        if (!this.audioContext || !this.audioTap) return;
+        try {
+            this.channelUpmix = this.audioContext.createGain();
+            this.channelUpmix.channelCount = 2;
+            this.channelUpmix.channelCountMode = "explicit";
+            this.channelUpmix.channelInterpretation = "speakers";
+
+            this.channelSplitter = this.audioContext.createChannelSplitter(2);
+            this.channelAnalysers = [0, 1].map(channel => {
+                const analyser = this.audioContext.createAnalyser();
+                this.configureAnalyser(analyser);
+                this.channelSplitter.connect(analyser, channel);
+                return analyser;
+            });
+
+            // 响度表需要无缝的原始采样，使用更长缓冲的独立 analyser
+            this.meterAnalysers = [0, 1].map(channel => {
+                const analyser = this.audioContext.createAnalyser();
+                analyser.fftSize = METER_TAP_FFT_SIZE;
+                this.channelSplitter.connect(analyser, channel);
+                return analyser;
+            });
+            this.loudnessTap = new AnalyserSampleTap(this.meterAnalysers);
+
+            this.audioTap.input.connect(this.channelUpmix);
+            this.channelUpmix.connect(this.channelSplitter);
+        } catch (e) {
+            console.error("AudioVisualizer: failed to create channel analysers", e);
+            this.channelAnalysers = null;
+        }
+    },
+
+    /**
+     * 断开分声道分析链
+     */
+    disconnectChannelAnalysers() {
+        [this.channelUpmix, this.channelSplitter, ...(this.channelAnalysers || []), ...(this.meterAnalysers || [])].forEach(node => {
+            if (!node) return;
+            try {
+                node.disconnect();
+            } catch (e) {}
+        });
+        this.channelUpmix = null;
+        this.channelSplitter = null;
+        this.channelAnalysers = null;
+        this.meterAnalysers = null;
+        this.loudnessTap = null;
+        this.liveRenderState.meter = null;
+    },
+
+    /**
+     * 读取左右声道的时域数据（缓冲区保存在帧状态中复用）
+     */
+    getChannelData(frame) {
+        const analysers = frame.channelAnalysers;
+        if (!analysers) return null;
+        const size = analysers[0].fftSize;
+        let buffers = frame.state.channelBuffers;
+        if (!buffers || buffers[0].length !== size) {
+            buffers = [new Float32Array(size), new Float32Array(size)];
+            frame.state.channelBuffers = buffers;
+        }
+        analysers[0].getFloatTimeDomainData(buffers[0]);
+        analysers[1].getFloatTimeDomainData(buffers[1]);
+        return buffers;
+    },
+
+    /**
+     * 绘制左右声道上下堆叠的波形
+     */
+    drawStereoWave(frame) {
+        const { ctx, width: WIDTH, height: HEIGHT } = frame;
+        const channels = this.getChannelData(frame);
+        if (!channels) return;
+
+        const laneHeight = HEIGHT / 2;
+        const colors = [this.config.primaryColor, this.config.secondaryColor];
+
+        channels.forEach((data, channel) => {
+            const centerY = laneHeight * channel + laneHeight / 2;
+            const amplitude = laneHeight / 2 - 4;
+
+            ctx.fillStyle = "rgba(255,255,255,0.08)";
+            ctx.fillRect(0, Math.floor(centerY), WIDTH, 1);
+
+            ctx.lineWidth = 1.5;
+            ctx.strokeStyle = colors[channel];
+            ctx.beginPath();
+            const sliceWidth = WIDTH / data.length;
+            for (let i = 0; i < data.length; i++) {
+                const x = i * sliceWidth;
+                const y = centerY - Math.max(-1, Math.min(1, data[i])) * amplitude;
+                if (i === 0) {
+                    ctx.moveTo(x, y);
+                } else {
+                    ctx.lineTo(x, y);
+                }
+            }
+            ctx.stroke();
+
+            ctx.fillStyle = "rgba(255,255,255,0.7)";
+            ctx.font = "11px Arial";
+            ctx.textAlign = "left";
+            ctx.textBaseline = "top";
+            ctx.fillText(channel === 0 ? "L" : "R", 8, laneHeight * channel + 6);
+        });
+
+        ctx.fillStyle = "rgba(255,255,255,0.15)";
+        ctx.fillRect(0, Math.floor(laneHeight), WIDTH, 1);
+    },
+
+    /**
+     * 绘制左右声道电平表（RMS 条 + 峰值线 + 峰值保持）与声道平衡读数
+     */
+    drawMeters(frame) {
+        const { ctx, width: WIDTH, height: HEIGHT } = frame;
+        const channels = this.getChannelData(frame);
+        if (!channels) return;
+
+        const now = frame.now * 1000;
+        if (!frame.state.meter) {
+            frame.state.meter = {
+                hold: [-Infinity, -Infinity],
+                holdTime: [0, 0],
+                lastTime: now
+            };
+        }
+        const state = frame.state.meter;
+        const elapsed = (now - state.lastTime) / 1000;
+        state.lastTime = now;
+
+        const padding = 34;
+        const meterWidth = WIDTH - padding - 16;
+        const laneHeight = Math.min(36, (HEIGHT - 60) / 2);
+        const top = (HEIGHT - laneHeight * 2 - 30) / 2;
+        const toX = (db) => padding + meterWidth * Math.max(0, Math.min(1, (db - METER_MIN_DB) / -METER_MIN_DB));
+
+        const levels = channels.map((data, channel) => {
+            let peak = 0;
+            let sum = 0;
+            for (let i = 0; i < data.length; i++) {
+                const v = Math.abs(data[i]);
+                if (v > peak) peak = v;
+                sum += data[i] * data[i];
+            }
+            const peakDb = toDecibels(peak);
+            const rmsDb = toDecibels(Math.sqrt(sum / data.length));
+
+            // 峰值保持：超过保持时间后按固定速度回落
+            if (peakDb >= state.hold[channel]) {
+                state.hold[channel] = peakDb;
+                state.holdTime[channel] = now;
+            } else if (now - state.holdTime[channel] > METER_PEAK_HOLD_MS) {
+                state.hold[channel] = Math.max(peakDb, state.hold[channel] - METER_PEAK_FALL_DB * elapsed);
+            }
+            return { peakDb, rmsDb };
+        });
+
+        const gradient = ctx.createLinearGradient(toX(METER_MIN_DB), 0, toX(0), 0);
+        gradient.addColorStop(0, "#22c55e");
+        gradient.addColorStop((METER_MIN_DB + 18) / METER_MIN_DB, "#22c55e");
+        gradient.addColorStop((METER_MIN_DB + 6) / METER_MIN_DB, "#eab308");
+        gradient.addColorStop(1, "#ef4444");
+
+        ctx.font = "11px Arial";
+        levels.forEach(({ peakDb, rmsDb }, channel) => {
+            const y = top + channel * (laneHeight + 8);
+
+            ctx.fillStyle = "rgba(255,255,255,0.06)";
+            ctx.fillRect(padding, y, meterWidth, laneHeight);
+
+            // RMS 实心条
+            ctx.fillStyle = gradient;
+            ctx.fillRect(padding, y, toX(rmsDb) - padding, laneHeight);
+
+            // 峰值（半透明延伸）
+            ctx.globalAlpha = 0.4;
+            ctx.fillRect(padding, y + laneHeight * 0.3, toX(peakDb) - padding, laneHeight * 0.4);
+            ctx.globalAlpha = 1;
+
+            // 峰值保持
+            if (isFinite(state.hold[channel])) {
+                ctx.fillStyle = state.hold[channel] >= -0.1 ? "#ef4444" : "#fff";
+                ctx.fillRect(toX(state.hold[channel]) - 1, y, 2, laneHeight);
+            }
+
+            ctx.fillStyle = "rgba(255,255,255,0.8)";
+            ctx.textAlign = "left";
+            ctx.textBaseline = "middle";
+            ctx.fillText(channel === 0 ? "L" : "R", 12, y + laneHeight / 2);
+
+            const readout = isFinite(peakDb) ? `${peakDb.toFixed(1)} dB` : "-inf";
+            ctx.textAlign = "right";
+            ctx.fillText(readout, padding + meterWidth - 4, y + laneHeight / 2);
+        });
+
+        // 刻度
+        const scaleY = top + laneHeight * 2 + 14;
+        ctx.font = "10px Arial";
+        ctx.textAlign = "center";
+        ctx.textBaseline = "top";
+        [-60, -48, -36, -24, -18, -12, -6, -3, 0].forEach(db => {
+            const x = toX(db);
+            ctx.fillStyle = "rgba(255,255,255,0.3)";
+            ctx.fillRect(x, scaleY - 4, 1, 4);
+            ctx.fillStyle = "rgba(255,255,255,0.6)";
+            ctx.fillText(String(db), x, scaleY);
+        });
+
+        // 声道平衡（RMS 差值）
+        const [left, right] = levels;
+        let balance = "Balance: —";
+        if (isFinite(left.rmsDb) && isFinite(right.rmsDb)) {
+            const diff = left.rmsDb - right.rmsDb;
+            balance = Math.abs(diff) < 0.05
+                ? "Balance: centered"
+                : `Balance: ${diff > 0 ? "L" : "R"} +${Math.abs(diff).toFixed(1)} dB`;
+        }
+        ctx.fillStyle = "rgba(255,255,255,0.75)";
+        ctx.font = "11px Arial";
+        ctx.textAlign = "left";
+        ctx.textBaseline = "top";
+        ctx.fillText(balance, padding, 8);
+    },
+
+    /**
+     * 绘制矢量示波器（goniometer，M 在竖直方向）与相位相关度读数
+     */
+    drawVectorscope(frame) {
+        const { ctx, width: WIDTH, height: HEIGHT } = frame;
+        const channels = this.getChannelData(frame);
+        if (!channels) return;
+        const [left, right] = channels;
+
+        const correlationWidth = 120;
+        const size = Math.min(WIDTH - correlationWidth - 40, HEIGHT - 20);
+        const centerX = 20 + size / 2;
+        const centerY = HEIGHT / 2;
+        const radius = size / 2;
+
+        // 刻度：外圆、L/R 对角线、M/S 轴
+        ctx.strokeStyle = "rgba(255,255,255,0.12)";
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, radius, 0, 2 * Math.PI);
+        ctx.moveTo(centerX, centerY - radius);
+        ctx.lineTo(centerX, centerY + radius);
+        ctx.moveTo(centerX - radius, centerY);
+        ctx.lineTo(centerX + radius, centerY);
+        const diagonal = radius * Math.SQRT1_2;
+        ctx.moveTo(centerX - diagonal, centerY - diagonal);
+        ctx.lineTo(centerX + diagonal, centerY + diagonal);
+        ctx.moveTo(centerX + diagonal, centerY - diagonal);
+        ctx.lineTo(centerX - diagonal, centerY + diagonal);
+        ctx.stroke();
+
+        ctx.fillStyle = "rgba(255,255,255,0.5)";
+        ctx.font = "10px Arial";
+        ctx.textAlign = "center";
+        ctx.textBaseline = "bottom";
+        ctx.fillText("M", centerX, centerY - radius - 1);
+        ctx.fillText("L", centerX - diagonal - 6, centerY - diagonal);
+        ctx.fillText("R", centerX + diagonal + 6, centerY - diagonal);
+
+        // 采样点：x = (R - L)，y = (L + R)，旋转 45° 后单声道落在竖直线上
+        let sumLR = 0;
+        let sumLL = 0;
+        let sumRR = 0;
+        ctx.fillStyle = this.hexToRgba(this.config.primaryColor, 0.5);
+        for (let i = 0; i < left.length; i++) {
+            const l = left[i];
+            const r = right[i];
+            sumLR += l * r;
+            sumLL += l * l;
+            sumRR += r * r;
+            const x = centerX + (r - l) * Math.SQRT1_2 * radius;
+            const y = centerY - (l + r) * Math.SQRT1_2 * radius;
+            ctx.fillRect(x, y, 1.5, 1.5);
+        }
+
+        // 相关度：+1 完全同相（单声道），0 不相关，-1 反相
+        const denominator = Math.sqrt(sumLL * sumRR);
+        const correlation = denominator > 1e-9 ? sumLR / denominator : 0;
+        frame.state.correlation = (frame.state.correlation || 0) * 0.8 + correlation * 0.2;
+
+        const barX = WIDTH - correlationWidth - 16;
+        const barY = centerY - 6;
+        ctx.fillStyle = "rgba(255,255,255,0.08)";
+        ctx.fillRect(barX, barY, correlationWidth, 12);
+        ctx.fillStyle = "rgba(255,255,255,0.3)";
+        ctx.fillRect(barX + correlationWidth / 2, barY - 3, 1, 18);
+
+        const value = frame.state.correlation;
+        const markerX = barX + ((value + 1) / 2) * correlationWidth;
+        ctx.fillStyle = value < 0 ? "#ef4444" : value < 0.3 ? "#eab308" : "#22c55e";
+        ctx.fillRect(markerX - 2, barY - 2, 4, 16);
+
+        ctx.fillStyle = "rgba(255,255,255,0.6)";
+        ctx.font = "10px Arial";
+        ctx.textBaseline = "top";
+        ctx.textAlign = "left";
+        ctx.fillText("-1", barX, barY + 16);
+        ctx.textAlign = "right";
+        ctx.fillText("+1", barX + correlationWidth, barY + 16);
+
+        ctx.fillStyle = "rgba(255,255,255,0.85)";
+        ctx.font = "11px Arial";
+        ctx.textAlign = "center";
+        ctx.textBaseline = "bottom";
+        ctx.fillText(`Correlation ${value >= 0 ? "+" : ""}${value.toFixed(2)}`, barX + correlationWidth / 2, barY - 6);
+    }
+};
@@ -0,0 +1,119 @@
+/**
+ * 最小化的 ZIP 打包工具（仅存储，不压缩）
+ *
+ * PNG 等已压缩的数据无需再次压缩，只写入本地文件头、中央目录与 CRC32
+ */
+
+// ZIP（非 ZIP64）格式的条目数与偏移上限
+const MAX_ENTRIES = 0xffff;
+const MAX_OFFSET = 0xffffffff;
+
+let crcTable = null;
+
+/**
+ * 计算 CRC32
+ */
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * 逐个添加文件，最后生成 ZIP Blob
+ * 文件内容以 Blob 形式保存，避免在内存中重复持有大块数据
+ */
+export class ZipWriter {
+    constructor() {
+        this.parts = [];
+        this.entries = [];
+        this.offset = 0;
+        this.directorySize = 0;
+    }
+
+    /**
+     * 当前调用 finish() 得到的 ZIP 字节数（文件数据 + 中央目录 + 结束记录）
+     */
+    get size() {
+        return this.offset + this.directorySize + 22;
+    }
+
+    /**
+     * 添加一个文件（data 可以是 Blob 或 Uint8Array）
+     */
+    async addFile(name, data) {
+        if (this.entries.length >= MAX_ENTRIES) {
+            throw new Error("Too many files for a ZIP archive");
+        }
+        const blob = data instanceof Blob ? data : new Blob([data]);
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        const nameBytes = new TextEncoder().encode(name);
+        const crc = crc32(bytes);
+        const size = bytes.length;
+        if (this.offset + 30 + nameBytes.length + size > MAX_OFFSET) {
+            throw new Error("ZIP archive exceeds 4 GB");
+        }
+
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034b50, true);
+        header.setUint16(4, 20, true);
+        header.setUint16(6, 0x0800, true);
+        header.setUint16(8, 0, true);
+        header.setUint16(10, 0, true);
+        header.setUint16(12, 0x21, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, size, true);
+        header.setUint32(22, size, true);
+        header.setUint16(26, nameBytes.length, true);
+        header.setUint16(28, 0, true);
+
+        this.parts.push(header.buffer, nameBytes, blob);
+        this.entries.push({ nameBytes, crc, size, offset: this.offset });
+        this.offset += 30 + nameBytes.length + size;
+        this.directorySize += 46 + nameBytes.length;
+    }
+
+    /**
+     * 写入中央目录并返回 ZIP Blob
+     */
+    finish() {
+        const directory = [];
+        for (const entry of this.entries) {
+            const record = new DataView(new ArrayBuffer(46));
+            record.setUint32(0, 0x02014b50, true);
+            record.setUint16(4, 20, true);
+            record.setUint16(6, 20, true);
+            record.setUint16(8, 0x0800, true);
+            record.setUint16(10, 0, true);
+            record.setUint16(12, 0, true);
+            record.setUint16(14, 0x21, true);
+            record.setUint32(16, entry.crc, true);
+            record.setUint32(20, entry.size, true);
+            record.setUint32(24, entry.size, true);
+            record.setUint16(28, entry.nameBytes.length, true);
+            record.setUint32(42, entry.offset, true);
+            directory.push(record.buffer, entry.nameBytes);
+        }
+
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, this.entries.length, true);
+        end.setUint16(10, this.entries.length, true);
+        end.setUint32(12, this.directorySize, true);
+        end.setUint32(16, this.offset, true);
+
+        return new Blob([...this.parts, ...directory, end.buffer], { type: "application/zip" });
+    }
+}